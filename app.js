@@ -17,7 +17,7 @@ const fs = require('fs');
 
 // Configuration dependencies
 const dotenv = require('dotenv');
-const { testConnection, syncModels } = require('./config/database');
+const { testConnection, runMigrations, syncModels } = require('./config/database');
 const logger = require('./services/loggerService');
 
 // Security and middleware dependencies
@@ -29,6 +29,10 @@ const { errorHandler } = require('./middleware/errorHandler');
 
 // Services
 const notificationScheduler = require('./services/notificationScheduler');
+const backfillService = require('./services/backfillService');
+const shopService = require('./services/shopService');
+const templateService = require('./services/templateService');
+const customerService = require('./services/customerService');
 
 // Load environment variables
 dotenv.config();
@@ -45,7 +49,13 @@ function setupMiddleware() {
   app.use(cors());
 
   // Request parsing
-  app.use(bodyParser.json({ limit: '1mb' }));
+  // Сохраняем исходное тело запроса для проверки подписи вебхуков WhatsApp
+  app.use(bodyParser.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
   app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 
   // Request logging
@@ -93,6 +103,8 @@ function setupRoutes() {
   const templatesRoutes = require('./routes/templates');
   const whatsappActivationRoutes = require('./routes/whatsappActivation');
   const diagnosticRoutes = require('./routes/diagnostic');
+  const shopsRoutes = require('./routes/shops');
+  const customersRoutes = require('./routes/customers');
 
   // Health check endpoint
   app.get('/api/health', (req, res) => {
@@ -114,6 +126,8 @@ function setupRoutes() {
   app.use('/api/templates', templatesRoutes);
   app.use('/api/whatsapp-activation', whatsappActivationRoutes);
   app.use('/api/diagnostic', diagnosticRoutes);
+  app.use('/api/shops', shopsRoutes);
+  app.use('/api/customers', customersRoutes);
 
   // Error handling middleware
   app.use(errorHandler);
@@ -190,6 +204,12 @@ async function startServer() {
     
     logger.info("Успешное подключение к базе данных");
     
+    // Add columns to existing tables before syncing models: sync() only creates missing tables
+    const migrationResult = await runMigrations();
+    if (!migrationResult) {
+      throw new Error("Не удалось применить миграции базы данных");
+    }
+    
     // Synchronize database models (don't use force=true in production!)
     const syncResult = await syncModels(false);
     if (!syncResult) {
@@ -203,8 +223,20 @@ async function startServer() {
       logger.info(`Создана директория для логов: ${logsDir}`);
     }
     
+    // Create the default shop from environment settings on first start
+    await shopService.ensureDefaultShop();
+    
+    // Move message templates into the database on first start and load them
+    await templateService.initialize();
+    
+    // Link orders saved before customers were introduced
+    await customerService.linkExistingOrders();
+    
     // Start notification scheduler
-    notificationScheduler.startScheduling();
+    await notificationScheduler.startScheduling();
+    
+    // Continue order backfills interrupted by a restart
+    await backfillService.resumeInterruptedJobs();
     
     // Start HTTP server
     const PORT = process.env.PORT || 5001;
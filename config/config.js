@@ -2,6 +2,12 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
+// В отличие от parseInt(...) || default сохраняет 0, которым ограничение отключается
+const parseIntOrDefault = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+};
+
 module.exports = {
   database: {
     name: process.env.DB_NAME,
@@ -14,7 +20,42 @@ module.exports = {
   },
   kaspi: {
     apiUrl: process.env.KASPI_API_URL,
-    apiKey: process.env.KASPI_API_KEY
+    apiKey: process.env.KASPI_API_KEY,
+    // Размер страницы при запросе заказов (Kaspi допускает не более 100)
+    pageSize: parseInt(process.env.KASPI_PAGE_SIZE) || 100,
+    // Максимальное количество страниц за один запуск синхронизации
+    maxPagesPerRun: parseInt(process.env.KASPI_MAX_PAGES_PER_RUN) || 50,
+    // На сколько минут раньше отметки последней синхронизации запрашивать заказы,
+    // чтобы не пропустить заказы, которые появились в API с задержкой
+    syncOverlapMinutes: parseIntOrDefault(process.env.KASPI_SYNC_OVERLAP_MINUTES, 60),
+    // За сколько часов загружать заказы при первой синхронизации магазина
+    initialSyncHours: parseInt(process.env.KASPI_INITIAL_SYNC_HOURS) || 24,
+    // Сколько незавершенных заказов проверять за один запуск и до какого возраста (в днях)
+    openOrderRefreshLimit: parseInt(process.env.KASPI_OPEN_ORDER_REFRESH_LIMIT) || 100,
+    openOrderMaxAgeDays: parseInt(process.env.KASPI_OPEN_ORDER_MAX_AGE_DAYS) || 30,
+    // Статусы заказов Kaspi, которые синхронизируются с базой
+    orderStatuses: (process.env.KASPI_ORDER_STATUSES || 'NEW,ACCEPTED_BY_MERCHANT,DELIVERY,KASPI_DELIVERY,COMPLETED,CANCELLED,RETURNED')
+      .split(',')
+      .map(status => status.trim().toUpperCase())
+      .filter(Boolean)
+  },
+  notifications: {
+    // Часовой пояс окна отправки, если у магазина не указан свой
+    timezone: process.env.NOTIFICATION_TIMEZONE || 'Asia/Almaty',
+    // Максимальное количество попыток отправки одного сообщения из очереди
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    // Задержка перед первой повторной попыткой, далее удваивается
+    retryBaseDelaySeconds: parseInt(process.env.NOTIFICATION_RETRY_BASE_DELAY) || 60,
+    // Максимальная задержка между попытками
+    retryMaxDelaySeconds: parseInt(process.env.NOTIFICATION_RETRY_MAX_DELAY) || 3600,
+    // Через сколько часов после доставки заказа отправлять запрос отзыва. Магазин может переопределить значение
+    reviewDelayHours: parseIntOrDefault(process.env.REVIEW_REQUEST_DELAY_HOURS, 72),
+    // Не чаще одного запроса отзыва на номер за столько дней (0 - без ограничения).
+    // Магазин может переопределить значение
+    reviewRequestIntervalDays: parseIntOrDefault(process.env.REVIEW_REQUEST_INTERVAL_DAYS, 7),
+    // Не больше стольких уведомлений на номер за 7 дней (0 - без ограничения). Запрос отзыва из
+    // нескольких сообщений (по одному на товар) считается одним уведомлением
+    weeklyMessageLimit: parseIntOrDefault(process.env.NOTIFICATION_WEEKLY_LIMIT, 3)
   },
   whatsapp: {
     type: 'cloud', // Указываем тип API: 'cloud' или 'local'
@@ -22,7 +63,13 @@ module.exports = {
       apiVersion: process.env.WHATSAPP_API_VERSION || 'v17.0',
       phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
       accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
-      templateNamespace: process.env.WHATSAPP_TEMPLATE_NAMESPACE || null
+      // ID бизнес-аккаунта WhatsApp (WABA), нужен для работы с шаблонами сообщений
+      businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+      templateNamespace: process.env.WHATSAPP_TEMPLATE_NAMESPACE || null,
+      // Секрет приложения Meta для проверки подписи X-Hub-Signature-256
+      appSecret: process.env.WHATSAPP_APP_SECRET,
+      // Токен, указанный в настройках вебхука в Meta App Dashboard
+      webhookVerifyToken: process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN
     },
     localApi: {
       apiUrl: process.env.WHATSAPP_API_URL,
@@ -1,4 +1,6 @@
 // config/database.js
+const fs = require('fs');
+const path = require('path');
 const { Sequelize } = require('sequelize');
 const config = require('./config');
 const logger = require('../services/loggerService');
@@ -67,8 +69,43 @@ const syncModels = async (force = false) => {
   }
 };
 
+// Функция для применения миграций из папки migrations, которые еще не выполнялись.
+// Выполняется до синхронизации моделей: sync() не добавляет новые колонки в существующие таблицы.
+// Выполненные миграции записываются в таблицу SequelizeMeta, как это делает sequelize-cli
+const runMigrations = async () => {
+  try {
+    const migrationsDir = path.join(__dirname, '..', 'migrations');
+    if (!fs.existsSync(migrationsDir)) {
+      return true;
+    }
+
+    const queryInterface = sequelize.getQueryInterface();
+    await sequelize.query('CREATE TABLE IF NOT EXISTS `SequelizeMeta` (`name` VARCHAR(255) NOT NULL PRIMARY KEY)');
+
+    const [rows] = await sequelize.query('SELECT `name` FROM `SequelizeMeta`');
+    const applied = new Set(rows.map(row => row.name));
+
+    const files = fs.readdirSync(migrationsDir)
+      .filter(file => file.endsWith('.js') && !applied.has(file))
+      .sort();
+
+    for (const file of files) {
+      const migration = require(path.join(migrationsDir, file));
+      await migration.up(queryInterface, Sequelize);
+      await sequelize.query('INSERT INTO `SequelizeMeta` (`name`) VALUES (?)', { replacements: [file] });
+      logger.info(`Применена миграция ${file}`);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Ошибка применения миграций:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sequelize,
   testConnection,
+  runMigrations,
   syncModels
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+// controllers/customerController.js
+const { Op } = require('sequelize');
+const { Customer, Order } = require('../models');
+const customerService = require('../services/customerService');
+const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const { normalizePhone } = require('../utils/phoneUtils');
+
+// Поля, по которым можно сортировать список покупателей
+const SORT_FIELDS = ['lastOrderAt', 'firstOrderAt', 'ordersCount', 'totalSpent', 'lastContactedAt', 'messagesCount', 'name'];
+
+// Находит покупателя в пределах магазина пользователя
+const findScopedCustomer = (req) => Customer.findOne({
+  where: { ...getShopScope(req), id: req.params.id }
+});
+
+// @desc    Получение списка покупателей
+// @route   GET /api/customers
+// @access  Private
+const getCustomers = async (req, res, next) => {
+  try {
+    const { search, sort = 'lastOrderAt', direction = 'desc' } = req.query;
+    const where = { ...getShopScope(req) };
+
+    if (!SORT_FIELDS.includes(sort)) {
+      return next(new ApiError(400, `Некорректное поле сортировки. Допустимые значения: ${SORT_FIELDS.join(', ')}`));
+    }
+
+    // Поиск по имени или по номеру телефона в любом формате
+    if (search) {
+      const conditions = [{ name: { [Op.like]: `%${search}%` } }];
+      const digits = normalizePhone(search);
+      if (digits) {
+        conditions.push({ phone: { [Op.like]: `%${digits.slice(-10)}%` } });
+      }
+      where[Op.or] = conditions;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { count, rows } = await Customer.findAndCountAll({
+      where,
+      order: [[sort, String(direction).toLowerCase() === 'asc' ? 'ASC' : 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение покупателя с его заказами
+// @route   GET /api/customers/:id
+// @access  Private
+const getCustomerById = async (req, res, next) => {
+  try {
+    const customer = await findScopedCustomer(req);
+
+    if (!customer) {
+      return next(new ApiError(404, 'Покупатель не найден'));
+    }
+
+    const orders = await Order.findAll({
+      where: { customerId: customer.id },
+      attributes: ['id', 'kaspiOrderId', 'orderDate', 'orderStatus', 'orderAmount', 'orderItems', 'notificationStatus', 'notificationSentAt'],
+      order: [['orderDate', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...customer.toJSON(),
+        orders
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    История сообщений покупателя
+// @route   GET /api/customers/:id/messages
+// @access  Private
+const getCustomerMessages = async (req, res, next) => {
+  try {
+    const customer = await findScopedCustomer(req);
+
+    if (!customer) {
+      return next(new ApiError(404, 'Покупатель не найден'));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { count, rows } = await customerService.getMessages(customer, { limit, offset });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCustomers,
+  getCustomerById,
+  getCustomerMessages
+};
@@ -170,14 +170,10 @@ exports.checkFileSystem = async (req, res, next) => {
       fileChecks.errors.push(`App directory write test failed: ${err.message}`);
     }
     
-    // Check templates.json
+    // Check templates.json (legacy file, templates are imported from it into the database once)
     const templatesPath = path.join(process.cwd(), 'config', 'templates.json');
     try {
-      const exists = fs.existsSync(templatesPath);
-      fileChecks.template_file = exists;
-      if (!exists) {
-        fileChecks.errors.push('templates.json file does not exist');
-      }
+      fileChecks.template_file = fs.existsSync(templatesPath);
     } catch (err) {
       fileChecks.errors.push(`Template file check failed: ${err.message}`);
     }
@@ -0,0 +1,118 @@
+// controllers/holidayController.js
+const { Op } = require('sequelize');
+const { BlackoutDate } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const { isValidDate } = require('../utils/timeUtils');
+
+// @desc    Праздники и дни без отправки уведомлений
+// @route   GET /api/notifications/holidays
+// @access  Private
+const getHolidays = async (req, res, next) => {
+  try {
+    const scope = getShopScope(req);
+    // Пользователь магазина видит также праздники, общие для всех магазинов
+    const where = scope.shopId ? { shopId: { [Op.or]: [scope.shopId, null] } } : {};
+    const { from, to } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return next(new ApiError(400, 'Даты from и to должны быть в формате YYYY-MM-DD'));
+    }
+
+    if (from || to) {
+      where.date = {};
+      if (from) where.date[Op.gte] = from;
+      if (to) where.date[Op.lte] = to;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { count, rows } = await BlackoutDate.findAndCountAll({
+      where,
+      order: [['date', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Добавление праздника, в который уведомления не отправляются
+// @route   POST /api/notifications/holidays
+// @access  Private/Admin
+const addHoliday = async (req, res, next) => {
+  try {
+    const { date, name, allShops } = req.body;
+
+    if (!isValidDate(date)) {
+      return next(new ApiError(400, 'Необходимо указать дату (date) в формате YYYY-MM-DD'));
+    }
+
+    // Праздник для всех магазинов может добавить только администратор без привязки к магазину
+    if (allShops && req.user.shopId) {
+      return next(new ApiError(403, 'Праздник для всех магазинов доступен только администратору всех магазинов'));
+    }
+
+    const shopId = allShops ? null : (getShopScope(req).shopId || null);
+
+    const existing = await BlackoutDate.findOne({ where: { shopId, date } });
+    if (existing) {
+      return next(new ApiError(409, `Дата ${date} уже добавлена${existing.name ? ` ("${existing.name}")` : ''}`));
+    }
+
+    const holiday = await BlackoutDate.create({
+      shopId,
+      date,
+      name: name || null,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Дата ${date} добавлена в список дней без отправки уведомлений`,
+      data: holiday
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Удаление праздника
+// @route   DELETE /api/notifications/holidays/:id
+// @access  Private/Admin
+const removeHoliday = async (req, res, next) => {
+  try {
+    const holiday = await BlackoutDate.findOne({
+      where: { ...getShopScope(req), id: req.params.id }
+    });
+
+    if (!holiday) {
+      return next(new ApiError(404, 'Праздник не найден'));
+    }
+
+    await holiday.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: `Дата ${holiday.date} удалена из списка дней без отправки уведомлений`,
+      data: holiday
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getHolidays,
+  addHoliday,
+  removeHoliday
+};
@@ -1,8 +1,37 @@
 // controllers/kaspiController.js
 const kaspiService = require('../services/kaspiService');
+const backfillService = require('../services/backfillService');
+const { SyncJob } = require('../models');
+const shopService = require('../services/shopService');
 const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
 const logger = require('../services/loggerService');
 
+// Returns Kaspi service authorized with the token of the user's shop
+const getShopKaspiService = async (req) => {
+  const shop = await shopService.resolveShop(getShopScope(req));
+  return kaspiService.forShop(shop);
+};
+
+// Parses an optional comma-separated list of Kaspi statuses
+// Returns { orderStatuses } (undefined when not given) or { error } with the error text
+const parseKaspiStatuses = (statuses) => {
+  if (!statuses) {
+    return { orderStatuses: undefined };
+  }
+
+  const orderStatuses = String(statuses).split(',').map(status => status.trim().toUpperCase()).filter(Boolean);
+  const supportedStatuses = kaspiService.getSupportedStatuses();
+  const invalidStatuses = orderStatuses.filter(status => !supportedStatuses.includes(status));
+
+  if (invalidStatuses.length > 0) {
+    logger.warn(`Invalid Kaspi statuses requested: ${invalidStatuses.join(', ')}`);
+    return { error: `Неизвестные статусы Kaspi: ${invalidStatuses.join(', ')}. Допустимые значения: ${supportedStatuses.join(', ')}` };
+  }
+
+  return { orderStatuses };
+};
+
 // @desc    Fetch new orders from Kaspi API
 // @route   GET /api/kaspi/fetch-orders
 // @access  Private/Admin
@@ -12,7 +41,13 @@ const fetchOrders = async (req, res, next) => {
     logger.info(`Fetch Orders Request - Query params: ${JSON.stringify(req.query)}`);
     
     // Extract parameters from the request
-    const { days = 1, startDate, endDate } = req.query;
+    const { days = 1, startDate, endDate, statuses } = req.query;
+    
+    // Parse optional comma-separated list of Kaspi statuses
+    const { orderStatuses, error: statusError } = parseKaspiStatuses(statuses);
+    if (statusError) {
+      return next(new ApiError(400, statusError));
+    }
     
     let fromDate, toDate;
     
@@ -59,8 +94,9 @@ const fetchOrders = async (req, res, next) => {
     }
     
     // Call Kaspi service to fetch orders
-    logger.info(`Calling kaspiService.fetchNewOrders with date range: ${fromDate} to ${toDate}`);
-    const orders = await kaspiService.fetchNewOrders(fromDate, toDate);
+    const shopKaspiService = await getShopKaspiService(req);
+    logger.info(`Calling kaspiService.fetchNewOrders for shop ${shopKaspiService.shopId} with date range: ${fromDate} to ${toDate}`);
+    const orders = await shopKaspiService.fetchNewOrders(fromDate, toDate, orderStatuses);
     
     // Check if orders array is valid
     if (!Array.isArray(orders)) {
@@ -73,7 +109,7 @@ const fetchOrders = async (req, res, next) => {
     // Process and save orders
     let processedOrders = [];
     try {
-      processedOrders = await kaspiService.processOrders(orders);
+      processedOrders = await shopKaspiService.processOrders(orders);
       logger.info(`Successfully processed ${processedOrders.length} orders`);
     } catch (processError) {
       logger.error('Error processing orders:', processError);
@@ -86,8 +122,10 @@ const fetchOrders = async (req, res, next) => {
       success: true,
       message: `Успешно получено ${orders.length} заказов, обработано ${processedOrders.length}`,
       data: {
+        shopId: shopKaspiService.shopId,
         totalFetched: orders.length,
         totalProcessed: processedOrders.length,
+        statuses: orderStatuses || kaspiService.orderStatuses,
         period: {
           from: fromDate.toISOString(),
           to: toDate.toISOString(),
@@ -112,14 +150,15 @@ const getOrderDetails = async (req, res, next) => {
       return next(new ApiError(400, 'Kaspi order ID is required'));
     }
     
-    const orderDetails = await kaspiService.getOrderDetails(kaspiOrderId);
+    const shopKaspiService = await getShopKaspiService(req);
+    const orderDetails = await shopKaspiService.getOrderDetails(kaspiOrderId);
     
     if (!orderDetails) {
       return next(new ApiError(404, `Заказ с ID ${kaspiOrderId} не найден`));
     }
     
     // Получаем товары заказа
-    const orderEntries = await kaspiService.getOrderEntries(kaspiOrderId);
+    const orderEntries = await shopKaspiService.getOrderEntries(kaspiOrderId);
     
     // Форматируем данные для ответа
     const formattedResponse = {
@@ -169,7 +208,8 @@ const updateOrderStatus = async (req, res, next) => {
       return next(new ApiError(400, `Invalid status. Valid values are: ${validStatuses.join(', ')}`));
     }
     
-    const result = await kaspiService.updateOrderStatus(kaspiOrderId, status.toUpperCase());
+    const shopKaspiService = await getShopKaspiService(req);
+    const result = await shopKaspiService.updateOrderStatus(kaspiOrderId, status.toUpperCase());
     
     res.status(200).json({
       success: true,
@@ -192,7 +232,8 @@ const getProductDetails = async (req, res, next) => {
       return next(new ApiError(400, 'Product ID is required'));
     }
     
-    const productDetails = await kaspiService.getProductDetails(productId);
+    const shopKaspiService = await getShopKaspiService(req);
+    const productDetails = await shopKaspiService.getProductDetails(productId);
     
     if (!productDetails) {
       return next(new ApiError(404, `Товар с ID ${productId} не найден`));
@@ -243,10 +284,192 @@ const generateReviewLink = async (req, res, next) => {
   }
 };
 
+// Finds a backfill job within the user's shop
+const findScopedSyncJob = (req) => SyncJob.findOne({
+  where: { ...getShopScope(req), id: req.params.id }
+});
+
+// @desc    Start a background backfill of historical orders
+// @route   POST /api/kaspi/backfill
+// @access  Private/Admin
+const createBackfill = async (req, res, next) => {
+  try {
+    const { months, days, startDate, endDate, statuses } = req.body;
+
+    const { orderStatuses, error: statusError } = parseKaspiStatuses(statuses);
+    if (statusError) {
+      return next(new ApiError(400, statusError));
+    }
+
+    let fromDate;
+    let toDate;
+
+    if (startDate || endDate) {
+      fromDate = new Date(startDate);
+      toDate = endDate ? new Date(endDate) : new Date();
+
+      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return next(new ApiError(400, 'Некорректный формат дат. Используйте формат ISO (например, 2023-08-15)'));
+      }
+    } else {
+      // Period relative to now: "last 12 months" or "last 90 days"
+      toDate = new Date();
+      fromDate = new Date(toDate);
+
+      const monthsNum = parseInt(months);
+      const daysNum = parseInt(days);
+
+      if (!isNaN(monthsNum) && monthsNum > 0) {
+        fromDate.setMonth(fromDate.getMonth() - monthsNum);
+      } else if (!isNaN(daysNum) && daysNum > 0) {
+        fromDate.setDate(fromDate.getDate() - daysNum);
+      } else {
+        return next(new ApiError(400, 'Необходимо указать период: months, days или startDate и endDate'));
+      }
+    }
+
+    if (fromDate >= toDate) {
+      return next(new ApiError(400, 'Начальная дата должна быть меньше конечной'));
+    }
+
+    const shop = await shopService.resolveShop(getShopScope(req));
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    if (!shop.kaspiApiKey) {
+      return next(new ApiError(400, `У магазина "${shop.name}" не указан токен Kaspi API`));
+    }
+
+    const activeJob = await backfillService.findActiveJob(shop.id);
+    if (activeJob) {
+      return next(new ApiError(409, `Для магазина уже выполняется загрузка заказов (ID: ${activeJob.id}, статус ${activeJob.status})`));
+    }
+
+    const job = await backfillService.createJob(shop, { fromDate, toDate, statuses: orderStatuses || null }, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: `Загрузка заказов магазина "${shop.name}" запущена`,
+      data: backfillService.toStatusJSON(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get backfill jobs
+// @route   GET /api/kaspi/backfill
+// @access  Private/Admin
+const getBackfillJobs = async (req, res, next) => {
+  try {
+    const where = { ...getShopScope(req) };
+    if (req.query.status) where.status = req.query.status;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { count, rows } = await SyncJob.findAndCountAll({
+      where,
+      order: [['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows.map(job => backfillService.toStatusJSON(job))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get backfill job status and progress
+// @route   GET /api/kaspi/backfill/:id
+// @access  Private/Admin
+const getBackfillJob = async (req, res, next) => {
+  try {
+    const job = await findScopedSyncJob(req);
+    if (!job) {
+      return next(new ApiError(404, 'Загрузка заказов не найдена'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: backfillService.toStatusJSON(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Backfill job transitions: which statuses each action is allowed from
+const BACKFILL_ACTIONS = {
+  pause: { from: ['pending', 'running'], verb: 'приостановить', message: 'приостановлена' },
+  resume: { from: ['paused', 'failed'], verb: 'возобновить', message: 'возобновлена' },
+  cancel: { from: ['pending', 'running', 'paused', 'failed'], verb: 'отменить', message: 'отменена' }
+};
+
+// Creates a handler that pauses, resumes or cancels a backfill job
+const changeBackfillJob = (action) => async (req, res, next) => {
+  try {
+    const job = await findScopedSyncJob(req);
+    if (!job) {
+      return next(new ApiError(404, 'Загрузка заказов не найдена'));
+    }
+
+    if (!BACKFILL_ACTIONS[action].from.includes(job.status)) {
+      return next(new ApiError(409, `Загрузку в статусе ${job.status} нельзя ${BACKFILL_ACTIONS[action].verb}`));
+    }
+
+    // A failed job can be resumed only if no other backfill was started for the shop since
+    if (action === 'resume') {
+      const activeJob = await backfillService.findActiveJob(job.shopId);
+      if (activeJob && activeJob.id !== job.id) {
+        return next(new ApiError(409, `Для магазина уже выполняется загрузка заказов (ID: ${activeJob.id}, статус ${activeJob.status})`));
+      }
+    }
+
+    await backfillService[action](job);
+
+    res.status(200).json({
+      success: true,
+      message: `Загрузка заказов ${job.id} ${BACKFILL_ACTIONS[action].message}`,
+      data: backfillService.toStatusJSON(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pause a backfill job after the current chunk
+// @route   POST /api/kaspi/backfill/:id/pause
+// @access  Private/Admin
+const pauseBackfill = changeBackfillJob('pause');
+
+// @desc    Resume a paused or failed backfill job from its checkpoint
+// @route   POST /api/kaspi/backfill/:id/resume
+// @access  Private/Admin
+const resumeBackfill = changeBackfillJob('resume');
+
+// @desc    Cancel a backfill job
+// @route   POST /api/kaspi/backfill/:id/cancel
+// @access  Private/Admin
+const cancelBackfill = changeBackfillJob('cancel');
+
 module.exports = {
   fetchOrders,
   getOrderDetails,
   updateOrderStatus,
   getProductDetails,
-  generateReviewLink
+  generateReviewLink,
+  createBackfill,
+  getBackfillJobs,
+  getBackfillJob,
+  pauseBackfill,
+  resumeBackfill,
+  cancelBackfill
 };
\ No newline at end of file
@@ -4,8 +4,15 @@ const whatsappService = require('../services/whatsappService');
 const whatsappCloudService = require('../services/whatsappCloudService');
 const kaspiService = require('../services/kaspiService');
 const messageTemplates = require('../services/messageTemplates');
-const { Order } = require('../models');
+const messageTrackingService = require('../services/messageTrackingService');
+const outboxService = require('../services/outboxService');
+const shopService = require('../services/shopService');
+const { Order, Message } = require('../models');
 const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const { TemplateError } = require('../utils/templateEngine');
+const { SUPPORTED_LANGUAGES, normalizeLanguage, resolveLanguage } = require('../utils/languageUtils');
+const { isValidTimeZone, normalizeWeeklySchedule } = require('../utils/timeUtils');
 const logger = require('../services/loggerService');
 const { Op } = require('sequelize');
 const config = require('../config/config');
@@ -23,12 +30,19 @@ const manualSendReviewRequests = async (req, res, next) => {
       return next(new ApiError(400, 'Лимит должен быть положительным числом не более 50'));
     }
 
+    // Пользователь магазина отправляет запросы только по заказам своего магазина
+    const scope = getShopScope(req);
+    const shop = scope.shopId ? await shopService.getShopById(scope.shopId) : null;
+    if (scope.shopId && !shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
     // Запускаем ручную отправку уведомлений
-    const results = await notificationScheduler.manualSendReviewRequests(parsedLimit);
+    const results = await notificationScheduler.manualSendReviewRequests(parsedLimit, shop);
     
     res.status(200).json({
       success: true,
-      message: `Запущена отправка запросов на отзывы для ${results.length} заказов`,
+      message: `Запросы на отзывы поставлены в очередь для ${results.filter(result => result.status === 'queued').length} заказов`,
       data: results
     });
   } catch (error) {
@@ -41,13 +55,18 @@ const manualSendReviewRequests = async (req, res, next) => {
 // @access  Private
 const getNotificationStats = async (req, res, next) => {
   try {
+    const scope = getShopScope(req);
+    
     // Получаем статистику по всем уведомлениям
-    const totalCount = await Order.count();
-    const pendingCount = await Order.count({ where: { notificationStatus: 'pending' } });
-    const sentCount = await Order.count({ where: { notificationStatus: 'sent' } });
-    const deliveredCount = await Order.count({ where: { notificationStatus: 'delivered' } });
-    const readCount = await Order.count({ where: { notificationStatus: 'read' } });
-    const failedCount = await Order.count({ where: { notificationStatus: 'failed' } });
+    const totalCount = await Order.count({ where: scope });
+    const pendingCount = await Order.count({ where: { ...scope, notificationStatus: 'pending' } });
+    const queuedCount = await Order.count({ where: { ...scope, notificationStatus: 'queued' } });
+    const sentCount = await Order.count({ where: { ...scope, notificationStatus: 'sent' } });
+    const deliveredCount = await Order.count({ where: { ...scope, notificationStatus: 'delivered' } });
+    const readCount = await Order.count({ where: { ...scope, notificationStatus: 'read' } });
+    const failedCount = await Order.count({ where: { ...scope, notificationStatus: 'failed' } });
+    const suppressedCount = await Order.count({ where: { ...scope, notificationStatus: 'suppressed' } });
+    const suppressedCapCount = await Order.count({ where: { ...scope, notificationStatus: 'suppressed_cap' } });
     
     // Получаем статистику за последние 7 дней
     const last7Days = new Date();
@@ -55,15 +74,19 @@ const getNotificationStats = async (req, res, next) => {
     
     const last7DaysCount = await Order.count({
       where: {
+        ...scope,
         notificationSentAt: {
           [Op.gte]: last7Days
         }
       }
     });
     
+    // Состояние очереди исходящих сообщений
+    const outboxStats = await outboxService.getQueueStats(scope);
+    
     // Получаем последние неудачные отправки
     const lastFailed = await Order.findAll({
-      where: { notificationStatus: 'failed' },
+      where: { ...scope, notificationStatus: 'failed' },
       limit: 10,
       order: [['updatedAt', 'DESC']],
       attributes: ['id', 'kaspiOrderId', 'customerPhone', 'notificationError', 'updatedAt']
@@ -74,10 +97,14 @@ const getNotificationStats = async (req, res, next) => {
       data: {
         total: totalCount,
         pending: pendingCount,
+        queued: queuedCount,
         sent: sentCount,
         delivered: deliveredCount,
         read: readCount,
         failed: failedCount,
+        suppressed: suppressedCount,
+        suppressedCap: suppressedCapCount,
+        outbox: outboxStats,
         last7Days: last7DaysCount,
         lastFailed: lastFailed
       }
@@ -92,35 +119,76 @@ const getNotificationStats = async (req, res, next) => {
 // @access  Private/Admin
 const setTimeWindow = async (req, res, next) => {
   try {
-    const { startHour, endHour } = req.body;
+    const { startHour, endHour, timezone, weeklySchedule } = req.body;
     
-    // Проверяем, что оба параметра являются числами
-    const parsedStartHour = parseInt(startHour);
-    const parsedEndHour = parseInt(endHour);
+    if (startHour === undefined && endHour === undefined && timezone === undefined && weeklySchedule === undefined) {
+      return next(new ApiError(400, 'Необходимо указать время отправки (startHour, endHour), часовой пояс (timezone) или расписание по дням недели (weeklySchedule)'));
+    }
+    
+    // Время отправки настраивается для магазина пользователя или магазина из параметра shopId
+    const shop = await shopService.resolveShop(getShopScope(req));
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
     
-    if (isNaN(parsedStartHour) || isNaN(parsedEndHour)) {
-      return next(new ApiError(400, 'Начальный и конечный часы должны быть числами'));
+    const window = {};
+    
+    if (startHour !== undefined || endHour !== undefined) {
+      // Не указанный час остается прежним
+      const parsedStartHour = parseInt(startHour !== undefined ? startHour : shop.startHour);
+      const parsedEndHour = parseInt(endHour !== undefined ? endHour : shop.endHour);
+      
+      if (isNaN(parsedStartHour) || isNaN(parsedEndHour)) {
+        return next(new ApiError(400, 'Начальный и конечный часы должны быть числами'));
+      }
+      
+      // Проверяем, что часы в допустимом диапазоне
+      if (parsedStartHour < 0 || parsedStartHour > 23 || parsedEndHour < 0 || parsedEndHour > 23) {
+        return next(new ApiError(400, 'Начальный и конечный часы должны быть в диапазоне от 0 до 23'));
+      }
+      
+      // Проверяем, что начальный час меньше конечного
+      if (parsedStartHour >= parsedEndHour) {
+        return next(new ApiError(400, 'Начальный час должен быть меньше конечного'));
+      }
+      
+      window.startHour = parsedStartHour;
+      window.endHour = parsedEndHour;
     }
     
-    // Проверяем, что часы в допустимом диапазоне
-    if (parsedStartHour < 0 || parsedStartHour > 23 || parsedEndHour < 0 || parsedEndHour > 23) {
-      return next(new ApiError(400, 'Начальный и конечный часы должны быть в диапазоне от 0 до 23'));
+    // null возвращает часовой пояс из настроек
+    if (timezone !== undefined) {
+      if (timezone !== null && !isValidTimeZone(timezone)) {
+        return next(new ApiError(400, `Неизвестный часовой пояс "${timezone}". Ожидается название из базы IANA, например Asia/Almaty`));
+      }
+      window.timezone = timezone;
     }
     
-    // Проверяем, что начальный час меньше конечного
-    if (parsedStartHour >= parsedEndHour) {
-      return next(new ApiError(400, 'Начальный час должен быть меньше конечного'));
+    // null отключает расписание по дням недели
+    if (weeklySchedule !== undefined) {
+      if (weeklySchedule === null) {
+        window.weeklySchedule = null;
+      } else {
+        const { schedule, error } = normalizeWeeklySchedule(weeklySchedule);
+        if (error) {
+          return next(new ApiError(400, error));
+        }
+        window.weeklySchedule = schedule;
+      }
     }
     
     // Устанавливаем временные рамки
-    notificationScheduler.setTimeWindow(parsedStartHour, parsedEndHour);
+    await notificationScheduler.setTimeWindow(shop, window);
     
     res.status(200).json({
       success: true,
-      message: `Установлены новые временные рамки для отправки уведомлений: с ${parsedStartHour}:00 до ${parsedEndHour}:00`,
+      message: `Установлены новые временные рамки для отправки уведомлений магазина "${shop.name}": с ${shop.startHour}:00 до ${shop.endHour}:00 (${shopService.getTimezone(shop)})`,
       data: {
-        startHour: parsedStartHour,
-        endHour: parsedEndHour
+        shopId: shop.id,
+        startHour: shop.startHour,
+        endHour: shop.endHour,
+        timezone: shopService.getTimezone(shop),
+        weeklySchedule: shop.weeklySchedule
       }
     });
   } catch (error) {
@@ -133,16 +201,27 @@ const setTimeWindow = async (req, res, next) => {
 // @access  Private
 const getSchedulerStatus = async (req, res, next) => {
   try {
+    const shop = await shopService.resolveShop(getShopScope(req));
+    
     const status = {
-      isRunning: true, // Предполагаем, что планировщик всегда работает после запуска
+      isRunning: notificationScheduler.isStarted,
+      shop: shop ? { id: shop.id, name: shop.name } : null,
       timeWindow: {
-        startHour: notificationScheduler.startHour,
-        endHour: notificationScheduler.endHour
+        startHour: shop ? shop.startHour : 9,
+        endHour: shop ? shop.endHour : 21,
+        timezone: shopService.getTimezone(shop),
+        weeklySchedule: shop ? shop.weeklySchedule : null
       },
+      // Можно ли отправлять уведомления прямо сейчас с учетом расписания и праздников
+      sendWindow: shop ? await shopService.checkSendWindow(shop) : null,
+      // Расписание, размер пачки и состояние задач планировщика
+      jobs: notificationScheduler.getJobsStatus(),
+      // До какой даты создания заказы загружены из Kaspi API
+      lastOrderSyncAt: shop ? shop.lastOrderSyncAt : null,
       maxDailyLimit: 250, // Лимит WhatsApp на количество начатых бизнесом диалогов в сутки
       whatsappApi: {
         type: config.whatsapp.type,
-        status: await checkWhatsAppStatus()
+        status: await checkWhatsAppStatus(shop)
       }
     };
     
@@ -162,7 +241,7 @@ const retryFailedNotifications = async (req, res, next) => {
   try {
     // Находим все заказы с неудачными уведомлениями
     const failedOrders = await Order.findAll({
-      where: { notificationStatus: 'failed' },
+      where: { ...getShopScope(req), notificationStatus: 'failed' },
       limit: 20 // Ограничиваем количество, чтобы не перегрузить систему
     });
     
@@ -179,31 +258,30 @@ const retryFailedNotifications = async (req, res, next) => {
     // Обрабатываем каждый заказ
     for (const order of failedOrders) {
       try {
-        // Отправляем запрос отзыва, используя соответствующий сервис на основе настроек
-        if (config.whatsapp.type === 'cloud') {
-          await whatsappCloudService.sendReviewRequest(order);
-        } else {
-          await whatsappService.sendReviewRequest(order);
+        // Номера с постоянной ошибкой (нет WhatsApp, нет согласия) повторно не отправляем
+        const previous = await outboxService.findByOrder(order.id, 'reviewRequest');
+        if (previous && previous.status === 'dead' && previous.retryable === false) {
+          results.push({
+            orderId: order.kaspiOrderId,
+            status: 'skipped',
+            errorCode: previous.errorCode,
+            error: previous.lastError
+          });
+          continue;
         }
         
-        // Обновляем статус уведомления
-        await order.update({
-          notificationStatus: 'sent',
-          notificationSentAt: new Date(),
-          notificationError: null
+        const { item } = await outboxService.enqueue(order, 'reviewRequest', {
+          source: 'manual',
+          force: true
         });
         
         results.push({
           orderId: order.kaspiOrderId,
-          status: 'success',
-          recipient: order.customerPhone
+          status: 'queued',
+          recipient: order.customerPhone,
+          outboxMessageId: item.id
         });
       } catch (error) {
-        // Обновляем статус с новой ошибкой
-        await order.update({
-          notificationError: error.message
-        });
-        
         results.push({
           orderId: order.kaspiOrderId,
           status: 'failed',
@@ -212,9 +290,14 @@ const retryFailedNotifications = async (req, res, next) => {
       }
     }
     
+    // Запускаем отправку в фоне
+    outboxService.drain();
+    
+    const queuedCount = results.filter(result => result.status === 'queued').length;
+    
     res.status(200).json({
       success: true,
-      message: `Повторная отправка выполнена для ${failedOrders.length} неудачных уведомлений`,
+      message: `Повторно поставлено в очередь ${queuedCount} из ${failedOrders.length} неудачных уведомлений`,
       data: results
     });
   } catch (error) {
@@ -222,36 +305,80 @@ const retryFailedNotifications = async (req, res, next) => {
   }
 };
 
+// @desc    Список недоставленных сообщений (dead letter)
+// @route   GET /api/notifications/dead-letter
+// @access  Private
+const getDeadLetters = async (req, res, next) => {
+  try {
+    const { templateName, retryable } = req.query;
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    const { count, rows } = await outboxService.getDeadLetters({
+      ...getShopScope(req),
+      limit,
+      offset,
+      templateName,
+      retryable: retryable === undefined ? undefined : retryable === 'true'
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Отправка тестового уведомления
 // @route   POST /api/notifications/test
 // @access  Private/Admin
 const sendTestNotification = async (req, res, next) => {
   try {
-    const { phoneNumber, templateName = 'testMessage', variables = {} } = req.body;
+    const { phoneNumber, templateName = 'testMessage', variables = {}, language } = req.body;
     
     if (!phoneNumber) {
       return next(new ApiError(400, 'Номер телефона обязателен'));
     }
     
+    // Сообщение отправляется от имени магазина пользователя
+    const shop = await shopService.resolveShop(getShopScope(req));
+    
+    const messageLanguage = language ? normalizeLanguage(language) : resolveLanguage(null, shop);
+    if (!messageLanguage) {
+      return next(new ApiError(400, `Некорректный язык. Допустимые значения: ${SUPPORTED_LANGUAGES.join(', ')}`));
+    }
+    
     // Проверяем, существует ли шаблон
-    const templates = messageTemplates.getAllTemplates();
-    if (!templates[templateName]) {
+    if (!messageTemplates.getTemplateText(templateName, shop, messageLanguage)) {
       return next(new ApiError(404, `Шаблон с именем "${templateName}" не найден`));
     }
     
     // Компилируем шаблон с предоставленными переменными
-    const compiledMessage = messageTemplates.compile(templateName, {
-      ...variables,
-      timestamp: new Date().toLocaleString('ru-RU'),
-      testValue: variables.testValue || 'Тестовое сообщение'
-    });
+    let compiledMessage;
+    try {
+      compiledMessage = messageTemplates.compile(templateName, {
+        ...variables,
+        timestamp: new Date().toLocaleString('ru-RU'),
+        testValue: variables.testValue || 'Тестовое сообщение'
+      }, shop, messageLanguage);
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return next(new ApiError(400, `Ошибка в шаблоне "${templateName}": ${error.message}`));
+      }
+      throw error;
+    }
     
     // Отправляем тестовое сообщение через соответствующий сервис
     let result;
     if (config.whatsapp.type === 'cloud') {
-      result = await whatsappCloudService.sendTextMessage(phoneNumber, compiledMessage);
+      result = await whatsappCloudService.forShop(shop).sendTextMessage(phoneNumber, compiledMessage);
     } else {
-      result = await whatsappService.sendMessage(phoneNumber, compiledMessage);
+      result = await whatsappService.sendMessage(phoneNumber, compiledMessage, [], shop?.id);
     }
     
     res.status(200).json({
@@ -260,6 +387,7 @@ const sendTestNotification = async (req, res, next) => {
       data: {
         recipient: phoneNumber,
         template: templateName,
+        language: messageLanguage,
         compiledMessage,
         result
       }
@@ -298,69 +426,51 @@ const getDailyStats = async (req, res, next) => {
     }
     
     try {
-      // Pull data from the database with safe handling
-      const { Order } = require('../models');
-      const { Op } = require('sequelize');
+      const scope = getShopScope(req);
       
-      if (!Order) {
-        logger.warn('Order model is undefined in getDailyStats');
-        
-        // Return the initialized stats even if the model isn't found
-        const sortedStats = Object.values(dailyStats).sort((a, b) => 
-          new Date(a.date) - new Date(b.date)
-        );
-        
-        return res.status(200).json({
-          success: true,
-          data: sortedStats
-        });
-      }
-      
-      // Find orders with notifications from the past 30 days
-      const notifications = await Order.findAll({
+      // Статистика строится по исходящим сообщениям и их статусам из вебхуков WhatsApp
+      const messages = await Message.findAll({
         where: {
-          notificationSentAt: {
+          sentAt: {
             [Op.gte]: thirtyDaysAgo
           }
         },
-        attributes: ['notificationSentAt', 'notificationStatus']
+        include: scope.shopId ? [{ model: Order, as: 'order', where: scope, attributes: [] }] : [],
+        attributes: ['sentAt', 'status', 'deliveredAt', 'readAt']
       });
       
-      logger.info(`Found ${notifications.length} notifications for daily stats`);
+      logger.info(`Found ${messages.length} messages for daily stats`);
       
-      // Process each notification
-      notifications.forEach(notification => {
-        if (!notification.notificationSentAt) return;
+      // Process each message
+      messages.forEach(message => {
+        if (!message.sentAt) return;
         
-        const dateString = notification.notificationSentAt.toISOString().split('T')[0];
+        const dateString = new Date(message.sentAt).toISOString().split('T')[0];
         if (!dailyStats[dateString]) return;
         
         dailyStats[dateString].total += 1;
         
-        switch (notification.notificationStatus) {
-          case 'sent':
-            dailyStats[dateString].sent += 1;
-            break;
-          case 'delivered':
-            dailyStats[dateString].delivered += 1;
-            break;
-          case 'read':
-            dailyStats[dateString].read += 1;
-            break;
-          case 'failed':
-            dailyStats[dateString].failed += 1;
-            break;
+        if (message.status === 'failed') {
+          dailyStats[dateString].failed += 1;
+          return;
         }
+        
+        dailyStats[dateString].sent += 1;
+        if (message.deliveredAt) dailyStats[dateString].delivered += 1;
+        if (message.readAt) dailyStats[dateString].read += 1;
       });
     } catch (error) {
       logger.error('Error fetching notification data for daily stats:', error);
       // We'll continue with empty stats rather than failing the request
     }
     
-    // Transform the object into an array sorted by date
-    const sortedStats = Object.values(dailyStats).sort((a, b) => 
-      new Date(a.date) - new Date(b.date)
-    );
+    // Transform the object into an array sorted by date and add delivery/read rates
+    const sortedStats = Object.values(dailyStats)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(day => ({
+        ...day,
+        ...messageTrackingService.buildStats(day.total, day.delivered, day.read, day.failed)
+      }));
     
     res.status(200).json({
       success: true,
@@ -374,10 +484,10 @@ const getDailyStats = async (req, res, next) => {
 
 
 // Вспомогательная функция для проверки статуса WhatsApp
-const checkWhatsAppStatus = async () => {
+const checkWhatsAppStatus = async (shop = null) => {
   try {
     if (config.whatsapp.type === 'cloud') {
-      return await whatsappCloudService.checkStatus();
+      return await whatsappCloudService.forShop(shop).checkStatus();
     } else {
       return await whatsappService.checkConnectionStatus();
     }
@@ -397,6 +507,7 @@ module.exports = {
   setTimeWindow,
   getSchedulerStatus,
   retryFailedNotifications,
+  getDeadLetters,
   sendTestNotification,
   getDailyStats
 };
\ No newline at end of file
@@ -0,0 +1,215 @@
+// controllers/notificationRuleController.js
+const { Op } = require('sequelize');
+const { NotificationRule } = require('../models');
+const kaspiService = require('../services/kaspiService');
+const messageTemplates = require('../services/messageTemplates');
+const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+
+// Пользователь магазина видит правила своего магазина и общие правила
+const getRuleScope = (req) => {
+  const { shopId } = getShopScope(req);
+  return shopId ? { shopId: { [Op.or]: [null, shopId] } } : {};
+};
+
+// Общие правила может изменять только пользователь без привязки к магазину
+const canModifyRule = (req, rule) => !req.user.shopId || rule.shopId === req.user.shopId;
+
+// Проверяет и нормализует поля правила из тела запроса
+// Возвращает объект с полями или строку с текстом ошибки
+const parseRuleFields = (body, isUpdate = false) => {
+  const fields = {};
+  const { name, description, triggerStatus, delayMinutes, maxAgeHours, templateName, isActive } = body;
+
+  if (name !== undefined) {
+    if (!name) return 'Название правила не может быть пустым';
+    fields.name = name;
+  } else if (!isUpdate) {
+    return 'Необходимо указать название правила (name)';
+  }
+
+  if (description !== undefined) {
+    fields.description = description;
+  }
+
+  if (triggerStatus !== undefined) {
+    const statuses = kaspiService.getLocalOrderStatuses();
+    if (!statuses.includes(triggerStatus)) {
+      return `Некорректный статус заказа. Допустимые значения: ${statuses.join(', ')}`;
+    }
+    fields.triggerStatus = triggerStatus;
+  } else if (!isUpdate) {
+    return 'Необходимо указать статус заказа (triggerStatus)';
+  }
+
+  if (templateName !== undefined) {
+    const templates = messageTemplates.getAllTemplates();
+    if (!templates[templateName]) {
+      return `Шаблон с именем "${templateName}" не найден`;
+    }
+    fields.templateName = templateName;
+  } else if (!isUpdate) {
+    return 'Необходимо указать шаблон сообщения (templateName)';
+  }
+
+  if (delayMinutes !== undefined) {
+    const parsedDelay = parseInt(delayMinutes);
+    if (isNaN(parsedDelay) || parsedDelay < 0) {
+      return 'Задержка (delayMinutes) должна быть неотрицательным числом';
+    }
+    fields.delayMinutes = parsedDelay;
+  }
+
+  if (maxAgeHours !== undefined) {
+    const parsedMaxAge = parseInt(maxAgeHours);
+    if (isNaN(parsedMaxAge) || parsedMaxAge <= 0) {
+      return 'Срок актуальности (maxAgeHours) должен быть положительным числом';
+    }
+    fields.maxAgeHours = parsedMaxAge;
+  }
+
+  if (isActive !== undefined) {
+    fields.isActive = !!isActive;
+  }
+
+  return fields;
+};
+
+// @desc    Получение всех правил уведомлений
+// @route   GET /api/notifications/rules
+// @access  Private
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await NotificationRule.findAll({
+      where: getRuleScope(req),
+      order: [['id', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение правила уведомления по ID
+// @route   GET /api/notifications/rules/:id
+// @access  Private
+const getRuleById = async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.findOne({
+      where: { ...getRuleScope(req), id: req.params.id }
+    });
+
+    if (!rule) {
+      return next(new ApiError(404, 'Правило не найдено'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Создание правила уведомления
+// @route   POST /api/notifications/rules
+// @access  Private/Admin
+const createRule = async (req, res, next) => {
+  try {
+    const fields = parseRuleFields(req.body);
+    if (typeof fields === 'string') {
+      return next(new ApiError(400, fields));
+    }
+
+    // Правило без магазина действует для всех магазинов
+    const rule = await NotificationRule.create({
+      ...fields,
+      userId: req.user.id,
+      shopId: getShopScope(req).shopId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Правило "${rule.name}" успешно создано`,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Обновление правила уведомления
+// @route   PUT /api/notifications/rules/:id
+// @access  Private/Admin
+const updateRule = async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.findOne({
+      where: { ...getRuleScope(req), id: req.params.id }
+    });
+
+    if (!rule) {
+      return next(new ApiError(404, 'Правило не найдено'));
+    }
+
+    if (!canModifyRule(req, rule)) {
+      return next(new ApiError(403, 'Общее правило может изменить только администратор без привязки к магазину'));
+    }
+
+    const fields = parseRuleFields(req.body, true);
+    if (typeof fields === 'string') {
+      return next(new ApiError(400, fields));
+    }
+
+    await rule.update(fields);
+
+    res.status(200).json({
+      success: true,
+      message: `Правило "${rule.name}" успешно обновлено`,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Удаление правила уведомления
+// @route   DELETE /api/notifications/rules/:id
+// @access  Private/Admin
+const deleteRule = async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.findOne({
+      where: { ...getRuleScope(req), id: req.params.id }
+    });
+
+    if (!rule) {
+      return next(new ApiError(404, 'Правило не найдено'));
+    }
+
+    if (!canModifyRule(req, rule)) {
+      return next(new ApiError(403, 'Общее правило может удалить только администратор без привязки к магазину'));
+    }
+
+    await rule.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: `Правило "${rule.name}" успешно удалено`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -1,19 +1,98 @@
 // controllers/orderController.js
 
-const { Order } = require('../models');
-const whatsappService = require('../services/whatsappService');
+const { Order, Message } = require('../models');
+const messageTrackingService = require('../services/messageTrackingService');
+const outboxService = require('../services/outboxService');
+const orderQueryBuilder = require('../services/orderQueryBuilder');
+const orderExportService = require('../services/orderExportService');
+const orderImportService = require('../services/orderImportService');
+const shopService = require('../services/shopService');
+const logger = require('../services/loggerService');
 const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('../utils/languageUtils');
 
-// Получение списка всех заказов
+// Получение списка заказов с фильтрами, сортировкой и постраничной выдачей
+// Параметры: orderStatus, notificationStatus, dateFrom, dateTo, amountMin, amountMax, phone, productCode,
+// search, sort, direction, limit, offset
 exports.getOrders = async (req, res, next) => {
   try {
-    const orders = await Order.findAll({
-      order: [['createdAt', 'DESC']]
+    const { options, error } = orderQueryBuilder.build(req.query, getShopScope(req));
+    if (error) {
+      return next(new ApiError(400, error));
+    }
+
+    const { count, rows } = await Order.findAndCountAll(options);
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Выгрузка заказов в CSV или XLSX с теми же фильтрами, что и у списка заказов
+// Параметры: format (csv или xlsx) и фильтры getOrders
+exports.exportOrders = async (req, res, next) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!orderExportService.isSupportedFormat(format)) {
+      return next(new ApiError(400, `Некорректный формат выгрузки. Допустимые значения: ${orderExportService.getFormats().join(', ')}`));
+    }
+
+    const { where, error } = orderQueryBuilder.buildWhere(req.query, getShopScope(req));
+    if (error) {
+      return next(new ApiError(400, error));
+    }
+
+    const fileName = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.attachment(fileName);
+    res.type(format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+
+    try {
+      const count = await orderExportService.export(format, where, res);
+      logger.info(`Выгружено заказов в ${format}: ${count}`);
+    } catch (exportError) {
+      // Заголовки уже отправлены, поэтому вернуть ошибку в JSON нельзя - обрываем ответ
+      logger.error('Ошибка при выгрузке заказов:', exportError);
+      res.destroy();
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Импорт заказов из файла выгрузки кабинета продавца Kaspi (XLSX или CSV, поле file)
+// Заказы, которые уже есть в базе, не дублируются - у них обновляется статус
+exports.importOrders = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ApiError(400, 'Необходимо загрузить файл выгрузки заказов (поле file)'));
+    }
+
+    // Администратор всех магазинов указывает магазин параметром shopId, по умолчанию первый активный
+    const shop = await shopService.resolveShop(getShopScope(req));
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    let report;
+    try {
+      report = await orderImportService.importFile(shop, req.file);
+    } catch (importError) {
+      return next(new ApiError(400, `Не удалось прочитать файл: ${importError.message}`));
+    }
+
     res.status(200).json({
       success: true,
-      count: orders.length,
-      data: orders
+      message: `Импорт заказов завершен: создано ${report.created}, обновлено ${report.updated}, без изменений ${report.unchanged}, заказов с ошибками ${report.failedOrders}, строк с ошибками ${report.failedRows}`,
+      data: report
     });
   } catch (error) {
     next(error);
@@ -24,7 +103,10 @@ exports.getOrders = async (req, res, next) => {
 exports.getOrderById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const order = await Order.findByPk(id);
+    const order = await Order.findOne({
+      where: { ...getShopScope(req), id },
+      include: [{ model: Message, as: 'messages' }]
+    });
     if (!order) {
       return next(new ApiError(404, 'Заказ не найден'));
     }
@@ -41,9 +123,9 @@ exports.getOrderById = async (req, res, next) => {
 exports.updateOrder = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { orderStatus, notificationStatus } = req.body;
+    const { orderStatus, notificationStatus, preferredLanguage, reviewNotBefore } = req.body;
     
-    const order = await Order.findByPk(id);
+    const order = await Order.findOne({ where: { ...getShopScope(req), id } });
     if (!order) {
       return next(new ApiError(404, 'Заказ не найден'));
     }
@@ -55,8 +137,36 @@ exports.updateOrder = async (req, res, next) => {
       order.notificationStatus = notificationStatus;
     }
     
+    // Время, раньше которого не отправляется запрос отзыва. null - отправить, как только сработает правило
+    if (reviewNotBefore !== undefined) {
+      const notBefore = reviewNotBefore === null ? null : new Date(reviewNotBefore);
+      if (notBefore && isNaN(notBefore.getTime())) {
+        return next(new ApiError(400, 'Некорректное время отправки запроса отзыва (reviewNotBefore)'));
+      }
+      order.reviewNotBefore = notBefore;
+    }
+    
+    // null сбрасывает выбор клиента - будет использоваться язык магазина
+    let languageChanged = false;
+    if (preferredLanguage !== undefined) {
+      const language = preferredLanguage === null ? null : normalizeLanguage(preferredLanguage);
+      if (preferredLanguage !== null && !language) {
+        return next(new ApiError(400, `Некорректный язык. Допустимые значения: ${SUPPORTED_LANGUAGES.join(', ')}`));
+      }
+      order.preferredLanguage = language;
+      languageChanged = true;
+    }
+    
     await order.save();
     
+    // Язык - предпочтение клиента, поэтому применяем его ко всем заказам с этим номером в магазине
+    if (languageChanged && order.customerPhone) {
+      await Order.update(
+        { preferredLanguage: order.preferredLanguage },
+        { where: { shopId: order.shopId, customerPhone: order.customerPhone } }
+      );
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Заказ успешно обновлён',
@@ -72,23 +182,26 @@ exports.sendNotification = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const order = await Order.findByPk(id);
+    const order = await Order.findOne({ where: { ...getShopScope(req), id } });
     if (!order) {
       return next(new ApiError(404, 'Заказ не найден'));
     }
     
-    // Отправляем запрос отзыва через WhatsApp API
-    const result = await whatsappService.sendReviewRequest(order);
+    // Ставим запрос отзыва в очередь. Ручная отправка разрешает повторить уже обработанное сообщение
+    const { item, created } = await outboxService.enqueue(order, 'reviewRequest', {
+      source: 'manual',
+      force: true
+    });
     
-    // Обновляем статус уведомления
-    order.notificationStatus = 'sent';
-    order.notificationSentAt = new Date();
-    await order.save();
+    // Запускаем отправку в фоне, статус уведомления обновится после отправки
+    outboxService.drain();
     
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Уведомление успешно отправлено',
-      data: result
+      message: created
+        ? 'Уведомление поставлено в очередь на отправку'
+        : 'Уведомление уже находится в очереди на отправку',
+      data: item
     });
   } catch (error) {
     next(error);
@@ -98,22 +211,36 @@ exports.sendNotification = async (req, res, next) => {
 // Получение статистики по заказам
 exports.getOrderStats = async (req, res, next) => {
   try {
-    const totalCount = await Order.count();
-    const pendingCount = await Order.count({ where: { notificationStatus: 'pending' } });
-    const sentCount = await Order.count({ where: { notificationStatus: 'sent' } });
-    const deliveredCount = await Order.count({ where: { notificationStatus: 'delivered' } });
-    const readCount = await Order.count({ where: { notificationStatus: 'read' } });
-    const failedCount = await Order.count({ where: { notificationStatus: 'failed' } });
+    const scope = getShopScope(req);
+    
+    const totalCount = await Order.count({ where: scope });
+    const pendingCount = await Order.count({ where: { ...scope, notificationStatus: 'pending' } });
+    const queuedCount = await Order.count({ where: { ...scope, notificationStatus: 'queued' } });
+    const sentCount = await Order.count({ where: { ...scope, notificationStatus: 'sent' } });
+    const deliveredCount = await Order.count({ where: { ...scope, notificationStatus: 'delivered' } });
+    const readCount = await Order.count({ where: { ...scope, notificationStatus: 'read' } });
+    const failedCount = await Order.count({ where: { ...scope, notificationStatus: 'failed' } });
+    const suppressedCount = await Order.count({ where: { ...scope, notificationStatus: 'suppressed' } });
+    const suppressedCapCount = await Order.count({ where: { ...scope, notificationStatus: 'suppressed_cap' } });
+    
+    // Реальные доли доставки и прочтения по статусам из вебхуков WhatsApp
+    const messages = await messageTrackingService.getDeliveryStats({}, scope.shopId ? scope : null);
     
     res.status(200).json({
       success: true,
       data: {
         total: totalCount,
         pending: pendingCount,
+        queued: queuedCount,
         sent: sentCount,
         delivered: deliveredCount,
         read: readCount,
-        failed: failedCount
+        failed: failedCount,
+        suppressed: suppressedCount,
+        suppressedCap: suppressedCapCount,
+        deliveryRate: messages.deliveryRate,
+        readRate: messages.readRate,
+        messages
       }
     });
   } catch (error) {
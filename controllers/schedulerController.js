@@ -0,0 +1,141 @@
+// controllers/schedulerController.js
+const cron = require('node-cron');
+const notificationScheduler = require('../services/notificationScheduler');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Максимальный размер пачки, который можно задать через API
+const MAX_BATCH_SIZE = 500;
+
+// @desc    Задачи планировщика: расписание, размер пачки и состояние
+// @route   GET /api/notifications/jobs
+// @access  Private/Admin
+const getJobs = async (req, res, next) => {
+  try {
+    const jobs = notificationScheduler.getJobsStatus();
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Изменение расписания и размера пачки задачи планировщика
+// @route   PUT /api/notifications/jobs/:name
+// @access  Private/Admin
+const updateJob = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    if (!notificationScheduler.hasJob(name)) {
+      return next(new ApiError(404, `Задача планировщика "${name}" не найдена`));
+    }
+
+    const { cronExpression, batchSize, isEnabled } = req.body;
+    const changes = {};
+
+    if (cronExpression !== undefined) {
+      if (typeof cronExpression !== 'string' || !cron.validate(cronExpression.trim())) {
+        return next(new ApiError(400, `Некорректное расписание (cronExpression): "${cronExpression}"`));
+      }
+      changes.cronExpression = cronExpression.trim();
+    }
+
+    if (batchSize !== undefined) {
+      if (notificationScheduler.getJobSettings(name).batchSize === null) {
+        return next(new ApiError(400, `Задача "${name}" не обрабатывает записи пачками`));
+      }
+
+      const parsedBatchSize = parseInt(batchSize);
+      if (isNaN(parsedBatchSize) || parsedBatchSize < 1 || parsedBatchSize > MAX_BATCH_SIZE) {
+        return next(new ApiError(400, `Размер пачки (batchSize) должен быть числом от 1 до ${MAX_BATCH_SIZE}`));
+      }
+      changes.batchSize = parsedBatchSize;
+    }
+
+    if (isEnabled !== undefined) {
+      changes.isEnabled = !!isEnabled;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return next(new ApiError(400, 'Необходимо указать cronExpression, batchSize или isEnabled'));
+    }
+
+    const job = await notificationScheduler.updateJob(name, changes, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Настройки задачи "${name}" сохранены`,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Приостанавливает или возобновляет задачу планировщика
+const setJobEnabled = (isEnabled) => async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    if (!notificationScheduler.hasJob(name)) {
+      return next(new ApiError(404, `Задача планировщика "${name}" не найдена`));
+    }
+
+    const job = await notificationScheduler.updateJob(name, { isEnabled }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Задача "${name}" ${isEnabled ? 'возобновлена' : 'приостановлена'}`,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Приостановка задачи планировщика
+// @route   POST /api/notifications/jobs/:name/pause
+// @access  Private/Admin
+const pauseJob = setJobEnabled(false);
+
+// @desc    Возобновление задачи планировщика
+// @route   POST /api/notifications/jobs/:name/resume
+// @access  Private/Admin
+const resumeJob = setJobEnabled(true);
+
+// @desc    Запуск задачи планировщика вне расписания
+// @route   POST /api/notifications/jobs/:name/run
+// @access  Private/Admin
+const runJob = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    if (!notificationScheduler.hasJob(name)) {
+      return next(new ApiError(404, `Задача планировщика "${name}" не найдена`));
+    }
+
+    if (notificationScheduler.getJobStatus(name).isRunning) {
+      return next(new ApiError(409, `Задача "${name}" уже выполняется`));
+    }
+
+    // Задача может выполняться долго, поэтому не дожидаемся ее завершения
+    notificationScheduler.runJob(name, 'manual');
+
+    res.status(202).json({
+      success: true,
+      message: `Задача "${name}" запущена`,
+      data: notificationScheduler.getJobStatus(name)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  updateJob,
+  pauseJob,
+  resumeJob,
+  runJob
+};
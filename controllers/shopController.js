@@ -0,0 +1,281 @@
+// controllers/shopController.js
+const { Shop, User, Order } = require('../models');
+const shopService = require('../services/shopService');
+const { ApiError } = require('../middleware/errorHandler');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('../utils/languageUtils');
+const { isValidTimeZone, normalizeWeeklySchedule } = require('../utils/timeUtils');
+
+// Режимы запроса отзыва о заказе из нескольких товаров
+const REVIEW_REQUEST_MODES = ['combined', 'perProduct'];
+
+// Проверяет и нормализует поля магазина из тела запроса
+// Возвращает объект с полями или строку с текстом ошибки
+const parseShopFields = (body, isUpdate = false) => {
+  const fields = {};
+  const {
+    name,
+    companyName,
+    kaspiApiKey,
+    whatsappPhoneNumberId,
+    whatsappAccessToken,
+    whatsappBusinessAccountId,
+    startHour,
+    endHour,
+    timezone,
+    weeklySchedule,
+    reviewDelayHours,
+    reviewRequestIntervalDays,
+    weeklyMessageLimit,
+    reviewRequestMode,
+    maxReviewRequestsPerOrder,
+    defaultLanguage,
+    isActive
+  } = body;
+
+  if (name !== undefined) {
+    if (!name) return 'Название магазина не может быть пустым';
+    fields.name = name;
+  } else if (!isUpdate) {
+    return 'Необходимо указать название магазина (name)';
+  }
+
+  if (companyName !== undefined) {
+    if (!companyName) return 'Название компании не может быть пустым';
+    fields.companyName = companyName;
+  } else if (!isUpdate) {
+    fields.companyName = name;
+  }
+
+  if (kaspiApiKey !== undefined) fields.kaspiApiKey = kaspiApiKey || null;
+  if (whatsappPhoneNumberId !== undefined) fields.whatsappPhoneNumberId = whatsappPhoneNumberId || null;
+  if (whatsappAccessToken !== undefined) fields.whatsappAccessToken = whatsappAccessToken || null;
+  if (whatsappBusinessAccountId !== undefined) fields.whatsappBusinessAccountId = whatsappBusinessAccountId || null;
+
+  if (startHour !== undefined || endHour !== undefined) {
+    const parsedStart = parseInt(startHour !== undefined ? startHour : 9);
+    const parsedEnd = parseInt(endHour !== undefined ? endHour : 21);
+
+    if (isNaN(parsedStart) || isNaN(parsedEnd) || parsedStart < 0 || parsedEnd > 23 || parsedStart >= parsedEnd) {
+      return 'Время отправки должно быть в диапазоне от 0 до 23, начальный час меньше конечного';
+    }
+    fields.startHour = parsedStart;
+    fields.endHour = parsedEnd;
+  }
+
+  // null возвращает часовой пояс из настроек
+  if (timezone !== undefined) {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return `Неизвестный часовой пояс (timezone) "${timezone}". Ожидается название из базы IANA, например Asia/Almaty`;
+    }
+    fields.timezone = timezone || null;
+  }
+
+  if (weeklySchedule !== undefined) {
+    if (weeklySchedule === null) {
+      fields.weeklySchedule = null;
+    } else {
+      const { schedule, error } = normalizeWeeklySchedule(weeklySchedule);
+      if (error) return error;
+      fields.weeklySchedule = schedule;
+    }
+  }
+
+  // Задержка и ограничения частоты сообщений: null возвращает значение из настроек,
+  // 0 - отправка без задержки и без ограничения
+  const limits = { reviewDelayHours, reviewRequestIntervalDays, weeklyMessageLimit };
+  for (const [field, value] of Object.entries(limits)) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      fields[field] = null;
+      continue;
+    }
+
+    const parsed = parseInt(value);
+    if (isNaN(parsed) || parsed < 0) {
+      return `Некорректное значение ${field}: ожидается целое число не меньше 0`;
+    }
+    fields[field] = parsed;
+  }
+
+  if (reviewRequestMode !== undefined) {
+    if (!REVIEW_REQUEST_MODES.includes(reviewRequestMode)) {
+      return `Некорректный режим запроса отзыва (reviewRequestMode). Допустимые значения: ${REVIEW_REQUEST_MODES.join(', ')}`;
+    }
+    fields.reviewRequestMode = reviewRequestMode;
+  }
+
+  if (maxReviewRequestsPerOrder !== undefined) {
+    const parsed = parseInt(maxReviewRequestsPerOrder);
+    if (isNaN(parsed) || parsed < 1) {
+      return 'Максимум сообщений о товарах заказа (maxReviewRequestsPerOrder) должен быть не меньше 1';
+    }
+    fields.maxReviewRequestsPerOrder = parsed;
+  }
+
+  if (defaultLanguage !== undefined) {
+    const language = normalizeLanguage(defaultLanguage);
+    if (!language) {
+      return `Некорректный язык (defaultLanguage). Допустимые значения: ${SUPPORTED_LANGUAGES.join(', ')}`;
+    }
+    fields.defaultLanguage = language;
+  }
+
+  if (isActive !== undefined) {
+    fields.isActive = !!isActive;
+  }
+
+  return fields;
+};
+
+// @desc    Получение всех магазинов
+// @route   GET /api/shops
+// @access  Private/Admin
+const getShops = async (req, res, next) => {
+  try {
+    const shops = await Shop.findAll({
+      order: [['id', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: shops.length,
+      data: shops.map(shop => shopService.toPublicJSON(shop))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение магазина по ID
+// @route   GET /api/shops/:id
+// @access  Private/Admin
+const getShopById = async (req, res, next) => {
+  try {
+    const shop = await Shop.findByPk(req.params.id);
+
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: shopService.toPublicJSON(shop)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Создание магазина
+// @route   POST /api/shops
+// @access  Private/Admin
+const createShop = async (req, res, next) => {
+  try {
+    const fields = parseShopFields(req.body);
+    if (typeof fields === 'string') {
+      return next(new ApiError(400, fields));
+    }
+
+    const shop = await Shop.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: `Магазин "${shop.name}" успешно создан`,
+      data: shopService.toPublicJSON(shop)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Обновление магазина
+// @route   PUT /api/shops/:id
+// @access  Private/Admin
+const updateShop = async (req, res, next) => {
+  try {
+    const shop = await Shop.findByPk(req.params.id);
+
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    const fields = parseShopFields(req.body, true);
+    if (typeof fields === 'string') {
+      return next(new ApiError(400, fields));
+    }
+
+    await shop.update(fields);
+
+    res.status(200).json({
+      success: true,
+      message: `Магазин "${shop.name}" успешно обновлен`,
+      data: shopService.toPublicJSON(shop)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Удаление магазина без заказов
+// @route   DELETE /api/shops/:id
+// @access  Private/Admin
+const deleteShop = async (req, res, next) => {
+  try {
+    const shop = await Shop.findByPk(req.params.id);
+
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    // Магазин с заказами можно только отключить, чтобы не потерять историю
+    const ordersCount = await Order.count({ where: { shopId: shop.id } });
+    if (ordersCount > 0) {
+      return next(new ApiError(400, `У магазина есть заказы (${ordersCount}). Отключите магазин вместо удаления (isActive: false)`));
+    }
+
+    await shop.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: `Магазин "${shop.name}" успешно удален`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Привязка пользователя к магазину
+// @route   PUT /api/shops/:id/users/:userId
+// @access  Private/Admin
+const assignUser = async (req, res, next) => {
+  try {
+    const shop = await Shop.findByPk(req.params.id);
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return next(new ApiError(404, 'Пользователь не найден'));
+    }
+
+    await user.update({ shopId: shop.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Пользователь ${user.username} привязан к магазину "${shop.name}"`,
+      data: { id: user.id, username: user.username, role: user.role, shopId: user.shopId }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getShops,
+  getShopById,
+  createShop,
+  updateShop,
+  deleteShop,
+  assignUser
+};
@@ -0,0 +1,103 @@
+// controllers/suppressionController.js
+const { SuppressedPhone } = require('../models');
+const suppressionService = require('../services/suppressionService');
+const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const { normalizePhone } = require('../utils/phoneUtils');
+
+// @desc    Список номеров, отказавшихся от сообщений
+// @route   GET /api/whatsapp/suppressed
+// @access  Private
+const getSuppressedPhones = async (req, res, next) => {
+  try {
+    const where = { ...getShopScope(req) };
+    const { phone, source, includeInactive } = req.query;
+
+    if (phone) where.phoneNumber = normalizePhone(phone);
+    if (source) where.source = source;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { count, rows } = await SuppressedPhone.findAndCountAll({
+      where,
+      order: [['updatedAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Добавление номера в список отказавшихся от сообщений
+// @route   POST /api/whatsapp/suppressed
+// @access  Private/Admin
+const addSuppressedPhone = async (req, res, next) => {
+  try {
+    const { phoneNumber, reason, allShops } = req.body;
+
+    if (!normalizePhone(phoneNumber)) {
+      return next(new ApiError(400, 'Необходимо указать номер телефона (phoneNumber)'));
+    }
+
+    // Запрет для всех магазинов может установить только администратор без привязки к магазину
+    if (allShops && req.user.shopId) {
+      return next(new ApiError(403, 'Запрет для всех магазинов доступен только администратору всех магазинов'));
+    }
+
+    const shopId = allShops ? null : (getShopScope(req).shopId || null);
+    const record = await suppressionService.suppress(phoneNumber, shopId, {
+      source: 'manual',
+      reason,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Номер ${record.phoneNumber} добавлен в список отказавшихся от сообщений`,
+      data: record
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Удаление номера из списка отказавшихся от сообщений
+// @route   DELETE /api/whatsapp/suppressed/:id
+// @access  Private/Admin
+const removeSuppressedPhone = async (req, res, next) => {
+  try {
+    const record = await SuppressedPhone.findOne({
+      where: { ...getShopScope(req), id: req.params.id }
+    });
+
+    if (!record || !record.isActive) {
+      return next(new ApiError(404, 'Номер не найден в списке отказавшихся от сообщений'));
+    }
+
+    await suppressionService.unsuppress(record, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Номер ${record.phoneNumber} удален из списка отказавшихся от сообщений`,
+      data: record
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSuppressedPhones,
+  addSuppressedPhone,
+  removeSuppressedPhone
+};
@@ -2,33 +2,58 @@
 const fs = require('fs');
 const path = require('path');
 const messageTemplates = require('../services/messageTemplates');
+const templateService = require('../services/templateService');
+const shopService = require('../services/shopService');
 const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const { TemplateError } = require('../utils/templateEngine');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, normalizeLanguage } = require('../utils/languageUtils');
 const logger = require('../services/loggerService');
 
-// Путь к файлу с шаблонами
-const templatesFilePath = process.env.TEMPLATES_FILE_PATH || path.join(__dirname, '../config/templates.json');
+// Язык варианта шаблона из параметра language (в строке запроса или в теле).
+// Возвращает null, если язык не поддерживается
+const getLanguageParam = (req) => {
+  const language = req.query.language || (req.body && req.body.language);
+  return language ? normalizeLanguage(language) : DEFAULT_LANGUAGE;
+};
 
-// Функция для сохранения шаблонов в файл
-const saveTemplatesToFile = () => {
-  try {
-    const templates = messageTemplates.getAllTemplates();
-    fs.writeFileSync(templatesFilePath, JSON.stringify(templates, null, 2), 'utf8');
-    return true;
-  } catch (error) {
-    logger.error('Ошибка при сохранении шаблонов в файл:', error);
-    return false;
+const unsupportedLanguageError = () =>
+  new ApiError(400, `Неподдерживаемый язык. Допустимые значения: ${SUPPORTED_LANGUAGES.join(', ')}`);
+
+// Находит шаблон, видимый пользователю: шаблон магазина, а если его нет - общий
+const findScopedTemplate = async (req, name, language) => {
+  const { shopId } = getShopScope(req);
+  const options = { language, includeDeleted: true };
+
+  if (shopId) {
+    const shopTemplate = await templateService.findTemplate(name, shopId, options);
+    if (shopTemplate) {
+      return shopTemplate;
+    }
   }
+
+  return templateService.findTemplate(name, null, options);
 };
 
+// Общие шаблоны может изменять только пользователь без привязки к магазину
+const canModifyTemplate = (req, template) => !req.user.shopId || template.shopId === req.user.shopId;
+
 // @desc    Получение всех шаблонов сообщений
 // @route   GET /api/templates
 // @access  Private/Admin
 const getTemplates = async (req, res, next) => {
   try {
-    const templates = messageTemplates.getAllTemplates();
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
+    }
+    
+    const shop = await shopService.getShopById(getShopScope(req).shopId);
+    const templates = messageTemplates.getAllTemplates(shop, language);
     
     res.status(200).json({
       success: true,
+      language,
       data: templates
     });
   } catch (error) {
@@ -42,17 +67,29 @@ const getTemplates = async (req, res, next) => {
 const getTemplateByName = async (req, res, next) => {
   try {
     const { name } = req.params;
-    const templates = messageTemplates.getAllTemplates();
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
+    }
     
-    if (!templates[name]) {
-      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
+    const template = await findScopedTemplate(req, name, language);
+    
+    if (!template || !template.isActive) {
+      return next(new ApiError(404, `Шаблон с именем "${name}" на языке "${language}" не найден`));
     }
     
+    const shop = await shopService.getShopById(getShopScope(req).shopId);
+    
     res.status(200).json({
       success: true,
       data: {
         name,
-        content: templates[name]
+        language,
+        content: template.content,
+        shopId: template.shopId,
+        version: template.currentVersion,
+        updatedAt: template.updatedAt,
+        languages: messageTemplates.getTemplateLanguages(name, shop)
       }
     });
   } catch (error) {
@@ -65,33 +102,46 @@ const getTemplateByName = async (req, res, next) => {
 // @access  Private/Admin
 const createTemplate = async (req, res, next) => {
   try {
-    const { name, content } = req.body;
+    const { name, content, comment } = req.body;
     
     if (!name || !content) {
       return next(new ApiError(400, 'Необходимо указать имя (name) и содержание (content) шаблона'));
     }
     
-    const templates = messageTemplates.getAllTemplates();
+    const syntaxError = messageTemplates.validate(content);
+    if (syntaxError) {
+      return next(new ApiError(400, `Ошибка в шаблоне: ${syntaxError.message}`));
+    }
     
-    if (templates[name]) {
-      return next(new ApiError(400, `Шаблон с именем "${name}" уже существует`));
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
     }
     
-    const added = messageTemplates.addTemplate(name, content);
+    const shopId = getShopScope(req).shopId || null;
+    const shop = await shopService.getShopById(shopId);
     
-    if (!added) {
-      return next(new ApiError(500, 'Не удалось добавить шаблон'));
+    // Вариант шаблона на другом языке создается под тем же именем
+    if (messageTemplates.getTemplateLanguages(name, shop).includes(language)) {
+      return next(new ApiError(400, `Шаблон с именем "${name}" на языке "${language}" уже существует`));
     }
     
-    // Сохраняем шаблоны в файл
-    saveTemplatesToFile();
+    const template = await templateService.saveTemplate(name, content, {
+      shopId,
+      language,
+      userId: req.user.id,
+      comment
+    });
     
     res.status(201).json({
       success: true,
-      message: `Шаблон "${name}" успешно создан`,
+      message: `Шаблон "${name}" (${language}) успешно создан`,
       data: {
         name,
-        content
+        language,
+        content,
+        shopId,
+        version: template.currentVersion
       }
     });
   } catch (error) {
@@ -105,33 +155,47 @@ const createTemplate = async (req, res, next) => {
 const updateTemplate = async (req, res, next) => {
   try {
     const { name } = req.params;
-    const { content } = req.body;
+    const { content, comment } = req.body;
     
     if (!content) {
       return next(new ApiError(400, 'Необходимо указать содержание (content) шаблона'));
     }
     
-    const templates = messageTemplates.getAllTemplates();
+    const syntaxError = messageTemplates.validate(content);
+    if (syntaxError) {
+      return next(new ApiError(400, `Ошибка в шаблоне: ${syntaxError.message}`));
+    }
     
-    if (!templates[name]) {
-      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
     }
     
-    const updated = messageTemplates.updateTemplate(name, content);
+    const shopId = getShopScope(req).shopId || null;
+    const shop = await shopService.getShopById(shopId);
     
-    if (!updated) {
-      return next(new ApiError(500, 'Не удалось обновить шаблон'));
+    if (messageTemplates.getTemplateLanguages(name, shop).length === 0) {
+      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
     }
     
-    // Сохраняем шаблоны в файл
-    saveTemplatesToFile();
+    // Для магазина изменение общего шаблона сохраняется как шаблон магазина.
+    // Если варианта на указанном языке еще нет, он будет добавлен
+    const template = await templateService.saveTemplate(name, content, {
+      shopId,
+      language,
+      userId: req.user.id,
+      comment
+    });
     
     res.status(200).json({
       success: true,
-      message: `Шаблон "${name}" успешно обновлен`,
+      message: `Шаблон "${name}" (${language}) успешно обновлен`,
       data: {
         name,
-        content
+        language,
+        content,
+        shopId,
+        version: template.currentVersion
       }
     });
   } catch (error) {
@@ -145,31 +209,146 @@ const updateTemplate = async (req, res, next) => {
 const deleteTemplate = async (req, res, next) => {
   try {
     const { name } = req.params;
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
+    }
     
-    const templates = messageTemplates.getAllTemplates();
+    const shopId = getShopScope(req).shopId || null;
+    const template = await templateService.findTemplate(name, shopId, { language });
     
-    if (!templates[name]) {
-      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
+    if (!template) {
+      return next(new ApiError(404, `Шаблон с именем "${name}" на языке "${language}" не найден`));
     }
     
-    // Проверяем, чтобы не удалить системные шаблоны
-    const systemTemplates = ['reviewRequest', 'deliveryNotification', 'newOrderConfirmation', 'testMessage'];
-    if (systemTemplates.includes(name)) {
+    // Системные шаблоны нельзя удалить. Шаблон магазина или перевод можно удалить -
+    // будет использоваться общий шаблон или русский вариант
+    if (!shopId && language === DEFAULT_LANGUAGE && templateService.isSystemTemplate(name)) {
       return next(new ApiError(400, `Нельзя удалить системный шаблон "${name}"`));
     }
     
-    const deleted = messageTemplates.deleteTemplate(name);
+    await templateService.deleteTemplate(template, req.user.id);
     
-    if (!deleted) {
-      return next(new ApiError(500, 'Не удалось удалить шаблон'));
+    res.status(200).json({
+      success: true,
+      message: `Шаблон "${name}" (${language}) успешно удален`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение истории версий шаблона
+// @route   GET /api/templates/:name/versions
+// @access  Private
+const getTemplateVersions = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
     }
     
-    // Сохраняем шаблоны в файл
-    saveTemplatesToFile();
+    const template = await findScopedTemplate(req, name, language);
+    
+    if (!template) {
+      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
+    }
+    
+    const versions = await templateService.getVersions(template);
     
     res.status(200).json({
       success: true,
-      message: `Шаблон "${name}" успешно удален`
+      count: versions.length,
+      data: {
+        name,
+        language,
+        shopId: template.shopId,
+        currentVersion: template.currentVersion,
+        isActive: template.isActive,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение версии шаблона
+// @route   GET /api/templates/:name/versions/:version
+// @access  Private
+const getTemplateVersion = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
+    }
+    
+    const template = await findScopedTemplate(req, name, language);
+    
+    if (!template) {
+      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
+    }
+    
+    const version = await templateService.getVersion(template, parseInt(req.params.version));
+    
+    if (!version) {
+      return next(new ApiError(404, `Версия ${req.params.version} шаблона "${name}" не найдена`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Откат шаблона к предыдущей версии
+// @route   POST /api/templates/:name/versions/:version/rollback
+// @access  Private/Admin
+const rollbackTemplate = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const language = getLanguageParam(req);
+    if (!language) {
+      return next(unsupportedLanguageError());
+    }
+    
+    const template = await findScopedTemplate(req, name, language);
+    
+    if (!template) {
+      return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
+    }
+    
+    if (!canModifyTemplate(req, template)) {
+      return next(new ApiError(403, 'Общий шаблон может откатить только администратор без привязки к магазину'));
+    }
+    
+    const version = await templateService.getVersion(template, parseInt(req.params.version));
+    
+    if (!version) {
+      return next(new ApiError(404, `Версия ${req.params.version} шаблона "${name}" не найдена`));
+    }
+    
+    if (version.changeType === 'delete') {
+      return next(new ApiError(400, 'Нельзя откатить шаблон к версии, в которой он был удален'));
+    }
+    
+    const updated = await templateService.rollback(template, version, req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: `Шаблон "${name}" восстановлен из версии ${version.version}`,
+      data: {
+        name,
+        language,
+        content: updated.content,
+        shopId: updated.shopId,
+        version: updated.currentVersion
+      }
     });
   } catch (error) {
     next(error);
@@ -234,19 +413,45 @@ const testTemplate = async (req, res, next) => {
     const { name } = req.params;
     const variables = req.body;
     
-    const templates = messageTemplates.getAllTemplates();
+    // Язык передается в строке запроса, тело запроса содержит переменные шаблона
+    const language = req.query.language ? normalizeLanguage(req.query.language) : DEFAULT_LANGUAGE;
+    if (!language) {
+      return next(unsupportedLanguageError());
+    }
+    
+    const shop = await shopService.getShopById(getShopScope(req).shopId);
+    const templates = messageTemplates.getAllTemplates(shop, language);
     
     if (!templates[name]) {
       return next(new ApiError(404, `Шаблон с именем "${name}" не найден`));
     }
     
-    // Компилируем шаблон с предоставленными переменными
-    const compiledMessage = messageTemplates.compile(name, variables);
+    // Компилируем шаблон с предоставленными переменными.
+    // Ошибку в шаблоне возвращаем клиенту вместо резервного текста, чтобы ее можно было исправить
+    let compiledMessage;
+    try {
+      compiledMessage = messageTemplates.compile(name, variables, shop, language);
+    } catch (error) {
+      if (!(error instanceof TemplateError)) {
+        throw error;
+      }
+      
+      return res.status(400).json({
+        success: false,
+        message: `Ошибка в шаблоне "${name}": ${error.message}`,
+        data: {
+          name,
+          line: error.line,
+          column: error.column
+        }
+      });
+    }
     
     res.status(200).json({
       success: true,
       data: {
         name,
+        language,
         variables,
         compiledMessage
       }
@@ -256,35 +461,6 @@ const testTemplate = async (req, res, next) => {
   }
 };
 
-// Инициализация при запуске: загружаем шаблоны из файла, если он существует
-const initTemplates = () => {
-  try {
-    if (fs.existsSync(templatesFilePath)) {
-      const templatesData = fs.readFileSync(templatesFilePath, 'utf8');
-      const templates = JSON.parse(templatesData);
-      
-      Object.entries(templates).forEach(([name, content]) => {
-        // Не перезаписываем системные шаблоны
-        const systemTemplates = ['reviewRequest', 'deliveryNotification', 'newOrderConfirmation', 'testMessage'];
-        if (!systemTemplates.includes(name)) {
-          messageTemplates.addTemplate(name, content);
-        }
-      });
-      
-      logger.info(`Загружены шаблоны сообщений из файла ${templatesFilePath}`);
-    } else {
-      // Создаем файл с базовыми шаблонами
-      saveTemplatesToFile();
-      logger.info(`Создан файл с базовыми шаблонами сообщений: ${templatesFilePath}`);
-    }
-  } catch (error) {
-    logger.error('Ошибка при инициализации шаблонов:', error);
-  }
-};
-
-// Запускаем инициализацию
-initTemplates();
-
 module.exports = {
   getTemplates,
   getTemplateByName,
@@ -292,5 +468,8 @@ module.exports = {
   updateTemplate,
   deleteTemplate,
   updateCompanyName,
-  testTemplate
+  testTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  rollbackTemplate
 };
\ No newline at end of file
@@ -2,6 +2,8 @@
 const whatsappService = require('../services/whatsappService');
 const { AllowedPhone } = require('../models');
 const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const shopService = require('../services/shopService');
 const logger = require('../services/loggerService');
 
 // @desc    Check WhatsApp connection status
@@ -80,9 +82,15 @@ const addAllowedPhone = async (req, res, next) => {
     // Normalize phone number (remove spaces, dashes, etc.)
     const normalizedPhone = phoneNumber.replace(/\D/g, '');
     
+    // Phone is allowed for the user's shop (or the shop passed in shopId)
+    const shop = await shopService.resolveShop(getShopScope(req));
+    if (!shop) {
+      return next(new ApiError(404, 'Shop not found'));
+    }
+    
     // Check if phone already exists
     const existingPhone = await AllowedPhone.findOne({
-      where: { phoneNumber: normalizedPhone }
+      where: { phoneNumber: normalizedPhone, shopId: shop.id }
     });
     
     if (existingPhone) {
@@ -94,7 +102,8 @@ const addAllowedPhone = async (req, res, next) => {
       phoneNumber: normalizedPhone,
       description: description || '',
       isActive: true,
-      userId: req.user.id // Associate with the current user
+      userId: req.user.id, // Associate with the current user
+      shopId: shop.id
     });
     
     res.status(201).json({
@@ -113,6 +122,7 @@ const addAllowedPhone = async (req, res, next) => {
 const getAllowedPhones = async (req, res, next) => {
   try {
     const phones = await AllowedPhone.findAll({
+      where: getShopScope(req),
       order: [['createdAt', 'DESC']]
     });
     
@@ -133,7 +143,9 @@ const updateAllowedPhone = async (req, res, next) => {
   try {
     const { phoneNumber, description, isActive } = req.body;
     
-    const phone = await AllowedPhone.findByPk(req.params.id);
+    const phone = await AllowedPhone.findOne({
+      where: { ...getShopScope(req), id: req.params.id }
+    });
     
     if (!phone) {
       return next(new ApiError(404, 'Phone not found'));
@@ -169,7 +181,9 @@ const updateAllowedPhone = async (req, res, next) => {
 // @access  Private/Admin
 const deleteAllowedPhone = async (req, res, next) => {
   try {
-    const phone = await AllowedPhone.findByPk(req.params.id);
+    const phone = await AllowedPhone.findOne({
+      where: { ...getShopScope(req), id: req.params.id }
+    });
     
     if (!phone) {
       return next(new ApiError(404, 'Phone not found'));
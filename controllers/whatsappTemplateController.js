@@ -0,0 +1,249 @@
+// controllers/whatsappTemplateController.js
+const { WhatsAppTemplate } = require('../models');
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+const messageTemplates = require('../services/messageTemplates');
+const shopService = require('../services/shopService');
+const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+
+// Находит шаблон Meta в пределах магазина пользователя
+const findScopedTemplate = (req) => WhatsAppTemplate.findOne({
+  where: { ...getShopScope(req), id: req.params.id }
+});
+
+// @desc    Получение шаблонов Meta
+// @route   GET /api/templates/meta
+// @access  Private
+const getMetaTemplates = async (req, res, next) => {
+  try {
+    const where = { ...getShopScope(req) };
+    const { status, language, localTemplateName } = req.query;
+
+    if (status) where.status = String(status).toUpperCase();
+    if (language) where.language = language;
+    if (localTemplateName) where.localTemplateName = localTemplateName;
+
+    const templates = await WhatsAppTemplate.findAll({
+      where,
+      order: [['name', 'ASC'], ['language', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение шаблона Meta по ID
+// @route   GET /api/templates/meta/:id
+// @access  Private
+const getMetaTemplateById = async (req, res, next) => {
+  try {
+    const template = await findScopedTemplate(req);
+
+    if (!template) {
+      return next(new ApiError(404, 'Шаблон Meta не найден'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Переменные заказа, доступные для параметров шаблонов Meta
+// @route   GET /api/templates/meta/variables
+// @access  Private
+const getTemplateVariables = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: whatsappTemplateService.getAvailableVariables()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Синхронизация шаблонов с Meta
+// @route   POST /api/templates/meta/sync
+// @access  Private/Admin
+const syncMetaTemplates = async (req, res, next) => {
+  try {
+    const scope = getShopScope(req);
+
+    // Пользователь магазина синхронизирует только свой магазин
+    if (scope.shopId) {
+      const shop = await shopService.getShopById(scope.shopId);
+      if (!shop) {
+        return next(new ApiError(404, 'Магазин не найден'));
+      }
+
+      const summary = await whatsappTemplateService.syncTemplates(shop);
+      return res.status(200).json({
+        success: true,
+        message: `Шаблоны магазина "${shop.name}" синхронизированы`,
+        data: summary
+      });
+    }
+
+    const results = await whatsappTemplateService.syncAllShops();
+
+    res.status(200).json({
+      success: true,
+      message: 'Шаблоны всех магазинов синхронизированы',
+      data: results
+    });
+  } catch (error) {
+    next(new ApiError(502, `Не удалось получить шаблоны из Meta: ${error.message}`));
+  }
+};
+
+// @desc    Сопоставление параметров шаблона Meta с переменными заказа
+// @route   PUT /api/templates/meta/:id/mapping
+// @access  Private/Admin
+const updateTemplateMapping = async (req, res, next) => {
+  try {
+    const template = await findScopedTemplate(req);
+
+    if (!template) {
+      return next(new ApiError(404, 'Шаблон Meta не найден'));
+    }
+
+    const { mapping = {}, localTemplateName } = req.body;
+
+    const errors = whatsappTemplateService.validateMapping(template, mapping);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Сопоставление параметров содержит ошибки',
+        data: {
+          errors,
+          parameters: template.parameters
+        }
+      });
+    }
+
+    const fields = { parameterMapping: mapping };
+
+    // Локальный шаблон, вместо которого будет отправляться шаблон Meta. null отключает замену
+    if (localTemplateName !== undefined) {
+      if (localTemplateName !== null) {
+        const shop = await shopService.getShopById(template.shopId);
+        if (!messageTemplates.getAllTemplates(shop)[localTemplateName]) {
+          return next(new ApiError(400, `Шаблон с именем "${localTemplateName}" не найден`));
+        }
+      }
+      fields.localTemplateName = localTemplateName;
+    }
+
+    await template.update(fields);
+
+    res.status(200).json({
+      success: true,
+      message: `Сопоставление параметров шаблона "${template.name}" сохранено`,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Отправка локального шаблона на проверку в Meta
+// @route   POST /api/templates/meta
+// @access  Private/Admin
+const submitMetaTemplate = async (req, res, next) => {
+  try {
+    // Администратор всех магазинов указывает магазин параметром shopId, по умолчанию первый активный
+    const shop = await shopService.resolveShop(getShopScope(req));
+    if (!shop) {
+      return next(new ApiError(404, 'Магазин не найден'));
+    }
+
+    const prepared = whatsappTemplateService.prepareSubmission(shop, req.body);
+    if (prepared.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Шаблон не может быть отправлен на проверку',
+        data: { errors: prepared.errors }
+      });
+    }
+
+    const existing = await WhatsAppTemplate.findOne({
+      where: { shopId: shop.id, name: prepared.name, language: prepared.language }
+    });
+
+    if (!whatsappTemplateService.canSubmit(existing)) {
+      return next(new ApiError(409, `Шаблон Meta "${prepared.name}" (${prepared.language}) уже существует со статусом ${existing.status}`));
+    }
+
+    let template;
+    try {
+      template = await whatsappTemplateService.submitTemplate(shop, prepared, existing, req.user.id);
+    } catch (error) {
+      return next(new ApiError(502, error.message));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Шаблон "${template.name}" отправлен на проверку в Meta`,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Статус проверки шаблона Meta
+// @route   GET /api/templates/meta/:id/status
+// @access  Private
+const getMetaTemplateStatus = async (req, res, next) => {
+  try {
+    let template = await findScopedTemplate(req);
+
+    if (!template) {
+      return next(new ApiError(404, 'Шаблон Meta не найден'));
+    }
+
+    if (template.metaTemplateId) {
+      try {
+        template = await whatsappTemplateService.refreshStatus(template);
+      } catch (error) {
+        return next(new ApiError(502, error.message));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: template.id,
+        name: template.name,
+        language: template.language,
+        category: template.category,
+        status: template.status,
+        rejectedReason: template.rejectedReason,
+        submittedAt: template.submittedAt,
+        lastSyncedAt: template.lastSyncedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMetaTemplates,
+  getMetaTemplateById,
+  getTemplateVariables,
+  syncMetaTemplates,
+  updateTemplateMapping,
+  submitMetaTemplate,
+  getMetaTemplateStatus
+};
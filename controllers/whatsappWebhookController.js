@@ -0,0 +1,96 @@
+// controllers/whatsappWebhookController.js
+const whatsappWebhookService = require('../services/whatsappWebhookService');
+const { WhatsAppEvent, Order } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const { getShopScope } = require('../middleware/auth');
+const logger = require('../services/loggerService');
+const { normalizePhone } = require('../utils/phoneUtils');
+
+// @desc    Подтверждение вебхука WhatsApp Cloud API (hub.challenge)
+// @route   GET /api/whatsapp/webhook
+// @access  Public
+const verifyWebhook = (req, res, next) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (!whatsappWebhookService.isValidVerificationRequest(mode, token)) {
+    logger.warn('Отклонен запрос подтверждения вебхука WhatsApp: неверный токен');
+    return next(new ApiError(403, 'Неверный токен подтверждения вебхука'));
+  }
+
+  logger.info('Вебхук WhatsApp успешно подтвержден');
+  res.status(200).send(challenge);
+};
+
+// @desc    Прием событий от WhatsApp Cloud API
+// @route   POST /api/whatsapp/webhook
+// @access  Public (подпись X-Hub-Signature-256)
+const receiveWebhook = async (req, res, next) => {
+  try {
+    const signature = req.headers['x-hub-signature-256'];
+
+    if (!whatsappWebhookService.verifySignature(req.rawBody, signature)) {
+      logger.warn('Отклонен вебхук WhatsApp: неверная подпись');
+      return next(new ApiError(401, 'Неверная подпись вебхука'));
+    }
+
+    const result = await whatsappWebhookService.processPayload(req.body);
+
+    // Meta ожидает 200 в ответ, иначе будет повторять доставку
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Получение входящих сообщений и статусов из вебхука
+// @route   GET /api/whatsapp/events
+// @access  Private
+const getEvents = async (req, res, next) => {
+  try {
+    const { type, orderId, phone, limit = 50 } = req.query;
+
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit <= 0 || parsedLimit > 500) {
+      return next(new ApiError(400, 'Лимит должен быть положительным числом не более 500'));
+    }
+
+    const where = {};
+    if (type) where.eventType = type;
+    if (orderId) where.orderId = orderId;
+    if (phone) where.phoneNumber = normalizePhone(phone);
+
+    // Пользователь магазина видит только события по заказам своего магазина
+    const scope = getShopScope(req);
+
+    const events = await WhatsAppEvent.findAll({
+      where,
+      include: [{
+        model: Order,
+        as: 'order',
+        where: scope.shopId ? scope : undefined,
+        attributes: ['id', 'kaspiOrderId', 'customerName', 'notificationStatus']
+      }],
+      limit: parsedLimit,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifyWebhook,
+  receiveWebhook,
+  getEvents
+};
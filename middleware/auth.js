@@ -48,4 +48,29 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Middleware для операций над всеми магазинами (управление магазинами).
+ * Доступно только пользователям без привязки к магазину.
+ */
+const requireAllShopsAccess = (req, res, next) => {
+  if (!req.user || req.user.shopId) {
+    return next(new ApiError(403, 'Доступ запрещён: требуется доступ ко всем магазинам'));
+  }
+  next();
+};
+
+/**
+ * Возвращает условие выборки по магазину для текущего пользователя.
+ * Пользователь магазина видит только свои данные, пользователь без магазина
+ * может выбрать магазин параметром shopId или работать со всеми магазинами.
+ */
+const getShopScope = (req) => {
+  if (req.user && req.user.shopId) {
+    return { shopId: req.user.shopId };
+  }
+
+  const shopId = parseInt(req.query.shopId || (req.body && req.body.shopId));
+  return isNaN(shopId) ? {} : { shopId };
+};
+
+module.exports = { protect, authorize, requireAllShopsAccess, getShopScope };
@@ -0,0 +1,42 @@
+// middleware/upload.js
+
+const path = require('path');
+const multer = require('multer');
+const { ApiError } = require('./errorHandler');
+
+// Максимальный размер загружаемого файла
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 МБ
+
+// Загрузка одного файла выгрузки заказов (XLSX или CSV) в память.
+// Файл разбирается сразу и на диск не сохраняется
+const orderFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!['.xlsx', '.csv'].includes(extension)) {
+      return cb(new ApiError(400, 'Поддерживаются только файлы XLSX и CSV'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Middleware загрузки файла с понятными ошибками вместо ошибок multer
+const uploadOrderFile = (req, res, next) => {
+  orderFileUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Файл слишком большой. Максимальный размер ${MAX_FILE_SIZE / 1024 / 1024} МБ`
+        : `Ошибка загрузки файла: ${error.message}`;
+      return next(new ApiError(400, message));
+    }
+
+    next(error);
+  });
+};
+
+module.exports = { uploadOrderFile };
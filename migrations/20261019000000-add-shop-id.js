@@ -0,0 +1,77 @@
+// migrations/20261019000000-add-shop-id.js
+// Привязка данных к магазинам: колонка shop_id в таблицах, созданных до появления магазинов.
+// sync() не добавляет колонки в существующие таблицы, поэтому без миграции запросы падают с "Unknown column".
+// Таблицы, которых еще нет, пропускаются - sync() создаст их сразу с новыми колонками
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    const addShopId = async (table) => {
+      if (!tables.includes(table)) {
+        return false;
+      }
+
+      const columns = await queryInterface.describeTable(table);
+      if (!columns.shop_id) {
+        await queryInterface.addColumn(table, 'shop_id', { type: Sequelize.INTEGER, allowNull: true });
+      }
+      return true;
+    };
+
+    const hasIndex = async (table, name) => {
+      const indexes = await queryInterface.showIndex(table);
+      return indexes.some(index => index.name === name);
+    };
+
+    if (await addShopId('orders') && !(await hasIndex('orders', 'orders_shop_id'))) {
+      await queryInterface.addIndex('orders', ['shop_id'], { name: 'orders_shop_id' });
+    }
+
+    await addShopId('users');
+    await addShopId('notification_rules');
+
+    // Один и тот же номер может быть разрешен в нескольких магазинах: уникальность номера заменяется
+    // уникальностью пары (магазин, номер)
+    if (await addShopId('allowed_phones')) {
+      const indexes = await queryInterface.showIndex('allowed_phones');
+      const phoneOnly = indexes.filter(index => index.unique && !index.primary
+        && index.fields.length === 1 && index.fields[0].attribute === 'phone_number');
+
+      for (const index of phoneOnly) {
+        await queryInterface.removeIndex('allowed_phones', index.name);
+      }
+
+      if (!(await hasIndex('allowed_phones', 'allowed_phones_shop_id_phone_number'))) {
+        await queryInterface.addIndex('allowed_phones', ['shop_id', 'phone_number'], {
+          name: 'allowed_phones_shop_id_phone_number',
+          unique: true
+        });
+      }
+    }
+
+    // Существующие заказы и номера принадлежат первому магазину. Если магазинов еще нет,
+    // их привяжет shopService.ensureDefaultShop после создания магазина по умолчанию
+    if (tables.includes('shops')) {
+      const [shops] = await queryInterface.sequelize.query('SELECT MIN(id) AS id FROM shops');
+      const shopId = shops[0] && shops[0].id;
+
+      if (shopId) {
+        for (const table of ['orders', 'allowed_phones'].filter(name => tables.includes(name))) {
+          await queryInterface.bulkUpdate(table, { shop_id: shopId }, { shop_id: null });
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    const indexes = await queryInterface.showIndex('allowed_phones');
+    if (indexes.some(index => index.name === 'allowed_phones_shop_id_phone_number')) {
+      await queryInterface.removeIndex('allowed_phones', 'allowed_phones_shop_id_phone_number');
+    }
+    await queryInterface.addIndex('allowed_phones', ['phone_number'], { name: 'phone_number', unique: true });
+
+    for (const table of ['orders', 'users', 'notification_rules', 'allowed_phones']) {
+      await queryInterface.removeColumn(table, 'shop_id');
+    }
+  }
+};
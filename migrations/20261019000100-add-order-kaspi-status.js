@@ -0,0 +1,30 @@
+// migrations/20261019000100-add-order-kaspi-status.js
+// Статус заказа в Kaspi, время смены статуса и адрес доставки. sync() не добавляет колонки
+// в существующую таблицу orders, поэтому без миграции любой запрос к заказам падает с "Unknown column".
+// Если таблицы еще нет, sync() создаст ее сразу с новыми колонками
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('orders')) {
+      return;
+    }
+
+    const columns = await queryInterface.describeTable('orders');
+
+    if (!columns.kaspi_status) {
+      await queryInterface.addColumn('orders', 'kaspi_status', { type: Sequelize.STRING, allowNull: true });
+    }
+    if (!columns.status_changed_at) {
+      await queryInterface.addColumn('orders', 'status_changed_at', { type: Sequelize.DATE, allowNull: true });
+    }
+    if (!columns.delivery_address) {
+      await queryInterface.addColumn('orders', 'delivery_address', { type: Sequelize.STRING(500), allowNull: true });
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const column of ['kaspi_status', 'status_changed_at', 'delivery_address']) {
+      await queryInterface.removeColumn('orders', column);
+    }
+  }
+};
@@ -0,0 +1,23 @@
+// migrations/20261019000200-add-order-notification-attempts.js
+// Счетчик попыток отправки уведомлений по заказу. sync() не добавляет колонку в существующую таблицу orders
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('orders')) {
+      return;
+    }
+
+    const columns = await queryInterface.describeTable('orders');
+    if (!columns.notification_attempts) {
+      await queryInterface.addColumn('orders', 'notification_attempts', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('orders', 'notification_attempts');
+  }
+};
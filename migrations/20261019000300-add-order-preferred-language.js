@@ -0,0 +1,19 @@
+// migrations/20261019000300-add-order-preferred-language.js
+// Язык сообщений, выбранный клиентом. sync() не добавляет колонку в существующую таблицу orders
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('orders')) {
+      return;
+    }
+
+    const columns = await queryInterface.describeTable('orders');
+    if (!columns.preferred_language) {
+      await queryInterface.addColumn('orders', 'preferred_language', { type: Sequelize.STRING(5), allowNull: true });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('orders', 'preferred_language');
+  }
+};
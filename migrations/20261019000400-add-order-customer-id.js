@@ -0,0 +1,26 @@
+// migrations/20261019000400-add-order-customer-id.js
+// Привязка заказа к покупателю. sync() не добавляет колонку в существующую таблицу orders.
+// Существующие заказы привязывает к покупателям customerService.linkExistingOrders при запуске
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('orders')) {
+      return;
+    }
+
+    const columns = await queryInterface.describeTable('orders');
+    if (!columns.customer_id) {
+      await queryInterface.addColumn('orders', 'customer_id', { type: Sequelize.INTEGER, allowNull: true });
+    }
+
+    const indexes = await queryInterface.showIndex('orders');
+    if (!indexes.some(index => index.name === 'orders_customer_id')) {
+      await queryInterface.addIndex('orders', ['customer_id'], { name: 'orders_customer_id' });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('orders', 'orders_customer_id');
+    await queryInterface.removeColumn('orders', 'customer_id');
+  }
+};
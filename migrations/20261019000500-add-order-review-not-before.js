@@ -0,0 +1,33 @@
+// migrations/20261019000500-add-order-review-not-before.js
+// Время доставки заказа и время, раньше которого нельзя отправлять запрос отзыва, и индекс для выборки
+// заказов к отправке. sync() не добавляет колонки в существующую таблицу orders.
+// У существующих заказов колонки остаются пустыми: такие заказы выбираются по времени смены статуса
+const REVIEW_INDEX = 'orders_order_status_notification_status_review_not_before';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('orders')) {
+      return;
+    }
+
+    const columns = await queryInterface.describeTable('orders');
+    if (!columns.delivered_at) {
+      await queryInterface.addColumn('orders', 'delivered_at', { type: Sequelize.DATE, allowNull: true });
+    }
+    if (!columns.review_not_before) {
+      await queryInterface.addColumn('orders', 'review_not_before', { type: Sequelize.DATE, allowNull: true });
+    }
+
+    const indexes = await queryInterface.showIndex('orders');
+    if (!indexes.some(index => index.name === REVIEW_INDEX)) {
+      await queryInterface.addIndex('orders', ['order_status', 'notification_status', 'review_not_before'], { name: REVIEW_INDEX });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('orders', REVIEW_INDEX);
+    await queryInterface.removeColumn('orders', 'review_not_before');
+    await queryInterface.removeColumn('orders', 'delivered_at');
+  }
+};
@@ -8,8 +8,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       phoneNumber: {
         type: DataTypes.STRING,
-        allowNull: false,
-        unique: true
+        allowNull: false
       },
       description: {
         type: DataTypes.STRING,
@@ -22,11 +21,19 @@ module.exports = (sequelize, DataTypes) => {
       userId: {
         type: DataTypes.INTEGER,
         allowNull: true
+      },
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
       }
     }, {
       tableName: 'allowed_phones',
       timestamps: true,
-      underscored: true
+      underscored: true,
+      indexes: [
+        // Один и тот же номер может быть разрешен в нескольких магазинах
+        { unique: true, fields: ['shop_id', 'phone_number'] }
+      ]
     });
   
     return AllowedPhone;
@@ -0,0 +1,41 @@
+// models/BlackoutDate.js
+// Праздники и другие дни, в которые уведомления клиентам не отправляются
+module.exports = (sequelize, DataTypes) => {
+    const BlackoutDate = sequelize.define('BlackoutDate', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      // Магазин, для которого задан день. null - для всех магазинов
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Календарная дата в часовом поясе магазина
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      // Название праздника или причина, например "Наурыз"
+      name: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Пользователь, добавивший день
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'blackout_dates',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ['shop_id', 'date'] },
+        { fields: ['date'] }
+      ]
+    });
+
+    return BlackoutDate;
+  };
@@ -0,0 +1,71 @@
+// models/Customer.js
+// Покупатель магазина. Заказы и сообщения одного покупателя связываются по нормализованному номеру телефона
+module.exports = (sequelize, DataTypes) => {
+    const Customer = sequelize.define('Customer', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Номер в формате 77071234567
+      phone: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      // Имя из последнего заказа
+      name: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      ordersCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Сумма завершенных заказов покупателя: отмененные и возвращенные не учитываются
+      totalSpent: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      firstOrderAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastOrderAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Количество отправленных покупателю сообщений
+      messagesCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Время последнего отправленного покупателю сообщения
+      lastContactedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'customers',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ['shop_id', 'phone'] },
+        { fields: ['last_order_at'] }
+      ]
+    });
+
+    Customer.associate = (models) => {
+      Customer.belongsTo(models.Shop, { foreignKey: 'shopId', as: 'shop', constraints: false });
+      Customer.hasMany(models.Order, { foreignKey: 'customerId', as: 'orders', constraints: false });
+      Customer.hasMany(models.Message, { foreignKey: 'customerId', as: 'messages', constraints: false });
+    };
+
+    return Customer;
+  };
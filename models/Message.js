@@ -0,0 +1,86 @@
+// models/Message.js
+// Исходящие сообщения WhatsApp и их статусы доставки
+module.exports = (sequelize, DataTypes) => {
+    const Message = sequelize.define('Message', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Покупатель, которому отправлено сообщение
+      customerId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // ID сообщения WhatsApp (wamid), возвращаемый Cloud API
+      wamid: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true
+      },
+      recipient: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // 'text' или 'template'
+      messageType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'text'
+      },
+      templateName: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // sent -> delivered -> read, либо failed
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'sent'
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      failedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      errorCode: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    }, {
+      tableName: 'messages',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { fields: ['order_id'] },
+        { fields: ['customer_id'] },
+        { fields: ['sent_at'] }
+      ]
+    });
+
+    Message.associate = (models) => {
+      Message.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order', constraints: false });
+      Message.belongsTo(models.Customer, { foreignKey: 'customerId', as: 'customer', constraints: false });
+    };
+
+    return Message;
+  };
@@ -0,0 +1,58 @@
+// models/MessageTemplate.js
+// Шаблон сообщения на одном языке. Текущий текст хранится в content, история изменений - в MessageTemplateVersion
+module.exports = (sequelize, DataTypes) => {
+    const MessageTemplate = sequelize.define('MessageTemplate', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Магазин, для которого переопределен шаблон. Шаблон без магазина действует для всех магазинов
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Язык варианта шаблона: kk, ru, en
+      language: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: 'ru'
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      currentVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      // Удаленный шаблон не используется, но его история сохраняется
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+      },
+      // Пользователь, который последним изменил шаблон
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'message_templates',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ['name', 'shop_id', 'language'] }
+      ]
+    });
+
+    MessageTemplate.associate = (models) => {
+      MessageTemplate.hasMany(models.MessageTemplateVersion, { foreignKey: 'templateId', as: 'versions', constraints: false });
+    };
+
+    return MessageTemplate;
+  };
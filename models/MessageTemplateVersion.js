@@ -0,0 +1,53 @@
+// models/MessageTemplateVersion.js
+// Версия шаблона сообщения: каждое изменение шаблона сохраняется отдельной записью
+module.exports = (sequelize, DataTypes) => {
+    const MessageTemplateVersion = sequelize.define('MessageTemplateVersion', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      templateId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      // create, update, rollback, delete, import
+      changeType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'update'
+      },
+      comment: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Автор изменения
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'message_template_versions',
+      timestamps: true,
+      underscored: true,
+      updatedAt: false,
+      indexes: [
+        { unique: true, fields: ['template_id', 'version'] }
+      ]
+    });
+
+    MessageTemplateVersion.associate = (models) => {
+      MessageTemplateVersion.belongsTo(models.MessageTemplate, { foreignKey: 'templateId', as: 'template', constraints: false });
+      MessageTemplateVersion.belongsTo(models.User, { foreignKey: 'userId', as: 'author', constraints: false });
+    };
+
+    return MessageTemplateVersion;
+  };
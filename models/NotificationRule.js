@@ -0,0 +1,63 @@
+// models/NotificationRule.js
+// Правило отправки уведомления: "когда заказ переходит в статус X, через Y минут отправить шаблон Z"
+module.exports = (sequelize, DataTypes) => {
+    const NotificationRule = sequelize.define('NotificationRule', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Внутренний статус заказа (orderStatus), при переходе в который срабатывает правило
+      triggerStatus: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Задержка отправки после смены статуса
+      delayMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Заказы, перешедшие в статус раньше этого срока (после задержки), не обрабатываются
+      maxAgeHours: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 168
+      },
+      templateName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Магазин, для которого действует правило. Правило без магазина действует для всех магазинов
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'notification_rules',
+      timestamps: true,
+      underscored: true
+    });
+
+    NotificationRule.associate = (models) => {
+      NotificationRule.hasMany(models.RuleExecution, { foreignKey: 'ruleId', as: 'executions', constraints: false });
+    };
+
+    return NotificationRule;
+  };
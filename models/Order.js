@@ -12,10 +12,20 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         unique: true
       },
+      // Магазин, которому принадлежит заказ
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
       orderDate: {
         type: DataTypes.DATE,
         allowNull: false
       },
+      // Покупатель, к которому относится заказ
+      customerId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
       customerPhone: {
         type: DataTypes.STRING,
         allowNull: false
@@ -29,6 +39,30 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: 'new'
       },
+      // Исходный статус/состояние заказа в Kaspi (COMPLETED, KASPI_DELIVERY и т.д.)
+      kaspiStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Время, когда заказ перешел в текущий orderStatus
+      statusChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Время доставки (завершения) заказа
+      deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Запрос отзыва отправляется не раньше этого времени
+      reviewNotBefore: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      deliveryAddress: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
       orderAmount: {
         type: DataTypes.FLOAT,
         allowNull: true
@@ -81,11 +115,29 @@ module.exports = (sequelize, DataTypes) => {
       notificationError: {
         type: DataTypes.TEXT,
         allowNull: true
+      },
+      // Количество попыток отправки уведомлений по заказу
+      notificationAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Язык, на котором клиент хочет получать сообщения (kk, ru, en). Если не указан - язык магазина
+      preferredLanguage: {
+        type: DataTypes.STRING(5),
+        allowNull: true
       }
     }, {
       tableName: 'orders',
       timestamps: true,
       underscored: true,
+      indexes: [
+        { fields: ['shop_id'] },
+        { fields: ['shop_id', 'order_date'] },
+        { fields: ['shop_id', 'created_at'] },
+        { fields: ['customer_id'] },
+        { fields: ['order_status', 'notification_status', 'review_not_before'] }
+      ],
       hooks: {
         // Sanitize data before saving
         beforeSave: (order, options) => {
@@ -114,6 +166,12 @@ module.exports = (sequelize, DataTypes) => {
       }
     });
   
+    Order.associate = (models) => {
+      Order.hasMany(models.Message, { foreignKey: 'orderId', as: 'messages', constraints: false });
+      Order.belongsTo(models.Shop, { foreignKey: 'shopId', as: 'shop', constraints: false });
+      Order.belongsTo(models.Customer, { foreignKey: 'customerId', as: 'customer', constraints: false });
+    };
+  
     // Instance method to safely get order items
     Order.prototype.getItems = function() {
       const items = this.orderItems;
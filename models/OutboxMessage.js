@@ -0,0 +1,98 @@
+// models/OutboxMessage.js
+// Очередь исходящих сообщений (outbox): каждое уведомление сначала сохраняется здесь,
+// а затем отправляется воркером, поэтому перезапуск процесса не теряет и не дублирует отправки
+module.exports = (sequelize, DataTypes) => {
+    const OutboxMessage = sequelize.define('OutboxMessage', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      // Ключ идемпотентности: одно сообщение на пару заказ + шаблон
+      idempotencyKey: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      templateName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Источник постановки в очередь: rule, manual
+      source: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'rule'
+      },
+      ruleId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // queued -> in_flight -> done | dead | skipped (ограничение частоты), при временной ошибке снова queued
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Сообщение не берется в работу раньше этого времени
+      availableAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      leaseToken: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      leaseExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      messageId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Код ошибки WhatsApp API последней попытки
+      errorCode: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Имеет ли смысл повторять отправку после последней ошибки
+      retryable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true
+      },
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'outbox_messages',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { fields: ['status', 'available_at'] },
+        { fields: ['lease_token'] },
+        { fields: ['order_id'] }
+      ]
+    });
+
+    OutboxMessage.associate = (models) => {
+      OutboxMessage.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order', constraints: false });
+    };
+
+    return OutboxMessage;
+  };
@@ -0,0 +1,51 @@
+// models/RuleExecution.js
+// Факт срабатывания правила уведомления для заказа (правило срабатывает для заказа один раз)
+module.exports = (sequelize, DataTypes) => {
+    const RuleExecution = sequelize.define('RuleExecution', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      ruleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      // processing, enqueued, failed
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      outboxMessageId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      executedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'rule_executions',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ['rule_id', 'order_id'] }
+      ]
+    });
+
+    RuleExecution.associate = (models) => {
+      RuleExecution.belongsTo(models.NotificationRule, { foreignKey: 'ruleId', as: 'rule', constraints: false });
+      RuleExecution.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order', constraints: false });
+    };
+
+    return RuleExecution;
+  };
@@ -0,0 +1,45 @@
+// models/SchedulerJob.js
+// Настройки задачи планировщика: расписание, размер пачки и признак паузы.
+// Сохраняются в базе, чтобы изменения через API не терялись при перезапуске
+module.exports = (sequelize, DataTypes) => {
+    const SchedulerJob = sequelize.define('SchedulerJob', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      // Имя задачи: checkNewOrders, processNotificationRules, drainOutbox и т.д.
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      // Расписание в формате cron
+      cronExpression: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      // Количество записей, обрабатываемых за один запуск. null - для задачи не применяется
+      batchSize: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // false - задача приостановлена и по расписанию не запускается
+      isEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      // Пользователь, последним изменивший настройки
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'scheduler_jobs',
+      timestamps: true,
+      underscored: true
+    });
+
+    return SchedulerJob;
+  };
@@ -0,0 +1,116 @@
+// models/Shop.js
+// Магазин (продавец Kaspi): свои ключи Kaspi и WhatsApp, название компании и время отправки уведомлений
+module.exports = (sequelize, DataTypes) => {
+    const Shop = sequelize.define('Shop', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Название компании, которое подставляется в сообщения
+      companyName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      kaspiApiKey: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      whatsappPhoneNumberId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      whatsappAccessToken: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // ID бизнес-аккаунта WhatsApp (WABA), которому принадлежат шаблоны сообщений
+      whatsappBusinessAccountId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Время, в которое разрешено отправлять уведомления клиентам
+      startHour: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 9
+      },
+      endHour: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 21
+      },
+      // Часовой пояс, в котором заданы время отправки и праздники (например, Asia/Almaty). null - значение из настроек
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+      },
+      // Время отправки по дням недели: { sat: { startHour: 10, endHour: 18 }, sun: null }.
+      // null - отправка в этот день запрещена, дни без записи используют startHour и endHour
+      weeklySchedule: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Задержка запроса отзыва после доставки заказа в часах. null - значение из настроек
+      reviewDelayHours: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Не чаще одного запроса отзыва на номер за столько дней. null - значение из настроек, 0 - без ограничения
+      reviewRequestIntervalDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Не больше стольких уведомлений на номер за 7 дней. null - значение из настроек, 0 - без ограничения
+      weeklyMessageLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Запрос отзыва о заказе из нескольких товаров: 'combined' - одно сообщение со ссылками на все товары,
+      // 'perProduct' - отдельное сообщение о каждом товаре
+      reviewRequestMode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'combined'
+      },
+      // Максимум сообщений о товарах одного заказа в режиме perProduct
+      maxReviewRequestsPerOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 3
+      },
+      // Язык сообщений для клиентов, которые не выбрали язык
+      defaultLanguage: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: 'ru'
+      },
+      // Дата создания заказа, до которой заказы из Kaspi API загружены полностью.
+      // Следующая синхронизация начинается с нее (с небольшим перекрытием). null - синхронизация еще не выполнялась
+      lastOrderSyncAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+      }
+    }, {
+      tableName: 'shops',
+      timestamps: true,
+      underscored: true
+    });
+
+    Shop.associate = (models) => {
+      Shop.hasMany(models.Order, { foreignKey: 'shopId', as: 'orders', constraints: false });
+      Shop.hasMany(models.Customer, { foreignKey: 'shopId', as: 'customers', constraints: false });
+      Shop.hasMany(models.AllowedPhone, { foreignKey: 'shopId', as: 'allowedPhones', constraints: false });
+      Shop.hasMany(models.User, { foreignKey: 'shopId', as: 'users', constraints: false });
+    };
+
+    return Shop;
+  };
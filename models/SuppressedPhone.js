@@ -0,0 +1,51 @@
+// models/SuppressedPhone.js
+// Номера клиентов, которые отказались от сообщений. На них ничего не отправляется
+module.exports = (sequelize, DataTypes) => {
+    const SuppressedPhone = sequelize.define('SuppressedPhone', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      // Магазин, от сообщений которого отказался клиент. null - от сообщений всех магазинов
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Номер в формате 77071234567
+      phoneNumber: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      // 'keyword' - клиент ответил стоп-словом, 'manual' - добавлен через API
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      // Текст сообщения клиента или комментарий администратора
+      reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      // Пользователь, добавивший или снявший запрет
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'suppressed_phones',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ['shop_id', 'phone_number'] }
+      ]
+    });
+
+    return SuppressedPhone;
+  };
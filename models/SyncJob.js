@@ -0,0 +1,88 @@
+// models/SyncJob.js
+// Фоновая загрузка заказов из Kaspi API за прошлый период (backfill).
+// Период загружается частями, после каждой части сохраняется отметка, с которой работа продолжится
+module.exports = (sequelize, DataTypes) => {
+    const SyncJob = sequelize.define('SyncJob', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      // pending, running, paused, completed, cancelled, failed
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      // Загружаемый период по дате создания заказа
+      fromDate: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      toDate: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      // Статусы Kaspi, заказы в которых загружаются. null - статусы из настроек
+      statuses: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Конец последней загруженной части периода. Работа продолжается с этого момента
+      checkpoint: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      chunkCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      completedChunks: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Получено заказов из Kaspi API и сохранено (создано или обновлено) в базе
+      ordersFetched: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      ordersSaved: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Пользователь, запустивший загрузку
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'sync_jobs',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { fields: ['shop_id', 'status'] }
+      ]
+    });
+
+    return SyncJob;
+  };
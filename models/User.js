@@ -19,6 +19,11 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         defaultValue: 'user',
       },
+      // Магазин пользователя. Пользователь без магазина имеет доступ ко всем магазинам
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
     }, {
       tableName: 'users',
       timestamps: true,
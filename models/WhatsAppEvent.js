@@ -0,0 +1,78 @@
+// models/WhatsAppEvent.js
+// Входящие события вебхука WhatsApp Cloud API (сообщения клиентов и статусы доставки)
+module.exports = (sequelize, DataTypes) => {
+    const WhatsAppEvent = sequelize.define('WhatsAppEvent', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      // 'message' - входящее сообщение, 'status' - изменение статуса исходящего сообщения
+      eventType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // ID сообщения WhatsApp (wamid)
+      wamid: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      phoneNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      contactName: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Тип входящего сообщения: text, button, interactive, image и т.д.
+      messageType: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Статус исходящего сообщения: sent, delivered, read, failed
+      status: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      errorCode: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      eventTimestamp: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: true
+      }
+    }, {
+      tableName: 'whatsapp_events',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { fields: ['wamid'] },
+        { fields: ['order_id'] },
+        { fields: ['phone_number'] }
+      ]
+    });
+
+    WhatsAppEvent.associate = (models) => {
+      WhatsAppEvent.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order', constraints: false });
+    };
+
+    return WhatsAppEvent;
+  };
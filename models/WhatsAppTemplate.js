@@ -0,0 +1,95 @@
+// models/WhatsAppTemplate.js
+// Шаблон сообщения, зарегистрированный в Meta (WhatsApp Business Manager).
+// Только такие шаблоны можно отправлять клиенту вне 24-часового окна
+module.exports = (sequelize, DataTypes) => {
+    const WhatsAppTemplate = sequelize.define('WhatsAppTemplate', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // ID шаблона в Meta
+      metaTemplateId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Код языка Meta: kk, ru, en
+      language: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+      },
+      // MARKETING, UTILITY, AUTHENTICATION
+      category: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // APPROVED, PENDING, REJECTED, PAUSED, DISABLED, DELETED
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Компоненты шаблона в формате Meta (HEADER, BODY, FOOTER, BUTTONS)
+      components: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      // Позиционные параметры шаблона: [{ key: 'body.1', component: 'body', index: 1, example }]
+      parameters: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      parameterCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Соответствие параметров переменным заказа: { 'body.1': 'customerName' }
+      parameterMapping: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Локальный шаблон, вместо которого отправляется этот шаблон (например, reviewRequest)
+      localTemplateName: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      rejectedReason: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Шаблон отправлен на проверку в Meta из нашего API
+      submittedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Пользователь, отправивший шаблон на проверку
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      lastSyncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'whatsapp_templates',
+      timestamps: true,
+      underscored: true,
+      indexes: [
+        { unique: true, fields: ['shop_id', 'name', 'language'] },
+        { fields: ['local_template_name'] }
+      ]
+    });
+
+    return WhatsAppTemplate;
+  };
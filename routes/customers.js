@@ -0,0 +1,15 @@
+// routes/customers.js
+const express = require('express');
+const customerController = require('../controllers/customerController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Защищенные маршруты - требуют авторизации
+router.use(protect);
+
+router.get('/', customerController.getCustomers);
+router.get('/:id', customerController.getCustomerById);
+router.get('/:id/messages', customerController.getCustomerMessages);
+
+module.exports = router;
@@ -24,6 +24,14 @@ router.get('/fetch-orders', authorize('admin'), (req, res, next) => {
 
 router.put('/orders/:kaspiOrderId/status', authorize('admin'), kaspiController.updateOrderStatus);
 
+// Background backfill of historical orders
+router.post('/backfill', authorize('admin'), kaspiController.createBackfill);
+router.get('/backfill', authorize('admin'), kaspiController.getBackfillJobs);
+router.get('/backfill/:id', authorize('admin'), kaspiController.getBackfillJob);
+router.post('/backfill/:id/pause', authorize('admin'), kaspiController.pauseBackfill);
+router.post('/backfill/:id/resume', authorize('admin'), kaspiController.resumeBackfill);
+router.post('/backfill/:id/cancel', authorize('admin'), kaspiController.cancelBackfill);
+
 // Regular user routes
 router.get('/orders/:kaspiOrderId', kaspiController.getOrderDetails);
 router.get('/products/:productId', kaspiController.getProductDetails);
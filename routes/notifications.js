@@ -1,7 +1,10 @@
 // routes/notifications.js
 const express = require('express');
 const notificationController = require('../controllers/notificationController');
-const { protect, authorize } = require('../middleware/auth');
+const notificationRuleController = require('../controllers/notificationRuleController');
+const holidayController = require('../controllers/holidayController');
+const schedulerController = require('../controllers/schedulerController');
+const { protect, authorize, requireAllShopsAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -14,9 +17,29 @@ router.put('/time-window', authorize('admin'), notificationController.setTimeWin
 router.post('/retry-failed', authorize('admin'), notificationController.retryFailedNotifications);
 router.post('/test', authorize('admin'), notificationController.sendTestNotification);
 
+// Правила уведомлений
+router.get('/rules', notificationRuleController.getRules);
+router.get('/rules/:id', notificationRuleController.getRuleById);
+router.post('/rules', authorize('admin'), notificationRuleController.createRule);
+router.put('/rules/:id', authorize('admin'), notificationRuleController.updateRule);
+router.delete('/rules/:id', authorize('admin'), notificationRuleController.deleteRule);
+
+// Задачи планировщика общие для всех магазинов
+router.get('/jobs', authorize('admin'), requireAllShopsAccess, schedulerController.getJobs);
+router.put('/jobs/:name', authorize('admin'), requireAllShopsAccess, schedulerController.updateJob);
+router.post('/jobs/:name/pause', authorize('admin'), requireAllShopsAccess, schedulerController.pauseJob);
+router.post('/jobs/:name/resume', authorize('admin'), requireAllShopsAccess, schedulerController.resumeJob);
+router.post('/jobs/:name/run', authorize('admin'), requireAllShopsAccess, schedulerController.runJob);
+
+// Праздники, в которые уведомления не отправляются
+router.get('/holidays', holidayController.getHolidays);
+router.post('/holidays', authorize('admin'), holidayController.addHoliday);
+router.delete('/holidays/:id', authorize('admin'), holidayController.removeHoliday);
+
 // Общедоступные маршруты (для мониторинга)
 router.get('/stats', notificationController.getNotificationStats);
 router.get('/status', notificationController.getSchedulerStatus);
 router.get('/daily-stats', notificationController.getDailyStats);
+router.get('/dead-letter', notificationController.getDeadLetters);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@
 const express = require('express');
 const orderController = require('../controllers/orderController');
 const { protect, authorize } = require('../middleware/auth');
+const { uploadOrderFile } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -11,6 +12,10 @@ router.use(protect);
 // Stats route
 router.get('/stats', orderController.getOrderStats);
 
+// Export and import routes - must come before /:id
+router.get('/export', orderController.exportOrders);
+router.post('/import', authorize('admin'), uploadOrderFile, orderController.importOrders);
+
 // All orders routes
 router.get('/', orderController.getOrders);
 router.get('/:id', orderController.getOrderById);
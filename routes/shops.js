@@ -0,0 +1,20 @@
+// routes/shops.js
+const express = require('express');
+const shopController = require('../controllers/shopController');
+const { protect, authorize, requireAllShopsAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Управление магазинами доступно только администраторам без привязки к магазину
+router.use(protect);
+router.use(authorize('admin'));
+router.use(requireAllShopsAccess);
+
+router.get('/', shopController.getShops);
+router.get('/:id', shopController.getShopById);
+router.post('/', shopController.createShop);
+router.put('/:id', shopController.updateShop);
+router.delete('/:id', shopController.deleteShop);
+router.put('/:id/users/:userId', shopController.assignUser);
+
+module.exports = router;
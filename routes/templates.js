@@ -1,6 +1,7 @@
 // routes/templates.js
 const express = require('express');
 const templateController = require('../controllers/templateController');
+const whatsappTemplateController = require('../controllers/whatsappTemplateController');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -8,6 +9,15 @@ const router = express.Router();
 // Защищенные маршруты - требуют авторизации
 router.use(protect);
 
+// Шаблоны Meta (объявлены до /:name, чтобы "meta" не считалось именем шаблона)
+router.get('/meta', whatsappTemplateController.getMetaTemplates);
+router.get('/meta/variables', whatsappTemplateController.getTemplateVariables);
+router.post('/meta', authorize('admin'), whatsappTemplateController.submitMetaTemplate);
+router.post('/meta/sync', authorize('admin'), whatsappTemplateController.syncMetaTemplates);
+router.get('/meta/:id', whatsappTemplateController.getMetaTemplateById);
+router.get('/meta/:id/status', whatsappTemplateController.getMetaTemplateStatus);
+router.put('/meta/:id/mapping', authorize('admin'), whatsappTemplateController.updateTemplateMapping);
+
 // Получение всех шаблонов
 router.get('/', templateController.getTemplates);
 
@@ -17,10 +27,15 @@ router.get('/:name', templateController.getTemplateByName);
 // Тестирование шаблона
 router.post('/:name/test', templateController.testTemplate);
 
+// История версий шаблона
+router.get('/:name/versions', templateController.getTemplateVersions);
+router.get('/:name/versions/:version', templateController.getTemplateVersion);
+
 // Админские маршруты
 router.post('/', authorize('admin'), templateController.createTemplate);
 router.put('/:name', authorize('admin'), templateController.updateTemplate);
 router.delete('/:name', authorize('admin'), templateController.deleteTemplate);
+router.post('/:name/versions/:version/rollback', authorize('admin'), templateController.rollbackTemplate);
 router.put('/company-name', authorize('admin'), templateController.updateCompanyName);
 
 module.exports = router;
\ No newline at end of file
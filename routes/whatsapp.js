@@ -1,11 +1,17 @@
 // routes/whatsapp.js
 const express = require('express');
 const whatsappController = require('../controllers/whatsappController');
+const whatsappWebhookController = require('../controllers/whatsappWebhookController');
+const suppressionController = require('../controllers/suppressionController');
 const { protect, authorize } = require('../middleware/auth');
 const { whatsappLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Public routes - WhatsApp Cloud API webhook (verified by token and signature)
+router.get('/webhook', whatsappWebhookController.verifyWebhook);
+router.post('/webhook', whatsappWebhookController.receiveWebhook);
+
 // Protected routes - require login
 router.use(protect);
 
@@ -15,6 +21,9 @@ router.use(whatsappLimiter);
 // Get connection status
 router.get('/status', whatsappController.getStatus);
 
+// Incoming messages and delivery statuses received via webhook
+router.get('/events', whatsappWebhookController.getEvents);
+
 // Admin only routes
 router.post('/register', authorize('admin'), whatsappController.registerWhatsApp);
 router.post('/verify', authorize('admin'), whatsappController.verifyWhatsApp);
@@ -26,4 +35,9 @@ router.post('/phones', authorize('admin'), whatsappController.addAllowedPhone);
 router.put('/phones/:id', authorize('admin'), whatsappController.updateAllowedPhone);
 router.delete('/phones/:id', authorize('admin'), whatsappController.deleteAllowedPhone);
 
+// Номера, отказавшиеся от сообщений (в том числе ответом STOP/стоп/тоқтат)
+router.get('/suppressed', suppressionController.getSuppressedPhones);
+router.post('/suppressed', authorize('admin'), suppressionController.addSuppressedPhone);
+router.delete('/suppressed/:id', authorize('admin'), suppressionController.removeSuppressedPhone);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,254 @@
+// services/backfillService.js
+const { Op } = require('sequelize');
+const logger = require('./loggerService');
+const kaspiService = require('./kaspiService');
+const shopService = require('./shopService');
+const { SyncJob } = require('../models');
+
+// Статусы загрузки, которая еще не завершена: для магазина одновременно может быть только одна такая
+const ACTIVE_STATUSES = ['pending', 'running', 'paused'];
+
+// Сколько раз повторяется загрузка части периода, прежде чем загрузка останавливается с ошибкой
+const MAX_CHUNK_ATTEMPTS = 3;
+
+// Пауза между частями периода и перед повторной попыткой, чтобы не перегружать Kaspi API
+const CHUNK_DELAY_MS = 1000;
+const RETRY_DELAY_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BackfillService {
+  constructor() {
+    // Загрузки, которые выполняются в этом процессе
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Находит незавершенную загрузку магазина
+   * @param {number} shopId - ID магазина
+   * @returns {Promise<Object|null>} Загрузка
+   */
+  async findActiveJob(shopId) {
+    return SyncJob.findOne({
+      where: { shopId, status: { [Op.in]: ACTIVE_STATUSES } }
+    });
+  }
+
+  /**
+   * Создает загрузку заказов за период и запускает ее в фоне
+   * @param {Object} shop - Магазин
+   * @param {Object} params - Параметры
+   * @param {Date} params.fromDate - Начало периода
+   * @param {Date} params.toDate - Конец периода
+   * @param {Array<string>} [params.statuses] - Статусы Kaspi (по умолчанию из настроек)
+   * @param {number} [userId] - Пользователь, запустивший загрузку
+   * @returns {Promise<Object>} Загрузка
+   */
+  async createJob(shop, { fromDate, toDate, statuses = null }, userId = null) {
+    const chunks = kaspiService.forShop(shop).splitDateRange(fromDate, toDate);
+
+    const job = await SyncJob.create({
+      shopId: shop.id,
+      fromDate,
+      toDate,
+      statuses,
+      chunkCount: chunks.length,
+      userId
+    });
+
+    logger.info(`Создана загрузка заказов ${job.id} магазина "${shop.name}" с ${fromDate.toISOString()} по ${toDate.toISOString()} (частей: ${chunks.length})`);
+    this.start(job);
+    return job;
+  }
+
+  /**
+   * Запускает выполнение загрузки в фоне, если она еще не выполняется в этом процессе
+   * @param {Object} job - Загрузка
+   */
+  start(job) {
+    if (this.runningJobs.has(job.id)) {
+      return;
+    }
+
+    this.runningJobs.add(job.id);
+    this.run(job)
+      .catch(error => logger.error(`Ошибка при выполнении загрузки заказов ${job.id}:`, error))
+      .finally(() => this.runningJobs.delete(job.id));
+  }
+
+  /**
+   * Загружает период по частям, начиная с последней сохраненной отметки.
+   * Перед каждой частью перечитывает загрузку, чтобы увидеть паузу или отмену из API
+   * @param {Object} job - Загрузка
+   */
+  async run(job) {
+    const shop = await shopService.getShopById(job.shopId);
+    if (!shop || !shop.kaspiApiKey) {
+      await job.update({ status: 'failed', lastError: 'Магазин не найден или для него не указан токен Kaspi API', finishedAt: new Date() });
+      return;
+    }
+
+    await job.update({ status: 'running', startedAt: job.startedAt || new Date(), lastError: null });
+
+    const shopKaspiService = kaspiService.forShop(shop);
+    const statuses = job.statuses && job.statuses.length ? job.statuses : shopKaspiService.orderStatuses;
+
+    // Следующая часть начинается сразу после конца последней загруженной
+    const resumeFrom = job.checkpoint ? new Date(new Date(job.checkpoint).getTime() + 1) : new Date(job.fromDate);
+    const chunks = shopKaspiService.splitDateRange(resumeFrom, new Date(job.toDate));
+
+    for (const chunk of chunks) {
+      await job.reload();
+      if (job.status !== 'running') {
+        logger.info(`Загрузка заказов ${job.id} остановлена: ${job.status}`);
+        return;
+      }
+
+      let result = null;
+      for (let attempt = 1; attempt <= MAX_CHUNK_ATTEMPTS && !result; attempt++) {
+        if (attempt > 1) {
+          await sleep(RETRY_DELAY_MS);
+
+          // Пока шла пауза, загрузку могли приостановить или отменить: не перезаписываем этот статус
+          await job.reload();
+          if (job.status !== 'running') {
+            logger.info(`Загрузка заказов ${job.id} остановлена: ${job.status}`);
+            return;
+          }
+        }
+
+        try {
+          result = await this.loadChunk(shopKaspiService, chunk, statuses);
+        } catch (error) {
+          logger.warn(`Загрузка заказов ${job.id}: часть ${chunk.fromDate.toISOString()} - ${chunk.toDate.toISOString()} не загружена (попытка ${attempt} из ${MAX_CHUNK_ATTEMPTS}): ${error.message}`);
+          if (attempt === MAX_CHUNK_ATTEMPTS) {
+            // Отметка не сдвигается, поэтому после возобновления загрузка повторит эту часть
+            await job.update({ status: 'failed', lastError: error.message, finishedAt: new Date() });
+            return;
+          }
+        }
+      }
+
+      await job.update({
+        checkpoint: chunk.toDate,
+        completedChunks: job.completedChunks + 1,
+        ordersFetched: job.ordersFetched + result.fetched,
+        ordersSaved: job.ordersSaved + result.saved
+      });
+
+      logger.info(`Загрузка заказов ${job.id}: загружено частей ${job.completedChunks} из ${job.chunkCount}, получено заказов ${job.ordersFetched}`);
+      await sleep(CHUNK_DELAY_MS);
+    }
+
+    await job.reload();
+    if (job.status !== 'running') {
+      return;
+    }
+
+    await job.update({ status: 'completed', finishedAt: new Date() });
+    logger.info(`Загрузка заказов ${job.id} завершена: получено ${job.ordersFetched}, сохранено ${job.ordersSaved}`);
+  }
+
+  /**
+   * Загружает и сохраняет заказы одной части периода
+   * @param {Object} shopKaspiService - Сервис Kaspi магазина
+   * @param {Object} chunk - Часть периода { fromDate, toDate }
+   * @param {Array<string>} statuses - Статусы Kaspi
+   * @returns {Promise<Object>} { fetched, saved }
+   */
+  async loadChunk(shopKaspiService, chunk, statuses) {
+    // Один заказ может попасть под несколько фильтров, поэтому храним по ID
+    const orders = new Map();
+
+    for (const status of statuses) {
+      const pageBudget = { remaining: shopKaspiService.maxPagesPerRun };
+      const statusOrders = await shopKaspiService.fetchOrdersForRange(chunk, pageBudget, status);
+
+      // Часть с неполными данными не засчитывается, иначе отметка пропустит незагруженные заказы
+      if (pageBudget.incomplete) {
+        throw new Error(`Заказы ${status} загружены не полностью`);
+      }
+
+      statusOrders.forEach(order => {
+        if (order && order.id) {
+          orders.set(order.id, order);
+        }
+      });
+    }
+
+    const result = { failed: 0 };
+    const saved = orders.size > 0 ? await shopKaspiService.processOrders(Array.from(orders.values()), result) : [];
+
+    // Как и при неполной загрузке, часть не засчитывается: повторная попытка сохранит пропущенные заказы
+    if (result.failed > 0) {
+      throw new Error(`Не удалось сохранить заказов: ${result.failed}`);
+    }
+
+    return { fetched: orders.size, saved: saved.length };
+  }
+
+  /**
+   * Приостанавливает загрузку. Выполнение остановится после текущей части периода
+   * @param {Object} job - Загрузка
+   * @returns {Promise<Object>} Загрузка
+   */
+  async pause(job) {
+    await job.update({ status: 'paused' });
+    logger.info(`Загрузка заказов ${job.id} приостановлена`);
+    return job;
+  }
+
+  /**
+   * Возобновляет приостановленную или остановленную с ошибкой загрузку с последней отметки
+   * @param {Object} job - Загрузка
+   * @returns {Promise<Object>} Загрузка
+   */
+  async resume(job) {
+    await job.update({ status: 'running', finishedAt: null });
+    logger.info(`Загрузка заказов ${job.id} возобновлена`);
+    this.start(job);
+    return job;
+  }
+
+  /**
+   * Отменяет загрузку. Уже сохраненные заказы остаются в базе
+   * @param {Object} job - Загрузка
+   * @returns {Promise<Object>} Загрузка
+   */
+  async cancel(job) {
+    await job.update({ status: 'cancelled', finishedAt: new Date() });
+    logger.info(`Загрузка заказов ${job.id} отменена`);
+    return job;
+  }
+
+  /**
+   * Продолжает загрузки, которые выполнялись при остановке приложения
+   */
+  async resumeInterruptedJobs() {
+    try {
+      const jobs = await SyncJob.findAll({ where: { status: { [Op.in]: ['pending', 'running'] } } });
+
+      for (const job of jobs) {
+        logger.info(`Продолжение прерванной загрузки заказов ${job.id} с отметки ${job.checkpoint || job.fromDate}`);
+        this.start(job);
+      }
+    } catch (error) {
+      logger.error('Ошибка при продолжении прерванных загрузок заказов:', error);
+    }
+  }
+
+  /**
+   * Данные загрузки для ответа API с прогрессом в процентах
+   * @param {Object} job - Загрузка
+   * @returns {Object}
+   */
+  toStatusJSON(job) {
+    return {
+      ...job.toJSON(),
+      progress: job.chunkCount > 0 ? Math.round((job.completedChunks / job.chunkCount) * 100) : 100,
+      isRunning: this.runningJobs.has(job.id)
+    };
+  }
+}
+
+module.exports = new BackfillService();
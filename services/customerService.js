@@ -0,0 +1,200 @@
+// services/customerService.js
+const { Op, fn, col, literal } = require('sequelize');
+const logger = require('./loggerService');
+const { Customer, Order, Message } = require('../models');
+const { normalizePhone } = require('../utils/phoneUtils');
+
+// Сколько заказов без покупателя обрабатывается за один запрос при привязке
+const LINK_BATCH_SIZE = 500;
+
+class CustomerService {
+  /**
+   * Находит покупателя магазина по номеру телефона или создает его
+   * @param {number|null} shopId - Магазин
+   * @param {string} phone - Номер телефона в любом формате
+   * @param {string} [name] - Имя покупателя
+   * @returns {Promise<Object|null>} Покупатель или null, если номер пустой
+   */
+  async findOrCreate(shopId, phone, name = null) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      return null;
+    }
+
+    const [customer] = await Customer.findOrCreate({
+      where: { shopId: shopId || null, phone: normalized },
+      defaults: { name: name || null }
+    });
+
+    return customer;
+  }
+
+  /**
+   * Привязывает заказ к покупателю и пересчитывает статистику покупателя
+   * @param {Object} order - Заказ
+   * @returns {Promise<Object|null>} Покупатель
+   */
+  async addOrder(order) {
+    const customer = await this.findOrCreate(order.shopId, order.customerPhone, order.customerName);
+    if (!customer) {
+      return null;
+    }
+
+    if (order.customerId !== customer.id) {
+      await order.update({ customerId: customer.id });
+    }
+
+    // Имя берем из самого нового заказа: покупатель мог указать его по-другому
+    const isLatest = !customer.lastOrderAt || new Date(order.orderDate) >= new Date(customer.lastOrderAt);
+    if (isLatest && order.customerName && order.customerName !== customer.name) {
+      customer.name = order.customerName;
+    }
+
+    return this.refreshStats(customer);
+  }
+
+  /**
+   * Пересчитывает количество заказов, сумму завершенных заказов, количество сообщений и время последнего контакта
+   * @param {Object} customer - Покупатель
+   * @returns {Promise<Object>} Покупатель
+   */
+  async refreshStats(customer) {
+    const [orders, messages] = await Promise.all([
+      Order.findOne({
+        where: { customerId: customer.id },
+        attributes: [
+          [fn('COUNT', col('id')), 'ordersCount'],
+          // Отмененные и возвращенные заказы не считаются покупками
+          [fn('SUM', literal("CASE WHEN order_status = 'completed' THEN order_amount ELSE 0 END")), 'totalSpent'],
+          [fn('MIN', col('order_date')), 'firstOrderAt'],
+          [fn('MAX', col('order_date')), 'lastOrderAt']
+        ],
+        raw: true
+      }),
+      Message.findOne({
+        where: { customerId: customer.id },
+        attributes: [
+          [fn('COUNT', col('id')), 'messagesCount'],
+          [fn('MAX', col('sent_at')), 'lastContactedAt']
+        ],
+        raw: true
+      })
+    ]);
+
+    return customer.update({
+      ordersCount: parseInt(orders?.ordersCount) || 0,
+      totalSpent: parseFloat(orders?.totalSpent) || 0,
+      firstOrderAt: orders?.firstOrderAt || null,
+      lastOrderAt: orders?.lastOrderAt || null,
+      messagesCount: parseInt(messages?.messagesCount) || 0,
+      lastContactedAt: messages?.lastContactedAt || null
+    });
+  }
+
+  /**
+   * Пересчитывает статистику покупателя заказа, например после смены статуса заказа
+   * @param {Object} order - Заказ
+   * @returns {Promise<Object|null>} Покупатель или null, если заказ не привязан к покупателю
+   */
+  async refreshOrderCustomer(order) {
+    if (!order.customerId) {
+      return null;
+    }
+
+    const customer = await Customer.findByPk(order.customerId);
+    return customer ? this.refreshStats(customer) : null;
+  }
+
+  /**
+   * Учитывает сообщение, отправленное покупателю
+   * @param {number} customerId - Покупатель
+   * @param {Date} sentAt - Время отправки
+   */
+  async recordContact(customerId, sentAt = new Date()) {
+    await Customer.increment('messagesCount', { where: { id: customerId } });
+    await Customer.update(
+      { lastContactedAt: sentAt },
+      {
+        where: {
+          id: customerId,
+          [Op.or]: [{ lastContactedAt: null }, { lastContactedAt: { [Op.lt]: sentAt } }]
+        }
+      }
+    );
+  }
+
+  /**
+   * Привязывает к покупателям заказы, сохраненные до появления покупателей, и их сообщения
+   * @returns {Promise<number>} Количество привязанных заказов
+   */
+  async linkExistingOrders() {
+    let linked = 0;
+    let lastId = 0;
+
+    try {
+      for (;;) {
+        const orders = await Order.findAll({
+          where: { customerId: null, id: { [Op.gt]: lastId } },
+          order: [['id', 'ASC']],
+          limit: LINK_BATCH_SIZE
+        });
+
+        if (orders.length === 0) {
+          break;
+        }
+
+        const customers = new Map();
+
+        for (const order of orders) {
+          lastId = order.id;
+
+          const customer = await this.findOrCreate(order.shopId, order.customerPhone, order.customerName);
+          if (!customer) {
+            continue;
+          }
+
+          await order.update({ customerId: customer.id });
+          await Message.update(
+            { customerId: customer.id },
+            { where: { orderId: order.id, customerId: null } }
+          );
+
+          customers.set(customer.id, customer);
+          linked += 1;
+        }
+
+        for (const customer of customers.values()) {
+          await this.refreshStats(customer);
+        }
+      }
+
+      if (linked > 0) {
+        logger.info(`К покупателям привязано заказов: ${linked}`);
+      }
+    } catch (error) {
+      logger.error('Ошибка при привязке заказов к покупателям:', error);
+    }
+
+    return linked;
+  }
+
+  /**
+   * Возвращает историю сообщений покупателя, начиная с последнего
+   * @param {Object} customer - Покупатель
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Количество сообщений
+   * @param {number} [options.offset] - Смещение
+   * @returns {Promise<Object>} { count, rows }
+   */
+  async getMessages(customer, { limit = 50, offset = 0 } = {}) {
+    return Message.findAndCountAll({
+      where: { customerId: customer.id },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'kaspiOrderId'] }],
+      order: [['sentAt', 'DESC']],
+      limit,
+      offset
+    });
+  }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,90 @@
+// services/frequencyCapService.js
+const { Op, col } = require('sequelize');
+const config = require('../config/config');
+const { Order, Message } = require('../models');
+const { normalizePhone, getPhoneSuffix } = require('../utils/phoneUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Статусы запроса отзыва, при которых он считается отправленным клиенту
+const SENT_NOTIFICATION_STATUSES = ['sent', 'delivered', 'read'];
+
+class FrequencyCapService {
+  /**
+   * Возвращает ограничения частоты сообщений магазина
+   * @param {Object} [shop] - Магазин
+   * @returns {Object} { reviewRequestIntervalDays, weeklyMessageLimit }; 0 - без ограничения
+   */
+  getLimits(shop = null) {
+    const pick = (value, defaultValue) => (value === null || value === undefined ? defaultValue : value);
+
+    return {
+      reviewRequestIntervalDays: pick(shop?.reviewRequestIntervalDays, config.notifications.reviewRequestIntervalDays),
+      weeklyMessageLimit: pick(shop?.weeklyMessageLimit, config.notifications.weeklyMessageLimit)
+    };
+  }
+
+  /**
+   * Проверяет, не превышены ли ограничения частоты сообщений для клиента заказа
+   * @param {Object} order - Заказ
+   * @param {string} templateName - Имя отправляемого шаблона
+   * @param {Object} [shop] - Магазин заказа
+   * @returns {Promise<string|null>} Причина пропуска или null, если отправлять можно
+   */
+  async check(order, templateName, shop = null) {
+    const phone = normalizePhone(order.customerPhone);
+    if (!phone) {
+      return null;
+    }
+
+    const { reviewRequestIntervalDays, weeklyMessageLimit } = this.getLimits(shop);
+    const now = Date.now();
+
+    if (templateName === 'reviewRequest' && reviewRequestIntervalDays > 0) {
+      // Заказы без покупателя ищем по номеру: в заказах он хранится в формате Kaspi, сравниваем последние 10 цифр
+      const sameCustomer = order.customerId
+        ? { customerId: order.customerId }
+        : { shopId: order.shopId, customerPhone: { [Op.like]: `%${getPhoneSuffix(phone)}` } };
+
+      const previous = await Order.findOne({
+        where: {
+          ...sameCustomer,
+          id: { [Op.ne]: order.id },
+          notificationStatus: SENT_NOTIFICATION_STATUSES,
+          notificationSentAt: { [Op.gte]: new Date(now - reviewRequestIntervalDays * DAY_MS) }
+        },
+        attributes: ['id', 'kaspiOrderId', 'notificationSentAt'],
+        order: [['notificationSentAt', 'DESC']]
+      });
+
+      if (previous) {
+        return `Запрос отзыва уже отправлялся клиенту за последние ${reviewRequestIntervalDays} дн. (заказ ${previous.kaspiOrderId})`;
+      }
+    }
+
+    if (weeklyMessageLimit > 0) {
+      // Запрос отзыва в режиме perProduct состоит из нескольких сообщений, но это одно уведомление:
+      // считаем уведомления (заказ и шаблон), а не отдельные сообщения
+      const notifications = await Message.findAll({
+        where: {
+          recipient: phone,
+          status: { [Op.ne]: 'failed' },
+          sentAt: { [Op.gte]: new Date(now - 7 * DAY_MS) }
+        },
+        attributes: ['orderId', 'templateName'],
+        include: [{ model: Order, as: 'order', where: { shopId: order.shopId }, attributes: [] }],
+        group: [col('Message.order_id'), col('Message.template_name')],
+        raw: true
+      });
+      const sentThisWeek = notifications.length;
+
+      if (sentThisWeek >= weeklyMessageLimit) {
+        return `Клиенту уже отправлено ${sentThisWeek} уведомл. за 7 дней (ограничение ${weeklyMessageLimit})`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new FrequencyCapService();
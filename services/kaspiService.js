@@ -2,14 +2,60 @@
 const axios = require('axios');
 const config = require('../config/config');
 const logger = require('./loggerService');
+const customerService = require('./customerService');
 const { Order } = require('../models');
 const { Op } = require('sequelize');
 
+// Значения, которые Kaspi API фильтрует по состоянию (state), а не по статусу (status)
+const KASPI_STATES = ['NEW', 'SIGN_REQUIRED', 'PICKUP', 'DELIVERY', 'KASPI_DELIVERY', 'ARCHIVE'];
+
+// Соответствие статусов и состояний Kaspi внутренним статусам заказа
+const KASPI_STATUS_MAP = {
+  NEW: 'new',
+  SIGN_REQUIRED: 'new',
+  APPROVED_BY_BANK: 'new',
+  ACCEPTED_BY_MERCHANT: 'accepted',
+  PICKUP: 'delivery',
+  DELIVERY: 'delivery',
+  KASPI_DELIVERY: 'delivery',
+  COMPLETED: 'completed',
+  CANCELLING: 'cancelled',
+  CANCELLED: 'cancelled',
+  KASPI_DELIVERY_RETURN_REQUESTED: 'returned',
+  RETURN_ACCEPTED_BY_MERCHANT: 'returned',
+  RETURNED: 'returned'
+};
+
+// Статусы, которые важнее текущего состояния доставки
+const KASPI_FINAL_STATUSES = [
+  'COMPLETED',
+  'CANCELLING',
+  'CANCELLED',
+  'KASPI_DELIVERY_RETURN_REQUESTED',
+  'RETURN_ACCEPTED_BY_MERCHANT',
+  'RETURNED'
+];
+
+// Внутренние статусы заказов, которые еще могут измениться в Kaspi
+const OPEN_ORDER_STATUSES = ['new', 'accepted', 'delivery'];
+
 class KaspiService {
-  constructor() {
+  /**
+   * @param {Object} options - Настройки магазина
+   * @param {string} [options.apiKey] - Токен Kaspi API магазина (по умолчанию из конфигурации)
+   * @param {number} [options.shopId] - ID магазина, к которому привязываются заказы
+   */
+  constructor(options = {}) {
     // Initialize with default values
     this.apiUrl = config?.kaspi?.apiUrl || 'https://kaspi.kz/shop/api/v2';
-    this.apiKey = config?.kaspi?.apiKey || '';
+    this.apiKey = options.apiKey || config?.kaspi?.apiKey || '';
+    this.shopId = options.shopId || null;
+    
+    // Настройки магазина (задержка запроса отзыва); задаются в forShop
+    this.shop = null;
+    
+    // Экземпляры сервиса для магазинов, созданные через forShop
+    this.shopInstances = new Map();
     
     // Initialize axios with better error handling
     this.axiosInstance = axios.create({
@@ -44,6 +90,40 @@ class KaspiService {
     
     // Максимальное количество дней для запроса (ограничение Kaspi API)
     this.maxDaysPerRequest = 14;
+    
+    // Настройки постраничной загрузки заказов
+    this.pageSize = Math.min(config?.kaspi?.pageSize || 100, 100);
+    this.maxPagesPerRun = config?.kaspi?.maxPagesPerRun || 50;
+    
+    // Настройки обновления статусов незавершенных заказов
+    this.openOrderRefreshLimit = config?.kaspi?.openOrderRefreshLimit || 100;
+    this.openOrderMaxAgeDays = config?.kaspi?.openOrderMaxAgeDays || 30;
+    
+    // Статусы заказов, которые запрашиваются по умолчанию
+    this.orderStatuses = config?.kaspi?.orderStatuses?.length ? config.kaspi.orderStatuses : ['COMPLETED'];
+  }
+
+  /**
+   * Возвращает сервис, работающий с Kaspi API от имени магазина
+   * @param {Object} shop - Магазин
+   * @returns {KaspiService} - Сервис магазина
+   */
+  forShop(shop) {
+    if (!shop) {
+      return this;
+    }
+    
+    // Пересоздаем экземпляр, если токен магазина изменился
+    const cached = this.shopInstances.get(shop.id);
+    if (cached && cached.apiKey === shop.kaspiApiKey) {
+      cached.shop = shop;
+      return cached;
+    }
+    
+    const instance = new KaspiService({ apiKey: shop.kaspiApiKey, shopId: shop.id });
+    instance.shop = shop;
+    this.shopInstances.set(shop.id, instance);
+    return instance;
   }
 
   /**
@@ -80,8 +160,9 @@ class KaspiService {
           toDate: new Date(currentTo)
         });
         
-        // Переходим к следующему периоду
-        currentFrom = new Date(currentTo.getTime() + oneDay);
+        // Переходим к следующему периоду. Границы включаются в запрос ($ge/$le),
+        // поэтому следующий период начинается сразу после конца текущего, без пропуска дня
+        currentFrom = new Date(currentTo.getTime() + 1);
       }
       
       return result;
@@ -95,9 +176,14 @@ class KaspiService {
    * Получает новые заказы из Kaspi API
    * @param {Date} fromDate - Начальная дата для заказов
    * @param {Date} toDate - Конечная дата для заказов
+   * @param {Array<string>} statuses - Статусы Kaspi для выборки (по умолчанию из конфигурации)
+   * @param {Object} [progress] - Заполняется результатом загрузки: loadedTo - конец периода,
+   *   до которого заказы загружены без пропусков (null, если не загружена ни одна часть)
    * @returns {Promise<Array>} - Массив заказов
    */
-  async fetchNewOrders(fromDate, toDate) {
+  async fetchNewOrders(fromDate, toDate, statuses = this.orderStatuses, progress = {}) {
+    progress.loadedTo = null;
+
     try {
       // Validate input dates
       if (!fromDate || !toDate) {
@@ -112,7 +198,8 @@ class KaspiService {
         throw new Error('Invalid date format');
       }
       
-      const allOrders = [];
+      // Один заказ может попасть под несколько фильтров (status и state), поэтому храним по ID
+      const allOrders = new Map();
       
       // Определяем общий период в днях
       const totalDays = Math.ceil((toDate - fromDate) / (24 * 60 * 60 * 1000));
@@ -127,65 +214,425 @@ class KaspiService {
       
       logger.info(`Период разбит на ${dateRanges.length} запросов`);
       
+      // Общий лимит страниц на весь запуск, чтобы один запрос не выполнялся бесконечно
+      const pageBudget = { remaining: this.maxPagesPerRun };
+      
+      // Периоды идут по порядку, поэтому после первого неполного периода отметка loadedTo больше не сдвигается
+      let loadedWithoutGaps = true;
+      
       // Выполняем запросы для каждого периода
       for (const range of dateRanges) {
-        logger.info(`Запрашиваем заказы с ${range.fromDate.toISOString()} по ${range.toDate.toISOString()}`);
-        
-        // Конвертируем даты в миллисекунды для Kaspi API
-        const fromDateMs = range.fromDate.getTime();
-        const toDateMs = range.toDate.getTime();
+        if (pageBudget.remaining <= 0) {
+          logger.warn(`Достигнут лимит в ${this.maxPagesPerRun} страниц за запуск, оставшиеся периоды пропущены`);
+          break;
+        }
         
-        // Создаем параметры запроса согласно документации Kaspi API
-        const params = {
-          'page[number]': 0,
-          'page[size]': 100,
-          'filter[orders][creationDate][$ge]': fromDateMs,
-          'filter[orders][creationDate][$le]': toDateMs,
-          'filter[orders][status]': 'COMPLETED',
-          'include[orders]': 'user'
-        };
-
-        try {
-          const response = await this.axiosInstance.get('/api/v2/orders', { params });
-          
-          if (response.data && response.data.data && Array.isArray(response.data.data)) {
-            const orders = response.data.data;
-            logger.info(`Получено ${orders.length} заказов для периода`);
-            
-            // Добавляем заказы в общий массив
-            allOrders.push(...orders);
-          } else {
-            logger.warn('Kaspi API вернул пустой ответ или неверный формат данных');
-          }
-          
-          // Добавляем небольшую паузу между запросами, чтобы не перегрузить API
-          if (dateRanges.length > 1) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        pageBudget.incomplete = false;
+        for (const status of statuses) {
+          try {
+            const orders = await this.fetchOrdersForRange(range, pageBudget, status);
+            orders.forEach(order => {
+              if (order && order.id) {
+                allOrders.set(order.id, order);
+              }
+            });
+          } catch (error) {
+            logger.error(`Ошибка при запросе заказов ${status} для периода ${range.fromDate.toISOString()} - ${range.toDate.toISOString()}:`, error);
+            pageBudget.incomplete = true;
+            // Continue with other statuses and date ranges instead of failing completely
+            continue;
           }
-        } catch (error) {
-          logger.error(`Ошибка при запросе заказов для периода ${range.fromDate.toISOString()} - ${range.toDate.toISOString()}:`, error);
-          // Continue with other date ranges instead of failing completely
-          continue;
+        }
+        
+        if (pageBudget.incomplete) {
+          loadedWithoutGaps = false;
+        } else if (loadedWithoutGaps) {
+          progress.loadedTo = range.toDate;
+        }
+        
+        // Добавляем небольшую паузу между запросами, чтобы не перегрузить API
+        if (dateRanges.length > 1) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
         }
       }
 
-      logger.info(`Всего получено ${allOrders.length} заказов из Kaspi API`);
-      return allOrders;
+      logger.info(`Всего получено ${allOrders.size} заказов из Kaspi API`);
+      return Array.from(allOrders.values());
     } catch (error) {
       logger.error('Ошибка при получении заказов из Kaspi API:', error);
+      progress.loadedTo = null;
       // Return empty array instead of throwing
       return [];
     }
   }
 
   /**
-   * Обрабатывает и сохраняет новые заказы в базу данных
+   * Получает все страницы заказов за один период, следуя пагинации JSON:API (meta/links)
+   * @param {Object} range - Период {fromDate, toDate}
+   * @param {Object} pageBudget - Оставшийся лимит страниц на запуск {remaining}.
+   *   Если период загружен не полностью (ошибка запроса или лимит страниц), устанавливается incomplete: true
+   * @param {string} status - Статус или состояние заказа в Kaspi
+   * @returns {Promise<Array>} - Массив заказов за период
+   */
+  async fetchOrdersForRange(range, pageBudget, status = 'COMPLETED') {
+    logger.info(`Запрашиваем заказы ${status} с ${range.fromDate.toISOString()} по ${range.toDate.toISOString()}`);
+    
+    // Лимит израсходован на предыдущие статусы или периоды: заказы этого статуса не запрошены
+    if (pageBudget.remaining <= 0) {
+      logger.warn(`Достигнут лимит в ${this.maxPagesPerRun} страниц за запуск, заказы ${status} за период не запрошены`);
+      pageBudget.incomplete = true;
+      return [];
+    }
+    
+    // Состояния (NEW, DELIVERY, ...) и статусы (COMPLETED, CANCELLED, ...) фильтруются разными параметрами
+    const statusFilter = KASPI_STATES.includes(status) ? 'filter[orders][state]' : 'filter[orders][status]';
+    
+    const orders = [];
+    let pageNumber = 0;
+    let pageCount = null;
+    let totalCount = null;
+    
+    while (pageBudget.remaining > 0) {
+      // Создаем параметры запроса согласно документации Kaspi API
+      // Даты передаются в миллисекундах
+      const params = {
+        'page[number]': pageNumber,
+        'page[size]': this.pageSize,
+        'filter[orders][creationDate][$ge]': range.fromDate.getTime(),
+        'filter[orders][creationDate][$le]': range.toDate.getTime(),
+        [statusFilter]: status,
+        'include[orders]': 'user'
+      };
+      
+      let response;
+      try {
+        response = await this.axiosInstance.get('/api/v2/orders', { params });
+      } catch (error) {
+        // Сохраняем уже полученные страницы, остальные будут загружены при следующем запуске
+        logger.error(`Ошибка при запросе страницы ${pageNumber + 1} заказов, период загружен не полностью:`, error);
+        pageBudget.incomplete = true;
+        break;
+      }
+      pageBudget.remaining -= 1;
+      
+      const pageOrders = response.data && Array.isArray(response.data.data) ? response.data.data : null;
+      if (!pageOrders) {
+        logger.warn('Kaspi API вернул пустой ответ или неверный формат данных');
+        break;
+      }
+      
+      // Запоминаем, по какому фильтру получен заказ, на случай если в ответе нет статуса
+      pageOrders.forEach(order => {
+        if (order) order.requestedStatus = status;
+      });
+      orders.push(...pageOrders);
+      
+      const meta = response.data.meta || {};
+      const links = response.data.links || {};
+      if (meta.pageCount !== undefined) pageCount = meta.pageCount;
+      if (meta.totalCount !== undefined) totalCount = meta.totalCount;
+      
+      logger.info(`Страница ${pageNumber + 1}${pageCount !== null ? ` из ${pageCount}` : ''}: получено ${pageOrders.length} заказов (всего ${orders.length}${totalCount !== null ? ` из ${totalCount}` : ''})`);
+      
+      // Определяем, есть ли следующая страница: по meta.pageCount, ссылке next или заполненности страницы
+      let hasNextPage;
+      if (pageCount !== null) {
+        hasNextPage = pageNumber + 1 < pageCount;
+      } else if (Object.keys(links).length > 0) {
+        hasNextPage = !!links.next;
+      } else {
+        hasNextPage = pageOrders.length === this.pageSize;
+      }
+      
+      if (!hasNextPage || pageOrders.length === 0) {
+        break;
+      }
+      
+      if (pageBudget.remaining <= 0) {
+        logger.warn(`Достигнут лимит в ${this.maxPagesPerRun} страниц за запуск, период загружен не полностью (${orders.length}${totalCount !== null ? ` из ${totalCount}` : ''} заказов)`);
+        pageBudget.incomplete = true;
+        break;
+      }
+      
+      pageNumber += 1;
+      
+      // Небольшая пауза между страницами, чтобы не перегрузить API
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    
+    logger.info(`Получено ${orders.length} заказов ${status} для периода`);
+    return orders;
+  }
+
+  /**
+   * Возвращает список статусов и состояний Kaspi, поддерживаемых синхронизацией
+   * @returns {Array<string>} - Статусы Kaspi
+   */
+  getSupportedStatuses() {
+    return Object.keys(KASPI_STATUS_MAP);
+  }
+
+  /**
+   * Возвращает список внутренних статусов заказа (orderStatus)
+   * @returns {Array<string>} - Статусы заказа
+   */
+  getLocalOrderStatuses() {
+    return [...new Set(Object.values(KASPI_STATUS_MAP))];
+  }
+
+  /**
+   * Определяет статус заказа Kaspi по его атрибутам
+   * @param {Object} kaspiOrder - Заказ из Kaspi API
+   * @returns {Object} - {kaspiStatus, orderStatus}
+   */
+  resolveOrderStatus(kaspiOrder) {
+    const attributes = kaspiOrder.attributes || {};
+    const status = attributes.status ? String(attributes.status).toUpperCase() : null;
+    const state = attributes.state ? String(attributes.state).toUpperCase() : null;
+    
+    let kaspiStatus;
+    if (status && KASPI_FINAL_STATUSES.includes(status)) {
+      kaspiStatus = status;
+    } else if (state && KASPI_STATUS_MAP[state] && state !== 'NEW') {
+      kaspiStatus = state;
+    } else {
+      kaspiStatus = status || state || kaspiOrder.requestedStatus || 'COMPLETED';
+    }
+    
+    return {
+      kaspiStatus,
+      orderStatus: KASPI_STATUS_MAP[kaspiStatus] || kaspiStatus.toLowerCase()
+    };
+  }
+
+  /**
+   * Определяет время доставки (завершения) заказа.
+   * Kaspi не возвращает точного времени завершения, поэтому используется плановая дата доставки,
+   * если она уже наступила, а иначе - переданное время (по умолчанию момент, когда заказ впервые получен завершенным)
+   * @param {Object} kaspiOrder - Заказ из Kaspi API
+   * @param {Date} [fallback] - Время доставки, если плановая дата не указана или еще не наступила
+   * @param {Date} now - Текущее время
+   * @returns {Date} - Время доставки
+   */
+  getDeliveredAt(kaspiOrder, fallback = null, now = new Date()) {
+    const planned = kaspiOrder.attributes?.plannedDeliveryDate;
+    if (planned) {
+      const plannedDate = new Date(planned);
+      if (!isNaN(plannedDate.getTime()) && plannedDate <= now) {
+        return plannedDate;
+      }
+    }
+    
+    return fallback || now;
+  }
+
+  /**
+   * Вычисляет время, раньше которого нельзя отправлять запрос отзыва
+   * @param {Date} deliveredAt - Время доставки заказа
+   * @returns {Date} - Время отправки запроса отзыва
+   */
+  getReviewNotBefore(deliveredAt) {
+    const delayHours = this.shop?.reviewDelayHours ?? config.notifications.reviewDelayHours;
+    return new Date(deliveredAt.getTime() + delayHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Находит язык, который клиент выбрал в одном из предыдущих заказов магазина
+   * @param {string} customerPhone - Телефон клиента
+   * @returns {Promise<string|null>} - Код языка или null
+   */
+  async findPreferredLanguage(customerPhone) {
+    if (!customerPhone) {
+      return null;
+    }
+
+    const previousOrder = await Order.findOne({
+      where: {
+        shopId: this.shopId,
+        customerPhone,
+        preferredLanguage: { [Op.ne]: null }
+      },
+      order: [['orderDate', 'DESC']],
+      attributes: ['preferredLanguage']
+    });
+
+    return previousOrder ? previousOrder.preferredLanguage : null;
+  }
+
+  /**
+   * Обновляет статус уже сохраненного заказа, если он изменился в Kaspi
+   * @param {Object} existingOrder - Заказ из базы данных
+   * @param {Object} kaspiOrder - Заказ из Kaspi API
+   * @returns {Promise<boolean>} - Был ли заказ обновлен
+   */
+  async updateExistingOrder(existingOrder, kaspiOrder) {
+    const { kaspiStatus, orderStatus } = this.resolveOrderStatus(kaspiOrder);
+    
+    if (existingOrder.orderStatus === orderStatus && existingOrder.kaspiStatus === kaspiStatus) {
+      return false;
+    }
+    
+    const previousStatus = existingOrder.orderStatus;
+    const updates = { kaspiStatus, orderStatus };
+    
+    // Время смены статуса нужно только при реальном переходе, а не при уточнении kaspiStatus
+    if (previousStatus !== orderStatus) {
+      updates.statusChangedAt = new Date();
+    }
+    
+    // Запрос отзыва отправляется с задержкой после доставки
+    if (orderStatus === 'completed' && previousStatus !== 'completed' && !existingOrder.deliveredAt) {
+      updates.deliveredAt = this.getDeliveredAt(kaspiOrder);
+      updates.reviewNotBefore = existingOrder.reviewNotBefore || this.getReviewNotBefore(updates.deliveredAt);
+    }
+    
+    const deliveryAddress = kaspiOrder.attributes?.deliveryAddress?.formattedAddress;
+    if (deliveryAddress && !existingOrder.deliveryAddress) {
+      updates.deliveryAddress = deliveryAddress;
+    }
+    
+    await existingOrder.update(updates);
+    logger.info(`Статус заказа ${kaspiOrder.id} изменен: ${previousStatus} -> ${orderStatus} (${kaspiStatus})`);
+    
+    // Сумма покупок покупателя учитывает только завершенные заказы
+    if (previousStatus !== orderStatus) {
+      try {
+        await customerService.refreshOrderCustomer(existingOrder);
+      } catch (customerError) {
+        logger.error(`Error refreshing customer stats for order ${kaspiOrder.id}:`, customerError);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Обновляет статусы незавершенных заказов, запрашивая каждый заказ в Kaspi API по ID.
+   * Синхронизация по дате создания получает заказ только вскоре после оформления,
+   * а до доставки проходят дни, поэтому смена статуса замечается здесь
+   * @param {number} limit - Максимальное количество заказов за запуск
+   * @returns {Promise<Object>} - {checked, updated, failed}
+   */
+  async refreshOpenOrders(limit = this.openOrderRefreshLimit) {
+    const summary = { checked: 0, updated: 0, failed: 0 };
+    
+    // Заказы, которые так и не завершились за openOrderMaxAgeDays дней, больше не проверяем
+    const where = {
+      orderStatus: { [Op.in]: OPEN_ORDER_STATUSES },
+      orderDate: { [Op.gte]: new Date(Date.now() - this.openOrderMaxAgeDays * 24 * 60 * 60 * 1000) }
+    };
+    
+    if (this.shopId) {
+      where.shopId = this.shopId;
+    }
+    
+    // Сначала заказы, которые дольше всего не проверялись
+    const orders = await Order.findAll({
+      where,
+      limit,
+      order: [['updatedAt', 'ASC']]
+    });
+    
+    for (const [index, order] of orders.entries()) {
+      // Небольшая пауза между запросами, чтобы не перегрузить API
+      if (index > 0) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+      
+      const kaspiOrder = await this.getOrderDetails(order.kaspiOrderId);
+      
+      // Без статуса в ответе resolveOrderStatus считал бы заказ завершенным
+      if (!kaspiOrder || (!kaspiOrder.attributes?.status && !kaspiOrder.attributes?.state)) {
+        summary.failed += 1;
+        continue;
+      }
+      
+      try {
+        if (await this.updateExistingOrder(order, kaspiOrder)) {
+          summary.updated += 1;
+        } else {
+          // Отмечаем проверку, чтобы следующий запуск начал с других заказов
+          order.changed('updatedAt', true);
+          await order.save();
+        }
+        summary.checked += 1;
+      } catch (error) {
+        logger.error(`Ошибка при обновлении статуса заказа ${order.kaspiOrderId}:`, error);
+        summary.failed += 1;
+      }
+    }
+    
+    logger.info(`Проверено незавершенных заказов: ${summary.checked}, обновлено ${summary.updated}, ошибок ${summary.failed}`);
+    return summary;
+  }
+
+  /**
+   * Сохраняет новый заказ в базу данных и привязывает его к покупателю
+   * @param {Object} kaspiOrder - Заказ в формате Kaspi API (attributes.customer обязателен)
+   * @param {Array} orderItems - Товары заказа
+   * @returns {Promise<Object>} - Сохраненный заказ
+   */
+  async createOrder(kaspiOrder, orderItems) {
+    // Форматируем данные о клиенте
+    const customer = kaspiOrder.attributes.customer;
+    
+    const { kaspiStatus, orderStatus } = this.resolveOrderStatus(kaspiOrder);
+    const orderDate = new Date(kaspiOrder.attributes.creationDate);
+    
+    // Заказ, который впервые получен уже завершенным (например, при загрузке истории), без плановой даты
+    // доставки считаем доставленным в день оформления. Иначе по старым заказам отправлялись бы запросы
+    // отзывов, как по только что доставленным
+    const deliveredAt = orderStatus === 'completed'
+      ? this.getDeliveredAt(kaspiOrder, isNaN(orderDate.getTime()) ? null : orderDate)
+      : null;
+    
+    // Создаем объект заказа для сохранения в базу
+    const orderData = {
+      kaspiOrderId: kaspiOrder.id,
+      shopId: this.shopId,
+      orderDate,
+      customerPhone: customer.cellPhone || '',
+      customerName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+      orderStatus,
+      kaspiStatus,
+      statusChangedAt: new Date(),
+      deliveredAt,
+      reviewNotBefore: deliveredAt ? this.getReviewNotBefore(deliveredAt) : null,
+      deliveryAddress: kaspiOrder.attributes.deliveryAddress?.formattedAddress || null,
+      orderAmount: kaspiOrder.attributes.totalPrice || 0,
+      orderItems: orderItems,
+      notificationStatus: 'pending',
+      preferredLanguage: await this.findPreferredLanguage(customer.cellPhone),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const savedOrder = await Order.create(orderData);
+    logger.info(`Заказ ${kaspiOrder.id} успешно сохранен в базе данных`);
+
+    // Привязываем заказ к покупателю; ошибка не должна отменять сохранение заказа
+    try {
+      await customerService.addOrder(savedOrder);
+    } catch (customerError) {
+      logger.error(`Error linking order ${kaspiOrder.id} to customer:`, customerError);
+    }
+
+    return savedOrder;
+  }
+
+  /**
+   * Обрабатывает и сохраняет новые заказы в базу данных, обновляя статусы существующих
    * @param {Array} kaspiOrders - Массив заказов из Kaspi API
-   * @returns {Promise<Array>} - Массив сохраненных объектов заказов
+   * @param {Object} [result] - Заполняется количеством заказов, которые не удалось сохранить (failed).
+   *   Такие заказы нужно запросить повторно
+   * @returns {Promise<Array>} - Массив созданных и обновленных объектов заказов
    */
-  async processOrders(kaspiOrders) {
+  async processOrders(kaspiOrders, result = {}) {
+    result.failed = 0;
+
     try {
       const savedOrders = [];
+      let updatedCount = 0;
       
       // Check if kaspiOrders is an array
       if (!Array.isArray(kaspiOrders)) {
@@ -215,6 +662,7 @@ class KaspiService {
             });
           } catch (error) {
             logger.error(`Error checking for existing order ${kaspiOrder.id}:`, error);
+            result.failed += 1;
             continue; // Skip this order and continue with others
           }
 
@@ -271,46 +719,40 @@ class KaspiService {
               continue;
             }
             
-            // Форматируем данные о клиенте
-            const customer = kaspiOrder.attributes.customer;
-            
-            // Создаем объект заказа для сохранения в базу
-            const orderData = {
-              kaspiOrderId: kaspiOrder.id,
-              orderDate: new Date(kaspiOrder.attributes.creationDate),
-              customerPhone: customer.cellPhone || '',
-              customerName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
-              orderStatus: 'completed', // Мы получаем только завершенные заказы
-              orderAmount: kaspiOrder.attributes.totalPrice || 0,
-              orderItems: orderItems,
-              notificationStatus: 'pending',
-              createdAt: new Date(),
-              updatedAt: new Date()
-            };
-
             try {
               // Сохраняем заказ в базу данных
-              const savedOrder = await Order.create(orderData);
+              const savedOrder = await this.createOrder(kaspiOrder, orderItems);
               savedOrders.push(savedOrder);
-              
-              logger.info(`Заказ ${kaspiOrder.id} успешно сохранен в базе данных`);
             } catch (saveError) {
               logger.error(`Error saving order ${kaspiOrder.id}:`, saveError);
+              result.failed += 1;
               // Continue with other orders
             }
           } else {
-            logger.info(`Заказ ${kaspiOrder.id} уже существует в базе данных`);
+            try {
+              // Заказ уже есть в базе - обновляем его статус, если он изменился в Kaspi
+              const updated = await this.updateExistingOrder(existingOrder, kaspiOrder);
+              if (updated) {
+                savedOrders.push(existingOrder);
+                updatedCount += 1;
+              }
+            } catch (updateError) {
+              logger.error(`Error updating order ${kaspiOrder.id}:`, updateError);
+              result.failed += 1;
+            }
           }
         } catch (orderError) {
           logger.error(`Error processing Kaspi order:`, orderError);
+          result.failed += 1;
           // Continue with other orders
         }
       }
 
-      logger.info(`Всего сохранено ${savedOrders.length} новых заказов`);
+      logger.info(`Всего сохранено ${savedOrders.length - updatedCount} новых заказов, обновлено ${updatedCount}${result.failed ? `, не удалось сохранить ${result.failed}` : ''}`);
       return savedOrders;
     } catch (error) {
       logger.error('Ошибка при обработке и сохранении заказов:', error);
+      result.failed = Array.isArray(kaspiOrders) ? kaspiOrders.length : 0;
       return []; // Return empty array instead of throwing
     }
   }
@@ -412,14 +854,26 @@ class KaspiService {
       }
       
       try {
-        // Находим заказы, которые завершены и еще не отправлены уведомления
+        // Находим заказы, которые завершены, еще не отправлены уведомления и время отправки наступило.
+        // У заказов, сохраненных до появления reviewNotBefore, время отправки не задано
+        const where = {
+          orderStatus: 'completed',
+          notificationStatus: 'pending',
+          [Op.or]: [
+            { reviewNotBefore: null },
+            { reviewNotBefore: { [Op.lte]: new Date() } }
+          ]
+        };
+        
+        // Сервис магазина выбирает только заказы своего магазина
+        if (this.shopId) {
+          where.shopId = this.shopId;
+        }
+        
         const orders = await Order.findAll({
-          where: {
-            orderStatus: 'completed',
-            notificationStatus: 'pending'
-          },
+          where,
           limit: limit,
-          order: [['orderDate', 'ASC']]
+          order: [['reviewNotBefore', 'ASC'], ['orderDate', 'ASC']]
         });
 
         logger.info(`Найдено ${orders.length} заказов для отправки уведомлений о написании отзыва`);
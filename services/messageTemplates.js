@@ -1,6 +1,10 @@
 // services/messageTemplates.js
 const logger = require('./loggerService');
 const config = require('../config/config');
+const kaspiService = require('./kaspiService');
+const shopService = require('./shopService');
+const templateEngine = require('../utils/templateEngine');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../utils/languageUtils');
 
 /**
  * Шаблонизатор сообщений для WhatsApp
@@ -10,19 +14,25 @@ class MessageTemplates {
     // Название компании для использования в шаблонах
     this.companyName = process.env.COMPANY_NAME || 'ТОО "TRABZON"';
     
-    // Базовые шаблоны сообщений
-    this.templates = {
+    // Базовые шаблоны сообщений на русском языке
+    const russianTemplates = {
       // Шаблон для запроса отзыва
       reviewRequest: 
 `Здравствуйте, {{customerName}}!
 
-Благодарим Вас за покупку "{{productName}}" в магазине "{{companyName}}".
+{{#if hasSeveralProducts}}Благодарим Вас за покупку в магазине "{{companyName}}".
+
+Мы будем очень признательны за Ваш отзыв о товарах и нашем сервисе. Это поможет нам стать лучше для Вас!
+
+Чтобы оставить отзыв, пожалуйста, перейдите по ссылкам:
+{{#each reviewItems}}{{@number}}. {{name}}: {{reviewLink}}
+{{/each}}{{else}}Благодарим Вас за покупку "{{productName}}" в магазине "{{companyName}}".
 
 Мы будем очень признательны за Ваш отзыв о товаре и нашем сервисе. Это поможет нам стать лучше для Вас!
 
 Чтобы оставить отзыв, пожалуйста, перейдите по ссылке:
 {{reviewLink}}
-
+{{/if}}
 (Отправьте нам любое сообщение, чтобы ссылка стала кликабельной)
 
 С уважением,
@@ -46,9 +56,9 @@ class MessageTemplates {
 Спасибо за Ваш заказ в магазине "{{companyName}}"!
 
 Детали заказа №{{orderNumber}}:
-- Наименование: {{productName}}
-- Цена: {{productPrice}} тенге
-- Дата заказа: {{orderDate}}
+{{#each orderItems}}- {{name}}{{#if quantity}} x {{quantity}}{{/if}}: {{totalPrice | currency}}
+{{/each}}- Сумма заказа: {{orderAmount | currency}}
+- Дата заказа: {{orderDate | date:"DD.MM.YYYY"}}
 
 Статус заказа Вы можете отслеживать в приложении Kaspi.kz.
 
@@ -64,72 +74,183 @@ class MessageTemplates {
 
 Если Вы получили это сообщение, значит система работает корректно.`
     };
+
+    // Базовые шаблоны сообщений на казахском языке
+    const kazakhTemplates = {
+      reviewRequest:
+`Сәлеметсіз бе, {{customerName}}!
+
+{{#if hasSeveralProducts}}"{{companyName}}" дүкенінен сатып алғаныңыз үшін рахмет.
+
+Тауарлар мен біздің қызмет туралы пікіріңізді қалдырсаңыз, өте риза боламыз. Бұл бізге жақсаруға көмектеседі!
+
+Пікір қалдыру үшін мына сілтемелерге өтіңіз:
+{{#each reviewItems}}{{@number}}. {{name}}: {{reviewLink}}
+{{/each}}{{else}}"{{companyName}}" дүкенінен "{{productName}}" сатып алғаныңыз үшін рахмет.
+
+Тауар мен біздің қызмет туралы пікіріңізді қалдырсаңыз, өте риза боламыз. Бұл бізге жақсаруға көмектеседі!
+
+Пікір қалдыру үшін мына сілтемеге өтіңіз:
+{{reviewLink}}
+{{/if}}
+(Сілтеме белсенді болуы үшін бізге кез келген хабарлама жіберіңіз)
+
+Құрметпен,
+{{companyName}}`,
+
+      deliveryNotification:
+`Сәлеметсіз бе, {{customerName}}!
+
+№{{orderNumber}} тапсырысыңыз ("{{productName}}") мына мекенжайға жеткізілді: {{deliveryAddress}}.
+
+Тауар бойынша сұрақтарыңыз болса, бізбен хабарласыңыз.
+
+Құрметпен,
+{{companyName}}`,
+
+      newOrderConfirmation:
+`Сәлеметсіз бе, {{customerName}}!
+
+"{{companyName}}" дүкеніне тапсырыс бергеніңіз үшін рахмет!
+
+№{{orderNumber}} тапсырыс мәліметтері:
+{{#each orderItems}}- {{name}}{{#if quantity}} x {{quantity}}{{/if}}: {{totalPrice | currency}}
+{{/each}}- Тапсырыс сомасы: {{orderAmount | currency}}
+- Тапсырыс күні: {{orderDate | date:"DD.MM.YYYY"}}
+
+Тапсырыс күйін Kaspi.kz қосымшасынан қадағалай аласыз.
+
+Құрметпен,
+{{companyName}}`,
+
+      testMessage:
+`Бұл {{companyName}} үшін Kaspi WhatsApp Integration жүйесінің тестілік хабарламасы.
+
+Жіберілген уақыты: {{timestamp}}
+Тестілік мән: {{testValue}}
+
+Бұл хабарламаны алсаңыз, жүйе дұрыс жұмыс істейді.`
+    };
+
+    // Встроенные тексты по языкам: ими заполняется база при первом запуске
+    this.defaultTemplates = {
+      ru: russianTemplates,
+      kk: kazakhTemplates
+    };
+
+    // Общие шаблоны по языкам: язык -> { имя: текст }
+    this.templates = this.cloneTemplates(this.defaultTemplates);
+
+    // Шаблоны, переопределенные для магазинов: shopId -> { язык -> { имя: текст } }
+    this.shopTemplates = new Map();
   }
 
   /**
-   * Компилирует шаблон, подставляя переменные
+   * Компилирует шаблон, подставляя переменные.
+   * Поддерживаются блоки {{#each}}, {{#if}}, {{#unless}} и форматтеры ({{orderAmount | currency}}), см. utils/templateEngine
    * @param {string} templateName - Имя шаблона
    * @param {Object} variables - Объект с переменными для подстановки
+   * @param {Object} [shop] - Магазин: его шаблоны и название компании имеют приоритет
+   * @param {string} [language] - Язык сообщения (kk, ru, en)
    * @returns {string} - Скомпилированное сообщение
+   * @throws {TemplateError} - Если шаблон не найден или содержит ошибку
    */
-  compile(templateName, variables) {
+  compile(templateName, variables, shop = null, language = DEFAULT_LANGUAGE) {
+    // Получаем текст шаблона: сначала на языке клиента, затем на русском
+    const template = this.getTemplateText(templateName, shop, language);
+
+    // Проверяем существование шаблона
+    if (!template) {
+      logger.error(`Шаблон "${templateName}" не найден`);
+      throw new templateEngine.TemplateError(`Шаблон "${templateName}" не найден`);
+    }
+
+    // Добавляем название компании в переменные, если оно еще не указано
+    const allVariables = {
+      ...variables,
+      companyName: variables.companyName || shop?.companyName || this.companyName
+    };
+
     try {
-      // Проверяем существование шаблона
-      if (!this.templates[templateName]) {
-        logger.error(`Шаблон "${templateName}" не найден`);
-        throw new Error(`Шаблон "${templateName}" не найден`);
-      }
+      // Даты в сообщении показываются по часовому поясу магазина, а не сервера
+      return templateEngine.render(template, allVariables, { timeZone: shopService.getTimezone(shop) });
+    } catch (error) {
+      logger.error(`Ошибка при компиляции шаблона "${templateName}": ${error.message}`);
+      throw error;
+    }
+  }
 
-      // Получаем текст шаблона
-      let message = this.templates[templateName];
+  /**
+   * Проверяет синтаксис текста шаблона
+   * @param {string} templateText - Текст шаблона
+   * @returns {TemplateError|null} - Ошибка или null, если шаблон корректен
+   */
+  validate(templateText) {
+    return templateEngine.validate(templateText);
+  }
 
-      // Добавляем название компании в переменные, если оно еще не указано
-      const allVariables = {
-        ...variables,
-        companyName: variables.companyName || this.companyName
-      };
+  /**
+   * Возвращает наборы шаблонов в порядке приоритета: шаблоны магазина и общие шаблоны
+   * на языке клиента, затем те же наборы на языке по умолчанию
+   * @param {Object} [shop] - Магазин
+   * @param {string} [language] - Язык
+   * @returns {Array<Object>} - Наборы шаблонов { имя: текст }
+   */
+  getTemplateSets(shop = null, language = DEFAULT_LANGUAGE) {
+    const shopTemplates = (shop && this.shopTemplates.get(shop.id)) || {};
+    const languages = language === DEFAULT_LANGUAGE ? [language] : [language, DEFAULT_LANGUAGE];
 
-      // Подставляем переменные
-      Object.keys(allVariables).forEach(key => {
-        const regex = new RegExp(`{{${key}}}`, 'g');
-        message = message.replace(regex, allVariables[key] || '');
-      });
+    return languages.flatMap(lang => [shopTemplates[lang] || {}, this.templates[lang] || {}]);
+  }
 
-      // Убираем оставшиеся неиспользованные переменные
-      message = message.replace(/{{[^{}]+}}/g, '');
+  /**
+   * Возвращает текст шаблона с учетом языка и шаблонов, переопределенных для магазина.
+   * Если варианта на нужном языке нет, используется русский
+   * @param {string} templateName - Имя шаблона
+   * @param {Object} [shop] - Магазин
+   * @param {string} [language] - Язык
+   * @returns {string|undefined} - Текст шаблона
+   */
+  getTemplateText(templateName, shop = null, language = DEFAULT_LANGUAGE) {
+    const set = this.getTemplateSets(shop, language).find(templates => templates[templateName]);
+    return set ? set[templateName] : undefined;
+  }
 
-      return message;
-    } catch (error) {
-      logger.error(`Ошибка при компиляции шаблона "${templateName}":`, error);
-      // Возвращаем простое резервное сообщение в случае ошибки
-      return `Здравствуйте! Пожалуйста, свяжитесь с нами по поводу вашего заказа. С уважением, ТОО "TRABZON".`;
-    }
+  /**
+   * Возвращает языки, на которых есть вариант шаблона
+   * @param {string} templateName - Имя шаблона
+   * @param {Object} [shop] - Магазин
+   * @returns {Array<string>} - Коды языков
+   */
+  getTemplateLanguages(templateName, shop = null) {
+    const shopTemplates = (shop && this.shopTemplates.get(shop.id)) || {};
+    const languages = new Set([...Object.keys(this.templates), ...Object.keys(shopTemplates)]);
+
+    return [...languages].filter(lang =>
+      (shopTemplates[lang] && shopTemplates[lang][templateName]) || (this.templates[lang] && this.templates[lang][templateName])
+    );
   }
 
   /**
    * Создает сообщение для запроса отзыва
    * @param {Object} order - Объект заказа
    * @param {string} reviewLink - Ссылка для отзыва
+   * @param {Object} [shop] - Магазин, от имени которого отправляется сообщение
+   * @param {string} [language] - Язык сообщения, по умолчанию язык клиента
+   * @param {Object} [product] - Товар из getReviewItems, если отзыв запрашивается об одном товаре
    * @returns {string} - Текст сообщения
    */
-  getReviewRequestMessage(order, reviewLink) {
+  getReviewRequestMessage(order, reviewLink, shop = null, language = resolveLanguage(order, shop), product = null) {
     try {
       if (!order || !order.orderItems || order.orderItems.length === 0) {
         throw new Error('Неверный формат заказа');
       }
 
-      // Получаем имя клиента (только имя без фамилии)
-      const customerName = order.customerName.split(' ')[0];
-      
-      // Данные первого товара в заказе
-      const firstItem = order.orderItems[0];
-
-      // Компилируем шаблон
+      // Компилируем шаблон: у каждого товара в reviewItems своя ссылка на отзыв
       return this.compile('reviewRequest', {
-        customerName,
-        productName: firstItem.name,
+        ...this.buildOrderVariables(order, product),
         reviewLink
-      });
+      }, shop, language);
     } catch (error) {
       logger.error('Ошибка при создании сообщения запроса отзыва:', error);
       return this.getDefaultReviewRequestMessage(order, reviewLink);
@@ -176,7 +297,7 @@ class MessageTemplates {
         orderNumber: order.kaspiOrderId,
         productName: firstItem.name,
         deliveryAddress
-      });
+      }, null, resolveLanguage(order));
     } catch (error) {
       logger.error('Ошибка при создании сообщения о доставке:', error);
       return `Здравствуйте! Ваш заказ доставлен по адресу: ${deliveryAddress || 'указанному адресу'}. С уважением, ТОО "TRABZON".`;
@@ -194,29 +315,117 @@ class MessageTemplates {
         throw new Error('Неверный формат заказа');
       }
 
-      // Получаем имя клиента (только имя без фамилии)
-      const customerName = order.customerName.split(' ')[0];
-      
-      // Данные первого товара в заказе
-      const firstItem = order.orderItems[0];
-      
-      // Форматируем дату
-      const orderDate = new Date(order.orderDate).toLocaleDateString('ru-RU');
-
       // Компилируем шаблон
-      return this.compile('newOrderConfirmation', {
-        customerName,
-        orderNumber: order.kaspiOrderId,
-        productName: firstItem.name,
-        productPrice: firstItem.totalPrice,
-        orderDate
-      });
+      return this.compile('newOrderConfirmation', this.buildOrderVariables(order), null, resolveLanguage(order));
     } catch (error) {
       logger.error('Ошибка при создании сообщения о новом заказе:', error);
       return `Здравствуйте! Спасибо за ваш заказ в ТОО "TRABZON". Вы можете отслеживать статус в приложении Kaspi.kz.`;
     }
   }
 
+  /**
+   * Формирует ссылку на отзыв о товаре заказа в Kaspi
+   * @param {Object} order - Объект заказа
+   * @param {Object} item - Товар заказа
+   * @returns {string} - Ссылка для отзыва
+   */
+  getReviewLink(order, item) {
+    const orderCode = String(order.kaspiOrderId || '').split('-')[0] || order.kaspiOrderId;
+    return kaspiService.generateReviewLink(item.code, orderCode);
+  }
+
+  /**
+   * Возвращает товары заказа, о которых можно оставить отзыв: без повторов и только с кодом товара
+   * @param {Object} order - Объект заказа
+   * @returns {Array} - Товары { name, code, quantity, unitPrice, totalPrice, reviewLink }
+   */
+  getReviewItems(order) {
+    const items = Array.isArray(order.orderItems) ? order.orderItems : [];
+    const products = new Map();
+
+    for (const item of items) {
+      if (!item || !item.code) {
+        continue;
+      }
+
+      // Один товар может быть в заказе несколькими позициями
+      const product = products.get(item.code);
+      if (product) {
+        product.quantity += item.quantity || 1;
+        product.totalPrice += item.totalPrice || 0;
+        continue;
+      }
+
+      products.set(item.code, {
+        name: item.name || '',
+        code: item.code,
+        quantity: item.quantity || 1,
+        unitPrice: item.unitPrice || 0,
+        totalPrice: item.totalPrice || 0,
+        reviewLink: this.getReviewLink(order, item)
+      });
+    }
+
+    return [...products.values()];
+  }
+
+  /**
+   * Формирует переменные шаблона из данных заказа
+   * @param {Object} order - Объект заказа
+   * @param {Object} [product] - Товар из getReviewItems, если сообщение только о нем
+   * @returns {Object} - Переменные для подстановки в шаблон
+   */
+  buildOrderVariables(order, product = null) {
+    const items = Array.isArray(order.orderItems) ? order.orderItems : [];
+    const firstItem = items[0] || {};
+
+    // Товары для блоков {{#each orderItems}}
+    const orderItems = items.map(item => ({
+      name: item.name || '',
+      code: item.code || '',
+      quantity: item.quantity || 1,
+      unitPrice: item.unitPrice || 0,
+      totalPrice: item.totalPrice || 0,
+      reviewLink: item.code ? this.getReviewLink(order, item) : ''
+    }));
+
+    // Товары для отзыва: все товары заказа или только тот, о котором сообщение
+    const reviewItems = product ? [product] : this.getReviewItems(order);
+    const mainItem = product || firstItem;
+
+    return {
+      customerName: (order.customerName || '').split(' ')[0],
+      customerFullName: order.customerName || '',
+      orderNumber: order.kaspiOrderId,
+      productName: mainItem.name || '',
+      productPrice: mainItem.totalPrice || '',
+      orderAmount: order.orderAmount || '',
+      orderDate: order.orderDate ? new Date(order.orderDate) : '',
+      deliveryAddress: order.deliveryAddress || '',
+      orderItems,
+      itemsCount: orderItems.length,
+      hasSeveralItems: orderItems.length > 1,
+      reviewItems,
+      hasSeveralProducts: reviewItems.length > 1
+    };
+  }
+
+  /**
+   * Создает сообщение по произвольному шаблону для заказа
+   * @param {string} templateName - Имя шаблона
+   * @param {Object} order - Объект заказа
+   * @param {Object} extraVariables - Дополнительные переменные (например, reviewLink)
+   * @param {Object} [shop] - Магазин, от имени которого отправляется сообщение
+   * @param {string} [language] - Язык сообщения, по умолчанию язык клиента
+   * @returns {string} - Текст сообщения
+   */
+  getOrderMessage(templateName, order, extraVariables = {}, shop = null, language = resolveLanguage(order, shop)) {
+    return this.compile(templateName, {
+      ...this.buildOrderVariables(order),
+      ...extraVariables
+    }, shop, language);
+  }
+
   /**
    * Создает тестовое сообщение
    * @param {string} testValue - Тестовое значение
@@ -226,7 +435,7 @@ class MessageTemplates {
     try {
       // Компилируем шаблон
       return this.compile('testMessage', {
-        timestamp: new Date().toLocaleString('ru-RU'),
+        timestamp: new Date().toLocaleString('ru-RU', { timeZone: shopService.getTimezone(null) }),
         testValue
       });
     } catch (error) {
@@ -236,73 +445,74 @@ class MessageTemplates {
   }
 
   /**
-   * Добавляет новый шаблон сообщения
-   * @param {string} templateName - Имя шаблона
-   * @param {string} templateText - Текст шаблона
-   * @returns {boolean} - Успешно ли добавлен шаблон
+   * Копирует наборы шаблонов по языкам
+   * @param {Object} templatesByLanguage - { язык: { имя: текст } }
+   * @returns {Object} - Копия
    */
-  addTemplate(templateName, templateText) {
-    try {
-      if (!templateName || !templateText) {
-        throw new Error('Необходимо указать имя и текст шаблона');
-      }
+  cloneTemplates(templatesByLanguage) {
+    return Object.fromEntries(
+      Object.entries(templatesByLanguage).map(([lang, templates]) => [lang, { ...templates }])
+    );
+  }
 
-      this.templates[templateName] = templateText;
-      logger.info(`Добавлен новый шаблон "${templateName}"`);
-      return true;
-    } catch (error) {
-      logger.error(`Ошибка при добавлении шаблона "${templateName}":`, error);
-      return false;
+  /**
+   * Заменяет кэш шаблонов данными из базы. Встроенные шаблоны остаются, если их нет в базе
+   * @param {Object} templates - Общие шаблоны { язык: { имя: текст } }
+   * @param {Map<number, Object>} shopTemplates - Шаблоны магазинов: shopId -> { язык: { имя: текст } }
+   */
+  loadTemplates(templates, shopTemplates = new Map()) {
+    const merged = this.cloneTemplates(this.defaultTemplates);
+
+    for (const [lang, languageTemplates] of Object.entries(templates)) {
+      merged[lang] = { ...(merged[lang] || {}), ...languageTemplates };
     }
+
+    this.templates = merged;
+    this.shopTemplates = shopTemplates;
   }
 
   /**
-   * Обновляет существующий шаблон
+   * Сохраняет текст шаблона в кэше
    * @param {string} templateName - Имя шаблона
-   * @param {string} templateText - Новый текст шаблона
-   * @returns {boolean} - Успешно ли обновлен шаблон
+   * @param {string} templateText - Текст шаблона
+   * @param {number|null} shopId - Магазин, для которого переопределен шаблон
+   * @param {string} [language] - Язык варианта шаблона
    */
-  updateTemplate(templateName, templateText) {
-    try {
-      if (!this.templates[templateName]) {
-        throw new Error(`Шаблон "${templateName}" не найден`);
-      }
+  setTemplate(templateName, templateText, shopId = null, language = DEFAULT_LANGUAGE) {
+    let target = this.templates;
 
-      this.templates[templateName] = templateText;
-      logger.info(`Обновлен шаблон "${templateName}"`);
-      return true;
-    } catch (error) {
-      logger.error(`Ошибка при обновлении шаблона "${templateName}":`, error);
-      return false;
+    if (shopId) {
+      if (!this.shopTemplates.has(shopId)) {
+        this.shopTemplates.set(shopId, {});
+      }
+      target = this.shopTemplates.get(shopId);
     }
+
+    target[language] = { ...(target[language] || {}), [templateName]: templateText };
   }
 
   /**
-   * Удаляет шаблон
+   * Удаляет шаблон из кэша
    * @param {string} templateName - Имя шаблона
-   * @returns {boolean} - Успешно ли удален шаблон
+   * @param {number|null} shopId - Магазин, для которого переопределен шаблон
+   * @param {string} [language] - Язык варианта шаблона
    */
-  deleteTemplate(templateName) {
-    try {
-      if (!this.templates[templateName]) {
-        throw new Error(`Шаблон "${templateName}" не найден`);
-      }
+  removeTemplate(templateName, shopId = null, language = DEFAULT_LANGUAGE) {
+    const target = shopId ? this.shopTemplates.get(shopId) : this.templates;
 
-      delete this.templates[templateName];
-      logger.info(`Удален шаблон "${templateName}"`);
-      return true;
-    } catch (error) {
-      logger.error(`Ошибка при удалении шаблона "${templateName}":`, error);
-      return false;
+    if (target && target[language]) {
+      delete target[language][templateName];
     }
   }
 
   /**
    * Получает список всех доступных шаблонов
+   * @param {Object} [shop] - Магазин: его шаблоны заменяют общие
+   * @param {string} [language] - Язык: шаблоны без варианта на этом языке берутся на русском
    * @returns {Object} - Список шаблонов
    */
-  getAllTemplates() {
-    return { ...this.templates };
+  getAllTemplates(shop = null, language = DEFAULT_LANGUAGE) {
+    return Object.assign({}, ...this.getTemplateSets(shop, language).reverse());
   }
 }
 
@@ -0,0 +1,176 @@
+// services/messageTrackingService.js
+const { Op } = require('sequelize');
+const logger = require('./loggerService');
+const customerService = require('./customerService');
+const { Message, Order } = require('../models');
+const { normalizePhone } = require('../utils/phoneUtils');
+
+// Порядок статусов: статус сообщения никогда не откатывается назад,
+// даже если вебхуки от Meta приходят не по порядку
+const STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+class MessageTrackingService {
+  /**
+   * Сохраняет исходящее сообщение после успешной отправки
+   * @param {Object} order - Заказ, по которому отправлено сообщение (может быть null)
+   * @param {Object} result - Результат отправки из сервиса WhatsApp
+   * @param {string} templateName - Имя шаблона сообщения
+   * @returns {Promise<Object|null>} Сохраненное сообщение
+   */
+  async recordOutgoing(order, result, templateName = null) {
+    try {
+      if (!result) {
+        return null;
+      }
+
+      const message = await Message.create({
+        orderId: order ? order.id : null,
+        customerId: order?.customerId || null,
+        wamid: result.messageId || null,
+        recipient: normalizePhone(result.recipient || order?.customerPhone),
+        messageType: result.template ? 'template' : 'text',
+        templateName: result.template || templateName,
+        status: 'sent',
+        sentAt: result.timestamp || new Date()
+      });
+
+      if (message.customerId) {
+        await customerService.recordContact(message.customerId, message.sentAt);
+      }
+
+      return message;
+    } catch (error) {
+      // Ошибка учета не должна влиять на саму отправку
+      logger.error(`Ошибка при сохранении исходящего сообщения ${result?.messageId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Применяет статус доставки из вебхука к сообщению и заказу
+   * @param {Object} update - Данные статуса
+   * @param {string} update.wamid - ID сообщения WhatsApp
+   * @param {string} update.status - sent, delivered, read или failed
+   * @param {Date} update.timestamp - Время события
+   * @param {string} [update.errorCode] - Код ошибки
+   * @param {string} [update.errorMessage] - Текст ошибки
+   * @returns {Promise<Object|null>} Обновленное сообщение или null, если оно не найдено
+   */
+  async applyStatusUpdate({ wamid, status, timestamp, errorCode, errorMessage }) {
+    if (!wamid || !status) {
+      return null;
+    }
+
+    const message = await Message.findOne({ where: { wamid } });
+    if (!message) {
+      logger.debug(`Статус ${status} для неизвестного сообщения ${wamid}`);
+      return null;
+    }
+
+    const eventTime = timestamp || new Date();
+
+    if (status === 'failed') {
+      message.status = 'failed';
+      message.failedAt = eventTime;
+      message.errorCode = errorCode || null;
+      message.errorMessage = errorMessage || null;
+    } else if (STATUS_RANK[status]) {
+      if (status === 'delivered' && !message.deliveredAt) {
+        message.deliveredAt = eventTime;
+      }
+      if (status === 'read') {
+        message.readAt = message.readAt || eventTime;
+        // Прочитанное сообщение считается доставленным, даже если статус delivered не пришел
+        message.deliveredAt = message.deliveredAt || eventTime;
+      }
+      if (message.status !== 'failed' && STATUS_RANK[status] > (STATUS_RANK[message.status] || 0)) {
+        message.status = status;
+      }
+    } else {
+      logger.warn(`Неизвестный статус сообщения ${wamid}: ${status}`);
+      return message;
+    }
+
+    await message.save();
+    await this.updateOrderStatus(message, errorMessage);
+
+    return message;
+  }
+
+  /**
+   * Переносит статус сообщения в notificationStatus заказа
+   * @param {Object} message - Сообщение
+   * @param {string} errorMessage - Текст ошибки для статуса failed
+   */
+  async updateOrderStatus(message, errorMessage) {
+    if (!message.orderId) {
+      return;
+    }
+
+    const order = await Order.findByPk(message.orderId);
+    if (!order) {
+      return;
+    }
+
+    if (message.status === 'failed') {
+      await order.update({
+        notificationStatus: 'failed',
+        notificationError: errorMessage || 'Сообщение не доставлено'
+      });
+      return;
+    }
+
+    const currentRank = STATUS_RANK[order.notificationStatus];
+    if (currentRank && STATUS_RANK[message.status] > currentRank) {
+      await order.update({ notificationStatus: message.status });
+    }
+  }
+
+  /**
+   * Считает статистику доставки сообщений
+   * @param {Object} where - Дополнительные условия выборки сообщений
+   * @param {Object} [orderWhere] - Условия по заказу сообщения (например, магазин)
+   * @returns {Promise<Object>} Количество и доли доставленных и прочитанных сообщений
+   */
+  async getDeliveryStats(where = {}, orderWhere = null) {
+    const include = orderWhere ? [{ model: Order, as: 'order', where: orderWhere, attributes: [] }] : [];
+
+    const [total, delivered, read, failed] = await Promise.all([
+      Message.count({ where, include }),
+      Message.count({ where: { ...where, deliveredAt: { [Op.ne]: null } }, include }),
+      Message.count({ where: { ...where, readAt: { [Op.ne]: null } }, include }),
+      Message.count({ where: { ...where, status: 'failed' }, include })
+    ]);
+
+    return this.buildStats(total, delivered, read, failed);
+  }
+
+  /**
+   * Формирует объект статистики с процентами доставки и прочтения
+   * @param {number} total - Всего сообщений
+   * @param {number} delivered - Доставлено (включая прочитанные)
+   * @param {number} read - Прочитано
+   * @param {number} failed - Не доставлено
+   * @returns {Object} Статистика
+   */
+  buildStats(total, delivered, read, failed) {
+    const sent = total - failed;
+    const percent = (value) => (sent > 0 ? Math.round((value / sent) * 1000) / 10 : 0);
+
+    return {
+      total,
+      sent,
+      delivered,
+      read,
+      failed,
+      deliveryRate: percent(delivered),
+      readRate: percent(read)
+    };
+  }
+}
+
+module.exports = new MessageTrackingService();
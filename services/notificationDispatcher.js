@@ -0,0 +1,76 @@
+// services/notificationDispatcher.js
+const logger = require('./loggerService');
+const whatsappService = require('./whatsappService');
+const whatsappCloudService = require('./whatsappCloudService');
+const messageTemplates = require('./messageTemplates');
+const messageTrackingService = require('./messageTrackingService');
+const shopService = require('./shopService');
+const config = require('../config/config');
+const { resolveLanguage } = require('../utils/languageUtils');
+
+// Шаблон запроса отзыва отправляется отдельным методом и отражается в notificationStatus заказа
+const REVIEW_REQUEST_TEMPLATE = 'reviewRequest';
+
+class NotificationDispatcher {
+  /**
+   * Возвращает сервис WhatsApp в соответствии с настройками (Cloud API или локальный API)
+   * @param {Object} [shop] - Магазин, с номера которого отправляется сообщение
+   * @returns {Object} Сервис отправки сообщений
+   */
+  getWhatsAppService(shop = null) {
+    return config.whatsapp.type === 'cloud' ? whatsappCloudService.forShop(shop) : whatsappService;
+  }
+
+  /**
+   * Отправляет уведомление по заказу с использованием указанного шаблона
+   * @param {Object} order - Объект заказа
+   * @param {string} templateName - Имя шаблона сообщения
+   * @returns {Promise<Object>} Результат отправки
+   */
+  async sendOrderNotification(order, templateName) {
+    const shop = await shopService.getShopById(order.shopId);
+    const service = this.getWhatsAppService(shop);
+    const isReviewRequest = templateName === REVIEW_REQUEST_TEMPLATE;
+
+    try {
+      let result;
+
+      if (isReviewRequest) {
+        result = await service.sendReviewRequest(order, shop);
+      } else if (config.whatsapp.type === 'cloud') {
+        // Одобренный шаблон Meta можно отправить и вне 24-часового окна, поэтому он в приоритете
+        result = await service.sendMappedTemplate(order, templateName, {}, resolveLanguage(order, shop));
+        if (!result) {
+          const message = messageTemplates.getOrderMessage(templateName, order, {}, shop);
+          result = await service.sendTextMessage(order.customerPhone, message);
+        }
+      } else {
+        const message = messageTemplates.getOrderMessage(templateName, order, {}, shop);
+        result = await service.sendMessage(order.customerPhone, message, [], order.shopId);
+      }
+
+      // Сохраняем ID сообщений для отслеживания статусов доставки. Запрос отзыва может состоять
+      // из нескольких сообщений - по одному на товар
+      for (const sent of result?.messages || [result]) {
+        await messageTrackingService.recordOutgoing(order, sent, templateName);
+      }
+
+      if (isReviewRequest) {
+        await order.update({
+          notificationStatus: 'sent',
+          notificationSentAt: new Date(),
+          notificationError: null
+        });
+      }
+
+      logger.info(`Уведомление "${templateName}" отправлено для заказа ${order.kaspiOrderId}`);
+      return result;
+    } catch (error) {
+      // Статус заказа при ошибке обновляет очередь: она решает, будет ли повторная попытка
+      logger.error(`Ошибка при отправке уведомления "${templateName}" для заказа ${order.kaspiOrderId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationDispatcher();
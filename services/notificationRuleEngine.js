@@ -0,0 +1,188 @@
+// services/notificationRuleEngine.js
+const { Op, fn, col, where, literal } = require('sequelize');
+const logger = require('./loggerService');
+const outboxService = require('./outboxService');
+const { Order, NotificationRule, RuleExecution } = require('../models');
+
+// Правило, которое создается при первом запуске и повторяет прежнюю логику планировщика
+const DEFAULT_RULES = [
+  {
+    name: 'Запрос отзыва после завершения заказа',
+    description: 'Отправляется, когда заказ переходит в статус completed',
+    triggerStatus: 'completed',
+    delayMinutes: 0,
+    templateName: 'reviewRequest'
+  }
+];
+
+class NotificationRuleEngine {
+  /**
+   * Создает правила по умолчанию, если в базе еще нет ни одного правила
+   */
+  async ensureDefaultRules() {
+    try {
+      const count = await NotificationRule.count();
+      if (count > 0) {
+        return;
+      }
+
+      await NotificationRule.bulkCreate(DEFAULT_RULES);
+      logger.info(`Созданы правила уведомлений по умолчанию: ${DEFAULT_RULES.length}`);
+    } catch (error) {
+      logger.error('Ошибка при создании правил уведомлений по умолчанию:', error);
+    }
+  }
+
+  /**
+   * Находит заказы, для которых правило должно сработать
+   * @param {Object} rule - Правило уведомления
+   * @param {number} limit - Ограничение количества заказов
+   * @param {Object} [shop] - Магазин, заказы которого проверяются
+   * @returns {Promise<Array>} Массив заказов
+   */
+  async findDueOrders(rule, limit, shop = null) {
+    const now = Date.now();
+    const dueBefore = new Date(now - rule.delayMinutes * 60 * 1000);
+    const staleBefore = new Date(dueBefore.getTime() - rule.maxAgeHours * 60 * 60 * 1000);
+
+    // Для заказов, сохраненных до появления statusChangedAt, используем время создания записи.
+    // Запрос отзыва отсчитывается от времени, раньше которого его нельзя отправлять (reviewNotBefore)
+    const statusTime = rule.templateName === 'reviewRequest'
+      ? fn('COALESCE', col('Order.review_not_before'), col('Order.status_changed_at'), col('Order.created_at'))
+      : fn('COALESCE', col('Order.status_changed_at'), col('Order.created_at'));
+    const ruleId = parseInt(rule.id);
+
+    const conditions = {
+      orderStatus: rule.triggerStatus,
+      [Op.and]: [
+        where(statusTime, Op.lte, dueBefore),
+        where(statusTime, Op.gte, staleBefore),
+        // Неудачная постановка в очередь не блокирует правило: такой заказ проверяется повторно
+        literal(`NOT EXISTS (SELECT 1 FROM rule_executions AS re WHERE re.rule_id = ${ruleId} AND re.order_id = \`Order\`.\`id\` AND re.status <> 'failed')`)
+      ]
+    };
+
+    if (shop) {
+      conditions.shopId = shop.id;
+    }
+
+    // Запрос отзыва не отправляем повторно, если он уже был отправлен вручную
+    if (rule.templateName === 'reviewRequest') {
+      conditions.notificationStatus = 'pending';
+    }
+
+    return Order.findAll({
+      where: conditions,
+      limit,
+      order: [[statusTime, 'ASC']]
+    });
+  }
+
+  /**
+   * Выполняет правило для одного заказа
+   * @param {Object} rule - Правило уведомления
+   * @param {Object} order - Заказ
+   * @returns {Promise<Object|null>} Запись о выполнении или null, если правило уже выполнялось
+   */
+  async executeRule(rule, order) {
+    let execution;
+    try {
+      // Уникальный индекс (rule_id, order_id) не дает отправить сообщение дважды при параллельных запусках
+      execution = await RuleExecution.create({
+        ruleId: rule.id,
+        orderId: order.id,
+        status: 'processing'
+      });
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+
+      // Запись уже есть. Повторяем только неудачное выполнение, и только если его не забрал параллельный запуск
+      const [claimed] = await RuleExecution.update(
+        { status: 'processing', error: null },
+        { where: { ruleId: rule.id, orderId: order.id, status: 'failed' } }
+      );
+      if (claimed === 0) {
+        return null;
+      }
+      execution = await RuleExecution.findOne({ where: { ruleId: rule.id, orderId: order.id } });
+    }
+
+    try {
+      // Само сообщение отправит воркер очереди
+      const { item } = await outboxService.enqueue(order, rule.templateName, {
+        source: 'rule',
+        ruleId: rule.id
+      });
+      await execution.update({
+        status: 'enqueued',
+        outboxMessageId: item.id,
+        executedAt: new Date()
+      });
+    } catch (error) {
+      logger.error(`Ошибка при постановке в очередь по правилу "${rule.name}" для заказа ${order.kaspiOrderId}:`, error);
+      await execution.update({
+        status: 'failed',
+        error: error.message,
+        executedAt: new Date()
+      });
+    }
+
+    return execution;
+  }
+
+  /**
+   * Проверяет все активные правила и ставит в очередь уведомления по наступившим событиям
+   * @param {number} limit - Максимальное количество сообщений за запуск
+   * @param {Object} [shop] - Магазин: проверяются общие правила и правила магазина
+   * @returns {Promise<Object>} Количество поставленных в очередь и неудачных сообщений
+   */
+  async evaluateRules(limit = 20, shop = null) {
+    const summary = { enqueued: 0, failed: 0 };
+
+    const ruleWhere = { isActive: true };
+    if (shop) {
+      ruleWhere.shopId = { [Op.or]: [null, shop.id] };
+    }
+
+    const rules = await NotificationRule.findAll({
+      where: ruleWhere,
+      order: [['id', 'ASC']]
+    });
+
+    for (const rule of rules) {
+      const remaining = limit - summary.enqueued - summary.failed;
+      if (remaining <= 0) {
+        break;
+      }
+
+      let orders;
+      try {
+        orders = await this.findDueOrders(rule, remaining, shop);
+      } catch (error) {
+        logger.error(`Ошибка при поиске заказов для правила "${rule.name}":`, error);
+        continue;
+      }
+
+      if (orders.length > 0) {
+        logger.info(`Правило "${rule.name}": найдено ${orders.length} заказов для уведомления`);
+      }
+
+      for (const order of orders) {
+        const execution = await this.executeRule(rule, order);
+        if (!execution) continue;
+
+        if (execution.status === 'enqueued') {
+          summary.enqueued += 1;
+        } else {
+          summary.failed += 1;
+        }
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new NotificationRuleEngine();
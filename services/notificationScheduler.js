@@ -1,52 +1,297 @@
 // services/notificationScheduler.js
 const cron = require('node-cron');
+const config = require('../config/config');
 const logger = require('./loggerService');
 const kaspiService = require('./kaspiService');
-const whatsappService = require('./whatsappService');
-const { Order } = require('../models');
+const notificationRuleEngine = require('./notificationRuleEngine');
+const outboxService = require('./outboxService');
+const shopService = require('./shopService');
+const templateService = require('./templateService');
+const whatsappTemplateService = require('./whatsappTemplateService');
+
+const { SchedulerJob } = require('../models');
+
+// Задачи планировщика и их настройки по умолчанию. Задача запускает одноименный метод планировщика.
+// batchSize указан для задач, которые обрабатывают записи пачками
+const JOBS = {
+  checkNewOrders: {
+    cronExpression: '0 * * * *',
+    description: 'Получение новых заказов из Kaspi API'
+  },
+  processNotificationRules: {
+    cronExpression: '*/15 * * * *',
+    batchSize: 20,
+    description: 'Постановка в очередь уведомлений по правилам (заказов на магазин за запуск)'
+  },
+  drainOutbox: {
+    cronExpression: '* * * * *',
+    batchSize: 20,
+    description: 'Отправка сообщений из очереди (сообщений за запуск)'
+  },
+  reloadTemplates: {
+    cronExpression: '*/5 * * * *',
+    description: 'Обновление кэша шаблонов сообщений из базы'
+  },
+  syncMetaTemplates: {
+    cronExpression: '30 * * * *',
+    description: 'Синхронизация шаблонов Meta'
+  },
+  refreshPendingMetaTemplates: {
+    cronExpression: '*/10 * * * *',
+    description: 'Проверка статуса шаблонов, отправленных на проверку в Meta'
+  }
+};
 
 class NotificationScheduler {
+  // Время отправки (по умолчанию с 9:00 до 21:00) настраивается для каждого магазина
+
   constructor() {
-    // Настройки времени отправки (по умолчанию с 9:00 до 21:00)
-    this.startHour = 9;
-    this.endHour = 21;
+    this.isStarted = false;
+    // Настройки задач из базы: имя -> SchedulerJob
+    this.jobSettings = new Map();
+    // Запланированные задачи node-cron: имя -> задача
+    this.tasks = new Map();
+    // Состояние задач в этом процессе: имя -> { isRunning, lastRunAt, lastDurationMs, lastTrigger }
+    this.jobState = new Map();
   }
 
   /**
    * Начинает планирование отправки уведомлений
    */
-  startScheduling() {
-    // Проверяем новые заказы каждый час
-    cron.schedule('0 * * * *', () => {
-      this.checkNewOrders();
-    });
+  async startScheduling() {
+    await this.loadJobSettings();
 
-    // Отправляем запросы отзывов каждые 15 минут
-    cron.schedule('*/15 * * * *', () => {
-      this.sendReviewRequests();
+    for (const name of Object.keys(JOBS)) {
+      this.scheduleJob(name);
+    }
+
+    // Перечитываем настройки задач, чтобы применить изменения, сделанные через другой экземпляр приложения
+    cron.schedule('*/5 * * * *', () => {
+      this.reloadJobSettings();
     });
 
+    // Создаем правило запроса отзыва, если правила еще не настроены
+    notificationRuleEngine.ensureDefaultRules();
+
+    this.isStarted = true;
     logger.info('Планировщик уведомлений запущен');
   }
 
   /**
-   * Проверяет и получает новые заказы из Kaspi API
+   * Загружает настройки задач из базы. Задачи, которых еще нет в базе, создаются с настройками по умолчанию
+   */
+  async loadJobSettings() {
+    for (const [name, defaults] of Object.entries(JOBS)) {
+      try {
+        const [job] = await SchedulerJob.findOrCreate({
+          where: { name },
+          defaults: {
+            name,
+            cronExpression: defaults.cronExpression,
+            batchSize: defaults.batchSize || null
+          }
+        });
+        this.jobSettings.set(name, job);
+      } catch (error) {
+        logger.error(`Ошибка при загрузке настроек задачи планировщика ${name}, используются настройки по умолчанию:`, error);
+      }
+    }
+  }
+
+  /**
+   * Перечитывает настройки задач из базы и перепланирует задачи, настройки которых изменились
+   */
+  async reloadJobSettings() {
+    try {
+      const jobs = await SchedulerJob.findAll();
+
+      for (const job of jobs) {
+        if (!JOBS[job.name]) {
+          continue;
+        }
+
+        const current = this.jobSettings.get(job.name);
+        this.jobSettings.set(job.name, job);
+
+        if (!current || current.cronExpression !== job.cronExpression || current.isEnabled !== job.isEnabled) {
+          this.scheduleJob(job.name);
+        }
+      }
+    } catch (error) {
+      logger.error('Ошибка при обновлении настроек задач планировщика:', error);
+    }
+  }
+
+  /**
+   * Возвращает настройки задачи: из базы или по умолчанию
+   * @param {string} name - Имя задачи
+   * @returns {Object} { cronExpression, batchSize, isEnabled }
+   */
+  getJobSettings(name) {
+    const defaults = JOBS[name];
+    const job = this.jobSettings.get(name);
+
+    return {
+      cronExpression: job?.cronExpression || defaults.cronExpression,
+      batchSize: job?.batchSize || defaults.batchSize || null,
+      isEnabled: job ? job.isEnabled : true
+    };
+  }
+
+  /**
+   * Размер пачки задачи
+   * @param {string} name - Имя задачи
+   * @returns {number}
+   */
+  getBatchSize(name) {
+    return this.getJobSettings(name).batchSize;
+  }
+
+  /**
+   * Планирует задачу по текущим настройкам. Приостановленная задача снимается с расписания
+   * @param {string} name - Имя задачи
+   */
+  scheduleJob(name) {
+    const existing = this.tasks.get(name);
+    if (existing) {
+      existing.stop();
+      this.tasks.delete(name);
+    }
+
+    const settings = this.getJobSettings(name);
+    if (!settings.isEnabled) {
+      logger.info(`Задача планировщика ${name} приостановлена`);
+      return;
+    }
+
+    let cronExpression = settings.cronExpression;
+    if (!cron.validate(cronExpression)) {
+      logger.error(`Некорректное расписание задачи планировщика ${name}: "${cronExpression}", используется расписание по умолчанию`);
+      cronExpression = JOBS[name].cronExpression;
+    }
+
+    this.tasks.set(name, cron.schedule(cronExpression, () => {
+      this.runJob(name, 'schedule');
+    }));
+  }
+
+  /**
+   * Запускает задачу. Задача не запускается повторно, пока не завершился предыдущий запуск
+   * @param {string} name - Имя задачи
+   * @param {string} trigger - Источник запуска: 'schedule' или 'manual'
+   * @returns {Promise<boolean>} false, если задача уже выполняется
+   */
+  async runJob(name, trigger = 'schedule') {
+    const state = this.jobState.get(name) || {};
+    if (state.isRunning) {
+      logger.info(`Задача планировщика ${name} еще выполняется, запуск (${trigger}) пропущен`);
+      return false;
+    }
+
+    const startedAt = new Date();
+    this.jobState.set(name, { ...state, isRunning: true, lastRunAt: startedAt, lastTrigger: trigger });
+
+    try {
+      await this[name]();
+    } catch (error) {
+      logger.error(`Ошибка при выполнении задачи планировщика ${name}:`, error);
+    } finally {
+      this.jobState.set(name, {
+        ...this.jobState.get(name),
+        isRunning: false,
+        lastDurationMs: Date.now() - startedAt.getTime()
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Проверяет, что задача с таким именем существует
+   * @param {string} name - Имя задачи
+   * @returns {boolean}
+   */
+  hasJob(name) {
+    return Object.prototype.hasOwnProperty.call(JOBS, name);
+  }
+
+  /**
+   * Изменяет настройки задачи, сохраняет их в базе и перепланирует задачу.
+   * Параметры проверяются в контроллере
+   * @param {string} name - Имя задачи
+   * @param {Object} changes - Новые значения, не указанные поля не меняются
+   * @param {string} [changes.cronExpression] - Расписание в формате cron
+   * @param {number} [changes.batchSize] - Размер пачки
+   * @param {boolean} [changes.isEnabled] - false приостанавливает задачу
+   * @param {number} [userId] - Пользователь, изменивший настройки
+   * @returns {Promise<Object>} Состояние задачи
+   */
+  async updateJob(name, changes, userId = null) {
+    const fields = { userId };
+    for (const field of ['cronExpression', 'batchSize', 'isEnabled']) {
+      if (changes[field] !== undefined) {
+        fields[field] = changes[field];
+      }
+    }
+
+    const settings = this.getJobSettings(name);
+    const [job] = await SchedulerJob.findOrCreate({
+      where: { name },
+      defaults: { name, cronExpression: settings.cronExpression, batchSize: settings.batchSize }
+    });
+
+    await job.update(fields);
+    this.jobSettings.set(name, job);
+
+    if (this.isStarted) {
+      this.scheduleJob(name);
+    }
+
+    logger.info(`Настройки задачи планировщика ${name} изменены: ${job.isEnabled ? `расписание "${job.cronExpression}"` : 'приостановлена'}${job.batchSize ? `, размер пачки ${job.batchSize}` : ''}`);
+    return this.getJobStatus(name);
+  }
+
+  /**
+   * Возвращает настройки и состояние задачи
+   * @param {string} name - Имя задачи
+   * @returns {Object} Состояние задачи
+   */
+  getJobStatus(name) {
+    const settings = this.getJobSettings(name);
+    const state = this.jobState.get(name) || {};
+
+    return {
+      name,
+      description: JOBS[name].description,
+      cronExpression: settings.cronExpression,
+      defaultCronExpression: JOBS[name].cronExpression,
+      batchSize: settings.batchSize,
+      isEnabled: settings.isEnabled,
+      isScheduled: this.tasks.has(name),
+      isRunning: !!state.isRunning,
+      lastRunAt: state.lastRunAt || null,
+      lastDurationMs: state.lastDurationMs ?? null,
+      lastTrigger: state.lastTrigger || null
+    };
+  }
+
+  /**
+   * Возвращает настройки и состояние всех задач
+   * @returns {Array} Состояния задач
+   */
+  getJobsStatus() {
+    return Object.keys(JOBS).map(name => this.getJobStatus(name));
+  }
+
+  /**
+   * Проверяет и получает новые заказы из Kaspi API для всех активных магазинов
    */
   async checkNewOrders() {
     try {
-      logger.info('Запуск проверки новых заказов из Kaspi API');
+      const shops = await shopService.getActiveShops();
       
-      // Получаем заказы за последние 24 часа
-      const now = new Date();
-      const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-      
-      const orders = await kaspiService.fetchNewOrders(yesterday, now);
-      
-      if (orders && orders.length > 0) {
-        await kaspiService.processOrders(orders);
-        logger.info(`Обработано ${orders.length} новых заказов из Kaspi API`);
-      } else {
-        logger.info('Новых заказов не найдено');
+      for (const shop of shops) {
+        await this.checkShopOrders(shop);
       }
     } catch (error) {
       logger.error('Ошибка при проверке новых заказов:', error);
@@ -54,89 +299,191 @@ class NotificationScheduler {
   }
 
   /**
-   * Отправляет запросы на написание отзывов
+   * Получает новые заказы магазина из Kaspi API и обновляет статусы незавершенных заказов
+   * @param {Object} shop - Магазин
    */
-  async sendReviewRequests() {
+  async checkShopOrders(shop) {
     try {
-      // Проверяем, находимся ли мы в разрешенное время для отправки
-      const now = new Date();
-      const currentHour = now.getHours();
-      
-      if (currentHour < this.startHour || currentHour >= this.endHour) {
-        logger.info(`Сейчас не время для отправки уведомлений (${currentHour}:${now.getMinutes()}). Разрешено с ${this.startHour}:00 до ${this.endHour}:00`);
+      if (!shop.kaspiApiKey) {
+        logger.warn(`У магазина "${shop.name}" не указан токен Kaspi API, проверка заказов пропущена`);
         return;
       }
       
-      logger.info('Запуск отправки запросов отзывов');
+      logger.info(`Запуск проверки новых заказов из Kaspi API для магазина "${shop.name}"`);
       
-      // Получаем заказы, для которых нужно отправить уведомления
-      const orders = await kaspiService.getOrdersForReviewNotification(20); // Ограничиваем 20 заказами за раз
+      const now = new Date();
+      const fromDate = this.getOrderSyncStart(shop, now);
       
-      if (orders.length === 0) {
-        logger.info('Нет заказов для отправки запросов отзывов');
-        return;
+      const shopKaspiService = kaspiService.forShop(shop);
+      const progress = {};
+      const orders = await shopKaspiService.fetchNewOrders(fromDate, now, shopKaspiService.orderStatuses, progress);
+      const result = { failed: 0 };
+      
+      if (orders && orders.length > 0) {
+        await shopKaspiService.processOrders(orders, result);
+        logger.info(`Обработано ${orders.length} новых заказов из Kaspi API для магазина "${shop.name}"`);
+      } else {
+        logger.info(`Новых заказов для магазина "${shop.name}" не найдено`);
       }
       
-      logger.info(`Отправка запросов отзывов для ${orders.length} заказов`);
+      // Сдвигаем отметку только до конца периода, загруженного и сохраненного без пропусков:
+      // остальное будет запрошено повторно при следующей проверке
+      if (result.failed > 0) {
+        logger.warn(`Не удалось сохранить ${result.failed} заказов магазина "${shop.name}", отметка синхронизации не сдвигается`);
+      } else if (progress.loadedTo && (!shop.lastOrderSyncAt || progress.loadedTo > new Date(shop.lastOrderSyncAt))) {
+        await shop.update({ lastOrderSyncAt: progress.loadedTo });
+      }
       
-      // Обрабатываем каждый заказ
-      for (const order of orders) {
-        try {
-          // Отправляем запрос отзыва
-          await whatsappService.sendReviewRequest(order);
-          
-          // Обновляем статус уведомления
-          await order.update({
-            notificationStatus: 'sent',
-            notificationSentAt: new Date()
-          });
-          
-          logger.info(`Запрос отзыва успешно отправлен для заказа ${order.kaspiOrderId}`);
-          
-          // Добавляем небольшую задержку между отправками, чтобы не перегружать API
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        } catch (error) {
-          // Обновляем статус с ошибкой
-          await order.update({
-            notificationStatus: 'failed',
-            notificationError: error.message
-          });
-          
-          logger.error(`Ошибка при отправке запроса отзыва для заказа ${order.kaspiOrderId}:`, error);
+      if (!progress.loadedTo || progress.loadedTo < now) {
+        logger.warn(`Заказы магазина "${shop.name}" загружены не полностью, отметка синхронизации: ${shop.lastOrderSyncAt ? new Date(shop.lastOrderSyncAt).toISOString() : 'нет'}`);
+      }
+      
+      // Отметка синхронизации ограничивает запрос по дате создания, поэтому заказы, оформленные раньше,
+      // больше не запрашиваются. Их статусы (принят -> завершен) обновляются отдельно по ID заказа
+      await shopKaspiService.refreshOpenOrders();
+    } catch (error) {
+      logger.error(`Ошибка при проверке новых заказов магазина "${shop.name}":`, error);
+    }
+  }
+
+  /**
+   * Определяет, с какой даты создания запрашивать заказы магазина: с отметки последней
+   * синхронизации с перекрытием, а при первой синхронизации - за initialSyncHours часов.
+   * Благодаря отметке заказы, созданные пока сервис не работал, загружаются при следующем запуске
+   * @param {Object} shop - Магазин
+   * @param {Date} now - Текущее время
+   * @returns {Date} Начало периода
+   */
+  getOrderSyncStart(shop, now) {
+    if (!shop.lastOrderSyncAt) {
+      return new Date(now.getTime() - config.kaspi.initialSyncHours * 60 * 60 * 1000);
+    }
+    
+    return new Date(new Date(shop.lastOrderSyncAt).getTime() - config.kaspi.syncOverlapMinutes * 60 * 1000);
+  }
+
+  /**
+   * Ставит в очередь уведомления по правилам, для которых наступило время срабатывания
+   */
+  async processNotificationRules() {
+    try {
+      const shops = await shopService.getActiveShops();
+      let enqueued = 0;
+      
+      for (const shop of shops) {
+        // Проверяем, находимся ли мы в разрешенное время для отправки по местному времени магазина
+        const sendWindow = await shopService.checkSendWindow(shop, new Date());
+        if (!sendWindow.allowed) {
+          logger.info(`Сейчас не время для отправки уведомлений магазина "${shop.name}": ${sendWindow.reason}`);
+          continue;
         }
+        
+        logger.info(`Запуск проверки правил уведомлений для магазина "${shop.name}"`);
+        
+        // Ограничиваем количество сообщений за раз для каждого магазина
+        const summary = await notificationRuleEngine.evaluateRules(this.getBatchSize('processNotificationRules'), shop);
+        enqueued += summary.enqueued;
+        
+        logger.info(`Проверка правил уведомлений для магазина "${shop.name}" завершена: в очереди ${summary.enqueued}, ошибок ${summary.failed}`);
       }
       
-      logger.info('Отправка запросов отзывов завершена');
+      // Не ждем следующего запуска воркера, чтобы сообщения ушли сразу
+      if (enqueued > 0) {
+        this.drainOutbox();
+      }
     } catch (error) {
-      logger.error('Ошибка при отправке запросов отзывов:', error);
+      logger.error('Ошибка при обработке правил уведомлений:', error);
     }
   }
 
   /**
-   * Устанавливает временные рамки для отправки уведомлений
-   * @param {number} startHour - Час начала отправки (0-23)
-   * @param {number} endHour - Час окончания отправки (0-23)
+   * Отправляет сообщения, накопившиеся в очереди
    */
-  setTimeWindow(startHour, endHour) {
-    if (startHour >= 0 && startHour <= 23 && endHour >= 0 && endHour <= 23 && startHour < endHour) {
-      this.startHour = startHour;
-      this.endHour = endHour;
-      logger.info(`Установлено новое время отправки уведомлений: с ${startHour}:00 до ${endHour}:00`);
-    } else {
-      logger.error('Некорректные временные рамки для отправки уведомлений');
+  async drainOutbox() {
+    try {
+      await outboxService.drain(this.getBatchSize('drainOutbox'));
+    } catch (error) {
+      logger.error('Ошибка при отправке сообщений из очереди:', error);
+    }
+  }
+
+  /**
+   * Обновляет кэш шаблонов сообщений из базы
+   */
+  async reloadTemplates() {
+    try {
+      await templateService.loadTemplates();
+    } catch (error) {
+      logger.error('Ошибка при обновлении шаблонов сообщений:', error);
+    }
+  }
+
+  /**
+   * Загружает статусы и компоненты шаблонов из Meta
+   */
+  async syncMetaTemplates() {
+    if (config.whatsapp.type !== 'cloud') {
+      return;
+    }
+
+    try {
+      await whatsappTemplateService.syncAllShops();
+    } catch (error) {
+      logger.error('Ошибка при синхронизации шаблонов Meta:', error);
+    }
+  }
+
+  /**
+   * Обновляет статус шаблонов, ожидающих проверки в Meta
+   */
+  async refreshPendingMetaTemplates() {
+    if (config.whatsapp.type !== 'cloud') {
+      return;
+    }
+
+    try {
+      await whatsappTemplateService.refreshPendingTemplates();
+    } catch (error) {
+      logger.error('Ошибка при проверке статуса шаблонов Meta:', error);
+    }
+  }
+
+  /**
+   * Устанавливает временные рамки для отправки уведомлений магазина и сохраняет их в базе.
+   * Параметры проверяются в контроллере
+   * @param {Object} shop - Магазин
+   * @param {Object} window - Новые значения, не указанные поля не меняются
+   * @param {number} [window.startHour] - Час начала отправки (0-23)
+   * @param {number} [window.endHour] - Час окончания отправки (0-23)
+   * @param {string|null} [window.timezone] - Часовой пояс магазина
+   * @param {Object|null} [window.weeklySchedule] - Время отправки по дням недели
+   * @returns {Promise<Object>} Магазин
+   */
+  async setTimeWindow(shop, window) {
+    const fields = {};
+    for (const field of ['startHour', 'endHour', 'timezone', 'weeklySchedule']) {
+      if (window[field] !== undefined) {
+        fields[field] = window[field];
+      }
     }
+
+    await shop.update(fields);
+    logger.info(`Установлено новое время отправки уведомлений для магазина "${shop.name}": с ${shop.startHour}:00 до ${shop.endHour}:00 (${shopService.getTimezone(shop)})${shop.weeklySchedule ? `, по дням недели: ${JSON.stringify(shop.weeklySchedule)}` : ''}`);
+    return shop;
   }
 
   /**
    * Ручной запуск отправки запросов отзывов (для тестирования или по требованию)
+   * Запросы ставятся в очередь и отправляются воркером
    * @param {number} limit - Ограничение количества заказов
+   * @param {Object} [shop] - Магазин, заказы которого обрабатываются (по умолчанию все магазины)
    */
-  async manualSendReviewRequests(limit = 10) {
+  async manualSendReviewRequests(limit = 10, shop = null) {
     try {
-      logger.info(`Ручной запуск отправки запросов отзывов (лимит: ${limit})`);
+      logger.info(`Ручной запуск отправки запросов отзывов (лимит: ${limit}${shop ? `, магазин "${shop.name}"` : ''})`);
       
       // Получаем заказы для отправки
-      const orders = await kaspiService.getOrdersForReviewNotification(limit);
+      const orders = await kaspiService.forShop(shop).getOrdersForReviewNotification(limit);
       
       if (orders.length === 0) {
         logger.info('Нет заказов для отправки запросов отзывов');
@@ -145,42 +492,33 @@ class NotificationScheduler {
       
       const results = [];
       
-      // Обрабатываем каждый заказ
+      // Ставим запросы отзывов в очередь, отправит их воркер
       for (const order of orders) {
         try {
-          // Отправляем запрос отзыва
-          const result = await whatsappService.sendReviewRequest(order);
-          
-          // Обновляем статус уведомления
-          await order.update({
-            notificationStatus: 'sent',
-            notificationSentAt: new Date()
-          });
+          const { item, created } = await outboxService.enqueue(order, 'reviewRequest', { source: 'manual' });
           
           results.push({
             orderId: order.kaspiOrderId,
-            status: 'success',
-            recipient: order.customerPhone
+            status: created ? 'queued' : 'duplicate',
+            recipient: order.customerPhone,
+            outboxMessageId: item.id
           });
-          
-          logger.info(`Запрос отзыва успешно отправлен для заказа ${order.kaspiOrderId}`);
         } catch (error) {
-          // Обновляем статус с ошибкой
-          await order.update({
-            notificationStatus: 'failed',
-            notificationError: error.message
-          });
-          
           results.push({
             orderId: order.kaspiOrderId,
             status: 'failed',
             error: error.message
           });
           
-          logger.error(`Ошибка при отправке запроса отзыва для заказа ${order.kaspiOrderId}:`, error);
+          logger.error(`Ошибка при постановке в очередь запроса отзыва для заказа ${order.kaspiOrderId}:`, error);
         }
       }
       
+      logger.info(`Поставлено в очередь запросов отзывов: ${results.filter(result => result.status === 'queued').length}`);
+      
+      // Запускаем отправку в фоне, не дожидаясь ее завершения
+      this.drainOutbox();
+      
       return results;
     } catch (error) {
       logger.error('Ошибка при ручной отправке запросов отзывов:', error);
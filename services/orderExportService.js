@@ -0,0 +1,213 @@
+// services/orderExportService.js
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { Op } = require('sequelize');
+const { Order } = require('../models');
+
+// Форматы выгрузки
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Сколько заказов читается из базы за один запрос
+const EXPORT_BATCH_SIZE = 500;
+
+// Колонки выгрузки. Каждый товар заказа выгружается отдельной строкой
+const COLUMNS = [
+  { key: 'kaspiOrderId', header: 'Номер заказа', width: 16 },
+  { key: 'orderDate', header: 'Дата заказа', width: 20 },
+  { key: 'orderStatus', header: 'Статус заказа', width: 14 },
+  { key: 'customerName', header: 'Покупатель', width: 28 },
+  { key: 'customerPhone', header: 'Телефон', width: 16 },
+  { key: 'orderAmount', header: 'Сумма заказа', width: 14 },
+  { key: 'productCode', header: 'Код товара', width: 16 },
+  { key: 'productName', header: 'Товар', width: 40 },
+  { key: 'quantity', header: 'Количество', width: 12 },
+  { key: 'unitPrice', header: 'Цена', width: 12 },
+  { key: 'totalPrice', header: 'Стоимость', width: 12 },
+  { key: 'notificationStatus', header: 'Статус уведомления', width: 20 },
+  { key: 'notificationSentAt', header: 'Время отправки', width: 20 },
+  { key: 'notificationError', header: 'Ошибка отправки', width: 40 }
+];
+
+// Через сколько строк XLSX проверять, успевает ли клиент принимать выгрузку
+const XLSX_FLUSH_ROWS = 100;
+
+// Строки с такого символа Excel и другие табличные редакторы считают формулой
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Защищает от выполнения формул из данных заказа (имя покупателя, название товара):
+// строка, похожая на формулу, выгружается с апострофом и показывается как текст. Числа не меняются
+const escapeFormula = (value) => (
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+);
+
+// Экранирует значение ячейки CSV
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(escapeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Ждет, пока клиент примет уже записанные данные, чтобы не накапливать выгрузку в памяти.
+// Если клиент отключился, выгрузка прерывается
+const waitForClient = async (stream) => {
+  if (stream.writableNeedDrain) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+
+  if (stream.destroyed) {
+    throw new Error('Соединение закрыто до окончания выгрузки');
+  }
+};
+
+class OrderExportService {
+  /**
+   * Возвращает поддерживаемые форматы выгрузки
+   * @returns {Array<string>}
+   */
+  getFormats() {
+    return EXPORT_FORMATS;
+  }
+
+  /**
+   * Проверяет, поддерживается ли формат выгрузки
+   * @param {string} format - Формат
+   * @returns {boolean}
+   */
+  isSupportedFormat(format) {
+    return EXPORT_FORMATS.includes(format);
+  }
+
+  /**
+   * Читает заказы пачками по возрастанию id, не загружая всю таблицу в память
+   * @param {Object} where - Условие выборки
+   * @returns {AsyncGenerator<Object>} Заказы
+   */
+  async *iterateOrders(where) {
+    let lastId = 0;
+
+    while (true) {
+      const orders = await Order.findAll({
+        where: { [Op.and]: [where, { id: { [Op.gt]: lastId } }] },
+        order: [['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE
+      });
+
+      for (const order of orders) {
+        yield order;
+      }
+
+      if (orders.length < EXPORT_BATCH_SIZE) {
+        return;
+      }
+      lastId = orders[orders.length - 1].id;
+    }
+  }
+
+  /**
+   * Разворачивает заказ в строки выгрузки: по строке на каждый товар
+   * @param {Object} order - Заказ
+   * @returns {Array<Object>} Строки с ключами из COLUMNS
+   */
+  toRows(order) {
+    const base = {
+      kaspiOrderId: order.kaspiOrderId,
+      orderDate: order.orderDate,
+      orderStatus: order.orderStatus,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      orderAmount: order.orderAmount,
+      notificationStatus: order.notificationStatus,
+      notificationSentAt: order.notificationSentAt,
+      notificationError: order.notificationError
+    };
+
+    const items = Array.isArray(order.orderItems) ? order.orderItems : [];
+    if (items.length === 0) {
+      return [base];
+    }
+
+    return items.map(item => ({
+      ...base,
+      productCode: item.code,
+      productName: item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice
+    }));
+  }
+
+  /**
+   * Записывает заказы в поток в формате CSV (UTF-8 с BOM, чтобы Excel правильно показывал кириллицу)
+   * @param {Object} where - Условие выборки
+   * @param {Object} stream - Поток для записи, например ответ HTTP
+   * @returns {Promise<number>} Количество выгруженных заказов
+   */
+  async writeCsv(where, stream) {
+    const writeLine = async (values) => {
+      stream.write(values.map(toCsvCell).join(',') + '\r\n');
+      await waitForClient(stream);
+    };
+
+    stream.write('\ufeff');
+    await writeLine(COLUMNS.map(column => column.header));
+
+    let count = 0;
+    for await (const order of this.iterateOrders(where)) {
+      for (const row of this.toRows(order)) {
+        await writeLine(COLUMNS.map(column => row[column.key]));
+      }
+      count += 1;
+    }
+
+    stream.end();
+    return count;
+  }
+
+  /**
+   * Записывает заказы в поток в формате XLSX. Строки записываются в поток по мере чтения из базы
+   * @param {Object} where - Условие выборки
+   * @param {Object} stream - Поток для записи, например ответ HTTP
+   * @returns {Promise<number>} Количество выгруженных заказов
+   */
+  async writeXlsx(where, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Заказы');
+    worksheet.columns = COLUMNS;
+
+    let count = 0;
+    let rowCount = 0;
+    for await (const order of this.iterateOrders(where)) {
+      for (const row of this.toRows(order)) {
+        const cells = Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeFormula(value)]));
+        worksheet.addRow(cells).commit();
+        rowCount += 1;
+
+        // Записанные строки ExcelJS сразу передает в поток, поэтому, как и в CSV, ждем медленного клиента
+        if (rowCount % XLSX_FLUSH_ROWS === 0) {
+          await waitForClient(stream);
+        }
+      }
+      count += 1;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  /**
+   * Выгружает заказы в поток
+   * @param {string} format - Формат: csv или xlsx
+   * @param {Object} where - Условие выборки
+   * @param {Object} stream - Поток для записи
+   * @returns {Promise<number>} Количество выгруженных заказов
+   */
+  async export(format, where, stream) {
+    return format === 'xlsx' ? this.writeXlsx(where, stream) : this.writeCsv(where, stream);
+  }
+}
+
+module.exports = new OrderExportService();
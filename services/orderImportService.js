@@ -0,0 +1,386 @@
+// services/orderImportService.js
+const path = require('path');
+const ExcelJS = require('exceljs');
+const logger = require('./loggerService');
+const kaspiService = require('./kaspiService');
+const shopService = require('./shopService');
+const { Order } = require('../models');
+const { parseCsv } = require('../utils/csvUtils');
+const { normalizePhone } = require('../utils/phoneUtils');
+const { zonedTimeToDate } = require('../utils/timeUtils');
+
+// Колонки выгрузки заказов из кабинета продавца Kaspi и их возможные названия.
+// Названия сравниваются без учета регистра, лишних пробелов и буквы ё
+const COLUMN_ALIASES = {
+  kaspiOrderId: ['№ заказа', 'номер заказа', 'заказ', 'код заказа', 'order id', 'order code', 'kaspiorderid'],
+  orderDate: ['дата поступления заказа', 'дата заказа', 'дата создания', 'дата оформления', 'order date', 'creation date'],
+  status: ['статус', 'статус заказа', 'status'],
+  customerName: ['покупатель', 'имя покупателя', 'фио покупателя', 'клиент', 'customer', 'customer name'],
+  customerPhone: ['телефон', 'телефон покупателя', 'номер телефона', 'phone', 'customer phone'],
+  orderAmount: ['сумма', 'сумма заказа', 'итого', 'стоимость заказа', 'total', 'total price'],
+  productCode: ['артикул', 'код товара', 'sku', 'product code'],
+  productName: ['название товара', 'наименование товара', 'товар', 'название в kaspi магазине', 'наименование в системе продавца', 'product', 'product name'],
+  quantity: ['количество', 'кол-во', 'quantity'],
+  unitPrice: ['цена', 'цена за единицу', 'цена за шт', 'price', 'unit price'],
+  deliveryAddress: ['адрес доставки', 'адрес', 'address', 'delivery address'],
+  deliveryDate: ['плановая дата доставки', 'дата доставки', 'дата выдачи', 'delivery date']
+};
+
+// Колонки, без которых заказ нельзя сохранить. Без статуса нельзя понять, завершен ли заказ
+// и можно ли запрашивать отзыв
+const REQUIRED_COLUMNS = ['kaspiOrderId', 'orderDate', 'status', 'customerPhone'];
+
+// Статусы заказа в кабинете продавца -> статусы Kaspi API
+const STATUS_ALIASES = {
+  'новый': 'NEW',
+  'ожидает подписания': 'SIGN_REQUIRED',
+  'одобрен банком': 'APPROVED_BY_BANK',
+  'принят': 'ACCEPTED_BY_MERCHANT',
+  'принят продавцом': 'ACCEPTED_BY_MERCHANT',
+  'самовывоз': 'PICKUP',
+  'доставка': 'DELIVERY',
+  'передан на доставку': 'KASPI_DELIVERY',
+  'kaspi доставка': 'KASPI_DELIVERY',
+  'выдан': 'COMPLETED',
+  'доставлен': 'COMPLETED',
+  'завершен': 'COMPLETED',
+  'отменяется': 'CANCELLING',
+  'отменен': 'CANCELLED',
+  'ожидает возврата': 'KASPI_DELIVERY_RETURN_REQUESTED',
+  'возврат принят': 'RETURN_ACCEPTED_BY_MERCHANT',
+  'возвращен': 'RETURNED',
+  'возврат': 'RETURNED'
+};
+
+// Дата из кабинета: 15.01.2026, 15.01.2026 14:32 или 15.01.2026 14:32:05
+const LOCAL_DATE_PATTERN = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+// Дата в формате ISO без часового пояса: 2026-01-15 или 2026-01-15 14:32
+const ISO_LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Приводит название колонки или статуса к виду для сравнения
+const normalizeLabel = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/ё/g, 'е')
+  .replace(/[:*]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Текст ячейки XLSX: ячейки бывают формулами, ссылками и форматированным текстом
+const getCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.result !== undefined) return getCellValue(value.result);
+  if (value.text !== undefined) return value.text;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  return String(value);
+};
+
+class OrderImportService {
+  /**
+   * Читает строки файла выгрузки
+   * @param {Object} file - Загруженный файл { originalname, buffer }
+   * @returns {Promise<Array>} Строки [{ rowNumber, values }], первая строка - заголовок
+   */
+  async readRows(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (extension === '.csv') {
+      return parseCsv(this.decodeText(file.buffer))
+        .map((values, index) => ({ rowNumber: index + 1, values }));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw new Error('В файле нет листов с данными');
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      // В ExcelJS значения строки начинаются с индекса 1
+      rows.push({ rowNumber, values: row.values.slice(1).map(getCellValue) });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Декодирует текст CSV. Excel в русской локали сохраняет CSV в кодировке Windows-1251
+   * @param {Buffer} buffer - Содержимое файла
+   * @returns {string} Текст
+   */
+  decodeText(buffer) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      return new TextDecoder('windows-1251').decode(buffer);
+    }
+  }
+
+  /**
+   * Находит колонки файла по заголовку
+   * @param {Array} header - Значения строки заголовка
+   * @returns {Object} Поле -> индекс колонки
+   */
+  mapColumns(header) {
+    const columns = {};
+    const labels = header.map(normalizeLabel);
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const index = labels.findIndex(label => aliases.includes(label));
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Разбирает дату из файла. Даты без часового пояса считаются временем магазина
+   * @param {*} value - Значение ячейки
+   * @param {string} timeZone - Часовой пояс магазина
+   * @returns {Date|null} Дата или null, если значение не распознано
+   */
+  parseDate(value, timeZone) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    // Excel хранит дату без часового пояса, ExcelJS возвращает ее как время UTC
+    if (value instanceof Date) {
+      return zonedTimeToDate({
+        year: value.getUTCFullYear(),
+        month: value.getUTCMonth() + 1,
+        day: value.getUTCDate(),
+        hour: value.getUTCHours(),
+        minute: value.getUTCMinutes(),
+        second: value.getUTCSeconds()
+      }, timeZone);
+    }
+
+    const text = String(value).trim();
+
+    let match = text.match(LOCAL_DATE_PATTERN);
+    if (match) {
+      const [, day, month, year, hour, minute, second] = match;
+      return zonedTimeToDate({ year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0), second: +(second || 0) }, timeZone);
+    }
+
+    match = text.match(ISO_LOCAL_DATE_PATTERN);
+    if (match) {
+      const [, year, month, day, hour, minute, second] = match;
+      return zonedTimeToDate({ year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0), second: +(second || 0) }, timeZone);
+    }
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Разбирает сумму из файла: 12500, "12 500,50 ₸"
+   * @param {*} value - Значение ячейки
+   * @returns {number|null} Сумма или null
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const amount = parseFloat(String(value).replace(/[^\d,.-]/g, '').replace(',', '.'));
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * Определяет статус Kaspi по статусу из файла
+   * @param {*} value - Статус из файла на русском языке или код статуса Kaspi
+   * @returns {string|null} Статус Kaspi, undefined для пустого значения, null если статус не распознан
+   */
+  parseStatus(value) {
+    const label = normalizeLabel(value);
+    if (!label) {
+      return undefined;
+    }
+
+    if (STATUS_ALIASES[label]) {
+      return STATUS_ALIASES[label];
+    }
+
+    const code = label.toUpperCase().replace(/ /g, '_');
+    return kaspiService.getSupportedStatuses().includes(code) ? code : null;
+  }
+
+  /**
+   * Собирает заказ в формате Kaspi API из строк файла.
+   * В выгрузке кабинета каждый товар заказа записан отдельной строкой
+   * @param {Array} records - Строки одного заказа
+   * @param {string} timeZone - Часовой пояс магазина
+   * @returns {Object} { kaspiOrder, orderItems }
+   */
+  buildOrder(records, timeZone) {
+    const first = records[0];
+
+    const orderDate = this.parseDate(first.orderDate, timeZone);
+    if (!orderDate) {
+      throw new Error(`Некорректная дата заказа: "${first.orderDate ?? ''}"`);
+    }
+
+    const phone = normalizePhone(first.customerPhone);
+    if (!phone) {
+      throw new Error('Не указан телефон покупателя');
+    }
+
+    const status = this.parseStatus(first.status);
+    if (status === undefined) {
+      throw new Error('Не указан статус заказа');
+    }
+    if (status === null) {
+      throw new Error(`Неизвестный статус заказа: "${first.status}"`);
+    }
+
+    const orderItems = records
+      .filter(record => record.productCode || record.productName)
+      .map(record => {
+        const quantity = parseInt(record.quantity) || 1;
+        const unitPrice = this.parseAmount(record.unitPrice) || 0;
+
+        return {
+          name: record.productName ? String(record.productName).trim() : 'Unknown Product',
+          code: record.productCode ? String(record.productCode).trim() : '',
+          quantity,
+          unitPrice,
+          totalPrice: unitPrice * quantity
+        };
+      });
+
+    const orderAmount = this.parseAmount(first.orderAmount)
+      ?? orderItems.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    // Без даты доставки считаем заказ доставленным в день оформления, чтобы по старым заказам
+    // не отправлялись запросы отзывов, как по только что доставленным
+    const deliveryDate = this.parseDate(first.deliveryDate, timeZone) || orderDate;
+
+    const kaspiOrder = {
+      id: String(first.kaspiOrderId).trim(),
+      attributes: {
+        status,
+        creationDate: orderDate.toISOString(),
+        plannedDeliveryDate: deliveryDate.toISOString(),
+        totalPrice: orderAmount,
+        deliveryAddress: first.deliveryAddress ? { formattedAddress: String(first.deliveryAddress).trim() } : null,
+        customer: {
+          cellPhone: phone,
+          firstName: first.customerName ? String(first.customerName).trim() : ''
+        }
+      }
+    };
+
+    return { kaspiOrder, orderItems };
+  }
+
+  /**
+   * Сохраняет заказ из файла. Заказ, который уже есть в базе, не создается повторно -
+   * у него, как при синхронизации с Kaspi API, обновляется статус
+   * @param {Object} shopKaspiService - Сервис Kaspi магазина
+   * @param {Object} kaspiOrder - Заказ в формате Kaspi API
+   * @param {Array} orderItems - Товары заказа
+   * @returns {Promise<string>} created, updated или unchanged
+   */
+  async saveOrder(shopKaspiService, kaspiOrder, orderItems) {
+    const existingOrder = await Order.findOne({ where: { kaspiOrderId: kaspiOrder.id } });
+
+    if (!existingOrder) {
+      await shopKaspiService.createOrder(kaspiOrder, orderItems);
+      return 'created';
+    }
+
+    if (existingOrder.shopId && existingOrder.shopId !== shopKaspiService.shopId) {
+      throw new Error('Заказ с таким номером принадлежит другому магазину');
+    }
+
+    const updated = await shopKaspiService.updateExistingOrder(existingOrder, kaspiOrder);
+    return updated ? 'updated' : 'unchanged';
+  }
+
+  /**
+   * Импортирует заказы магазина из файла выгрузки кабинета продавца Kaspi
+   * @param {Object} shop - Магазин
+   * @param {Object} file - Загруженный файл { originalname, buffer }
+   * @returns {Promise<Object>} Отчет: количество созданных, обновленных, неизмененных заказов,
+   *   заказов с ошибками (failedOrders), строк с ошибками (failedRows) и результат по каждой строке
+   */
+  async importFile(shop, file) {
+    const rows = await this.readRows(file);
+    if (rows.length < 2) {
+      throw new Error('Файл не содержит заказов');
+    }
+
+    const header = rows.shift();
+    const columns = this.mapColumns(header.values);
+
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      const names = missing.map(field => `"${COLUMN_ALIASES[field][0]}"`).join(', ');
+      throw new Error(`В файле не найдены обязательные колонки: ${names}`);
+    }
+
+    const report = { orders: 0, created: 0, updated: 0, unchanged: 0, failedOrders: 0, failedRows: 0, rows: [] };
+
+    // Группируем строки по номеру заказа, сохраняя порядок файла
+    const groups = new Map();
+    for (const row of rows) {
+      const record = { rowNumber: row.rowNumber };
+      for (const [field, index] of Object.entries(columns)) {
+        record[field] = row.values[index] ?? null;
+      }
+
+      const kaspiOrderId = record.kaspiOrderId !== null ? String(record.kaspiOrderId).trim() : '';
+      if (!kaspiOrderId) {
+        report.rows.push({ row: row.rowNumber, kaspiOrderId: null, status: 'error', error: 'Не указан номер заказа' });
+        report.failedRows += 1;
+        continue;
+      }
+
+      if (!groups.has(kaspiOrderId)) {
+        groups.set(kaspiOrderId, []);
+      }
+      groups.get(kaspiOrderId).push(record);
+    }
+
+    const shopKaspiService = kaspiService.forShop(shop);
+    const timeZone = shopService.getTimezone(shop);
+
+    for (const [kaspiOrderId, records] of groups) {
+      let status;
+      let error = null;
+
+      try {
+        const { kaspiOrder, orderItems } = this.buildOrder(records, timeZone);
+        status = await this.saveOrder(shopKaspiService, kaspiOrder, orderItems);
+        report[status] += 1;
+      } catch (orderError) {
+        status = 'error';
+        error = orderError.message;
+        report.failedOrders += 1;
+        report.failedRows += records.length;
+      }
+
+      report.orders += 1;
+      for (const record of records) {
+        report.rows.push({ row: record.rowNumber, kaspiOrderId, status, ...(error ? { error } : {}) });
+      }
+    }
+
+    report.rows.sort((a, b) => a.row - b.row);
+
+    logger.info(`Импорт заказов магазина "${shop.name}" из файла ${file.originalname}: создано ${report.created}, обновлено ${report.updated}, без изменений ${report.unchanged}, заказов с ошибками ${report.failedOrders}, строк с ошибками ${report.failedRows}`);
+    return report;
+  }
+}
+
+module.exports = new OrderImportService();
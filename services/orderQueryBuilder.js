@@ -0,0 +1,201 @@
+// services/orderQueryBuilder.js
+const { Op, where, cast, col } = require('sequelize');
+const { normalizePhone, getPhoneSuffix } = require('../utils/phoneUtils');
+
+// Поля, по которым можно сортировать список заказов
+const SORT_FIELDS = [
+  'createdAt',
+  'orderDate',
+  'orderAmount',
+  'customerName',
+  'orderStatus',
+  'notificationStatus',
+  'notificationSentAt',
+  'statusChangedAt'
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Экранирует спецсимволы LIKE, чтобы строка из запроса искалась как есть
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+// Разбирает список значений: ?orderStatus=new,completed или ?orderStatus=new&orderStatus=completed
+const parseList = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+class OrderQueryBuilder {
+  /**
+   * Строит условие выборки заказов по параметрам запроса
+   * @param {Object} query - Параметры запроса
+   * @param {string} [query.orderStatus] - Статусы заказа через запятую
+   * @param {string} [query.notificationStatus] - Статусы уведомления через запятую
+   * @param {string} [query.dateFrom] - Начало периода по дате заказа (YYYY-MM-DD или ISO)
+   * @param {string} [query.dateTo] - Конец периода; дата без времени включает весь день
+   * @param {string} [query.amountMin] - Минимальная сумма заказа
+   * @param {string} [query.amountMax] - Максимальная сумма заказа
+   * @param {string} [query.phone] - Номер телефона покупателя в любом формате
+   * @param {string} [query.productCode] - Код товара в Kaspi
+   * @param {string} [query.search] - Поиск по имени покупателя
+   * @param {Object} [scope] - Условие выборки по магазину
+   * @returns {{where: Object|null, error: string|null}} Условие выборки или текст ошибки
+   */
+  buildWhere(query = {}, scope = {}) {
+    const conditions = [{ ...scope }];
+
+    if (query.orderStatus) {
+      conditions.push({ orderStatus: { [Op.in]: parseList(query.orderStatus) } });
+    }
+
+    if (query.notificationStatus) {
+      conditions.push({ notificationStatus: { [Op.in]: parseList(query.notificationStatus) } });
+    }
+
+    if (query.dateFrom) {
+      const dateFrom = new Date(query.dateFrom);
+      if (isNaN(dateFrom.getTime())) {
+        return { where: null, error: 'Некорректная дата начала периода (dateFrom)' };
+      }
+      conditions.push({ orderDate: { [Op.gte]: dateFrom } });
+    }
+
+    if (query.dateTo) {
+      const dateTo = new Date(query.dateTo);
+      if (isNaN(dateTo.getTime())) {
+        return { where: null, error: 'Некорректная дата конца периода (dateTo)' };
+      }
+
+      // Дата без времени включает заказы за весь день
+      if (DATE_ONLY_PATTERN.test(query.dateTo)) {
+        dateTo.setUTCDate(dateTo.getUTCDate() + 1);
+        conditions.push({ orderDate: { [Op.lt]: dateTo } });
+      } else {
+        conditions.push({ orderDate: { [Op.lte]: dateTo } });
+      }
+    }
+
+    for (const [param, operator] of [['amountMin', Op.gte], ['amountMax', Op.lte]]) {
+      if (query[param] === undefined || query[param] === '') {
+        continue;
+      }
+
+      const amount = parseFloat(query[param]);
+      if (isNaN(amount)) {
+        return { where: null, error: `Некорректная сумма заказа (${param})` };
+      }
+      conditions.push({ orderAmount: { [operator]: amount } });
+    }
+
+    if (query.phone) {
+      const phone = normalizePhone(query.phone);
+      if (!phone) {
+        return { where: null, error: 'Некорректный номер телефона (phone)' };
+      }
+      conditions.push({ customerPhone: { [Op.like]: `%${getPhoneSuffix(phone)}` } });
+    }
+
+    // Товары хранятся в JSON, поэтому ищем код как строковое значение в тексте списка товаров.
+    // Старые заказы сохранены строкой JSON, в которой кавычки экранированы
+    if (query.productCode) {
+      const code = escapeLike(query.productCode);
+      const itemsText = cast(col('order_items'), 'CHAR');
+      conditions.push({
+        [Op.or]: [
+          where(itemsText, { [Op.like]: `%"${code}"%` }),
+          where(itemsText, { [Op.like]: `%"${code}\\\\"%` })
+        ]
+      });
+    }
+
+    if (query.search) {
+      conditions.push({ customerName: { [Op.like]: `%${escapeLike(query.search)}%` } });
+    }
+
+    return { where: { [Op.and]: conditions }, error: null };
+  }
+
+  /**
+   * Строит порядок сортировки заказов
+   * @param {Object} query - Параметры запроса
+   * @param {string} [query.sort] - Поле сортировки (по умолчанию createdAt)
+   * @param {string} [query.direction] - asc или desc (по умолчанию desc)
+   * @returns {{order: Array|null, error: string|null}} Порядок сортировки или текст ошибки
+   */
+  buildOrder(query = {}) {
+    const { sort = 'createdAt', direction = 'desc' } = query;
+
+    if (!SORT_FIELDS.includes(sort)) {
+      return { order: null, error: `Некорректное поле сортировки. Допустимые значения: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    const sortDirection = String(direction).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    // Сортировка по id делает порядок страниц устойчивым при одинаковых значениях поля
+    return { order: [[sort, sortDirection], ['id', sortDirection]], error: null };
+  }
+
+  /**
+   * Определяет страницу выборки
+   * @param {Object} query - Параметры запроса
+   * @param {string} [query.limit] - Размер страницы (от 1 до MAX_LIMIT, по умолчанию DEFAULT_LIMIT)
+   * @param {string} [query.offset] - Смещение (не меньше 0)
+   * @returns {{page: {limit: number, offset: number}|null, error: string|null}} Страница или текст ошибки
+   */
+  buildPage(query = {}) {
+    const { limit, offset } = query;
+    const isEmpty = value => value === undefined || value === null || value === '';
+
+    const parsedLimit = isEmpty(limit) ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isFinite(parsedLimit)) {
+      return { page: null, error: 'Некорректный размер страницы (limit)' };
+    }
+
+    const parsedOffset = isEmpty(offset) ? 0 : Number(offset);
+    if (!Number.isFinite(parsedOffset)) {
+      return { page: null, error: 'Некорректное смещение (offset)' };
+    }
+
+    // Отрицательные значения дают ошибку синтаксиса LIMIT/OFFSET в MySQL
+    return {
+      page: {
+        limit: Math.min(Math.max(1, Math.trunc(parsedLimit)), MAX_LIMIT),
+        offset: Math.max(0, Math.trunc(parsedOffset))
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Строит параметры выборки заказов: условие, сортировку и страницу
+   * @param {Object} query - Параметры запроса
+   * @param {Object} [scope] - Условие выборки по магазину
+   * @returns {{options: Object|null, error: string|null}} Параметры для findAndCountAll или текст ошибки
+   */
+  build(query = {}, scope = {}) {
+    const filter = this.buildWhere(query, scope);
+    if (filter.error) {
+      return { options: null, error: filter.error };
+    }
+
+    const sorting = this.buildOrder(query);
+    if (sorting.error) {
+      return { options: null, error: sorting.error };
+    }
+
+    const paging = this.buildPage(query);
+    if (paging.error) {
+      return { options: null, error: paging.error };
+    }
+
+    return {
+      options: { where: filter.where, order: sorting.order, ...paging.page },
+      error: null
+    };
+  }
+}
+
+module.exports = new OrderQueryBuilder();
@@ -0,0 +1,392 @@
+// services/outboxService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('./loggerService');
+const notificationDispatcher = require('./notificationDispatcher');
+const frequencyCapService = require('./frequencyCapService');
+const shopService = require('./shopService');
+const { Order, OutboxMessage } = require('../models');
+const { getErrorCode, isRetryableError } = require('../utils/whatsappErrors');
+
+class OutboxService {
+  constructor() {
+    // Время, на которое сообщение закрепляется за воркером. Если воркер не завершил
+    // отправку за это время (например, процесс перезапустился), сообщение берется в работу снова
+    this.leaseTimeoutMs = 5 * 60 * 1000;
+
+    // Количество сообщений, отправляемых за один проход воркера
+    this.batchSize = 20;
+
+    // Пауза между отправками, чтобы не перегружать API
+    this.sendDelayMs = 2000;
+
+    // Политика повторных попыток при временных ошибках WhatsApp API
+    this.maxAttempts = config.notifications.maxAttempts;
+    this.retryBaseDelayMs = config.notifications.retryBaseDelaySeconds * 1000;
+    this.retryMaxDelayMs = config.notifications.retryMaxDelaySeconds * 1000;
+
+    this.isDraining = false;
+  }
+
+  /**
+   * Формирует ключ идемпотентности для заказа и шаблона
+   * @param {number} orderId - ID заказа
+   * @param {string} templateName - Имя шаблона
+   * @returns {string} Ключ идемпотентности
+   */
+  getIdempotencyKey(orderId, templateName) {
+    return `${orderId}:${templateName}`;
+  }
+
+  /**
+   * Ставит уведомление по заказу в очередь отправки
+   * @param {Object} order - Объект заказа
+   * @param {string} templateName - Имя шаблона
+   * @param {Object} options - Параметры
+   * @param {string} [options.source] - Источник: rule или manual
+   * @param {number} [options.ruleId] - ID правила уведомления
+   * @param {boolean} [options.force] - Повторно поставить в очередь уже обработанное сообщение
+   * @returns {Promise<Object>} {item, created} - Сообщение очереди и признак новой записи
+   */
+  async enqueue(order, templateName, options = {}) {
+    const { source = 'rule', ruleId = null, force = false } = options;
+    const idempotencyKey = this.getIdempotencyKey(order.id, templateName);
+
+    let item = await OutboxMessage.findOne({ where: { idempotencyKey } });
+
+    if (item) {
+      if (force && ['done', 'dead', 'skipped'].includes(item.status)) {
+        await item.update({
+          status: 'queued',
+          source,
+          attempts: 0,
+          availableAt: new Date(),
+          leaseToken: null,
+          leaseExpiresAt: null,
+          lastError: null,
+          errorCode: null,
+          retryable: null,
+          processedAt: null
+        });
+        await this.markOrderQueued(order, templateName);
+        logger.info(`Сообщение "${templateName}" для заказа ${order.kaspiOrderId} повторно поставлено в очередь`);
+        return { item, created: true };
+      }
+
+      return { item, created: false };
+    }
+
+    try {
+      item = await OutboxMessage.create({
+        idempotencyKey,
+        orderId: order.id,
+        templateName,
+        source,
+        ruleId,
+        status: 'queued',
+        availableAt: new Date()
+      });
+    } catch (error) {
+      // Параллельная постановка того же сообщения - возвращаем уже существующую запись
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        item = await OutboxMessage.findOne({ where: { idempotencyKey } });
+        return { item, created: false };
+      }
+      throw error;
+    }
+
+    await this.markOrderQueued(order, templateName);
+    logger.info(`Сообщение "${templateName}" для заказа ${order.kaspiOrderId} поставлено в очередь`);
+    return { item, created: true };
+  }
+
+  /**
+   * Отмечает в заказе, что запрос отзыва ожидает отправки
+   * @param {Object} order - Объект заказа
+   * @param {string} templateName - Имя шаблона
+   */
+  async markOrderQueued(order, templateName) {
+    if (templateName === 'reviewRequest') {
+      await order.update({ notificationStatus: 'queued', notificationError: null });
+    }
+  }
+
+  /**
+   * Закрепляет за текущим воркером пачку сообщений, готовых к отправке
+   * @param {number} limit - Максимальное количество сообщений
+   * @returns {Promise<Array>} Закрепленные сообщения
+   */
+  async leaseBatch(limit) {
+    const now = new Date();
+    const leaseToken = crypto.randomUUID();
+
+    // Одним UPDATE переводим сообщения в in_flight, поэтому два воркера не возьмут одно и то же сообщение
+    await OutboxMessage.update({
+      status: 'in_flight',
+      leaseToken,
+      leaseExpiresAt: new Date(now.getTime() + this.leaseTimeoutMs)
+    }, {
+      where: {
+        [Op.or]: [
+          { status: 'queued', availableAt: { [Op.lte]: now } },
+          // Аренда истекла - воркер, взявший сообщение, не завершил работу
+          { status: 'in_flight', leaseExpiresAt: { [Op.lt]: now } }
+        ]
+      },
+      limit
+    });
+
+    return OutboxMessage.findAll({
+      where: { leaseToken, status: 'in_flight' },
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Вычисляет задержку перед следующей попыткой: экспоненциальный рост со случайным разбросом,
+   * чтобы сообщения, упавшие одновременно, не повторялись тоже одновременно
+   * @param {number} attempts - Количество уже выполненных попыток
+   * @returns {number} Задержка в миллисекундах
+   */
+  getRetryDelay(attempts) {
+    const exponential = this.retryBaseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+    const capped = Math.min(exponential, this.retryMaxDelayMs);
+    return Math.round(capped / 2 + Math.random() * capped / 2);
+  }
+
+  /**
+   * Отправляет одно сообщение из очереди
+   * @param {Object} item - Сообщение очереди
+   * @returns {Promise<string>} Итоговый статус: done, retry, dead, skipped или deferred (ждет окна отправки)
+   */
+  async processItem(item) {
+    const order = await Order.findByPk(item.orderId);
+    if (!order) {
+      await item.update({
+        status: 'dead',
+        lastError: 'Заказ не найден',
+        retryable: false,
+        leaseToken: null,
+        processedAt: new Date()
+      });
+      return 'dead';
+    }
+
+    const isReviewRequest = item.templateName === 'reviewRequest';
+    const shop = await shopService.getShopById(order.shopId);
+
+    // Окно отправки проверяется и при постановке в очередь, но повторные попытки и накопившаяся
+    // очередь отправляются позже - ночью или в праздник такие сообщения ждут следующего окна
+    if (shop) {
+      const sendWindow = await shopService.checkSendWindow(shop);
+      if (!sendWindow.allowed) {
+        const nextSendTime = await shopService.getNextSendTime(shop);
+        const availableAt = nextSendTime || new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        await item.update({
+          status: 'queued',
+          availableAt,
+          leaseToken: null,
+          leaseExpiresAt: null
+        });
+
+        logger.info(`Сообщение "${item.templateName}" для заказа ${order.kaspiOrderId} отложено до ${availableAt.toISOString()}: ${sendWindow.reason}`);
+        return 'deferred';
+      }
+    }
+
+    // Отложенная до окна отправки попытка не считается
+    await item.increment('attempts');
+    await item.reload();
+
+    // Ограничения частоты проверяются непосредственно перед отправкой: за время ожидания в очереди
+    // клиенту могли уйти другие сообщения
+    const capReason = await frequencyCapService.check(order, item.templateName, shop);
+    if (capReason) {
+      await item.update({
+        status: 'skipped',
+        lastError: capReason,
+        errorCode: 'FREQUENCY_CAP',
+        retryable: false,
+        leaseToken: null,
+        processedAt: new Date()
+      });
+
+      if (isReviewRequest) {
+        await order.update({ notificationStatus: 'suppressed_cap', notificationError: capReason });
+      }
+
+      logger.info(`Сообщение "${item.templateName}" для заказа ${order.kaspiOrderId} пропущено: ${capReason}`);
+      return 'skipped';
+    }
+
+    await order.increment('notificationAttempts');
+
+    try {
+      const result = await notificationDispatcher.sendOrderNotification(order, item.templateName);
+
+      await item.update({
+        status: 'done',
+        messageId: result?.messageId || null,
+        lastError: null,
+        errorCode: null,
+        retryable: null,
+        leaseToken: null,
+        processedAt: new Date()
+      });
+      return 'done';
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      const errorCode = getErrorCode(error);
+
+      if (retryable && item.attempts < this.maxAttempts) {
+        const delay = this.getRetryDelay(item.attempts);
+
+        await item.update({
+          status: 'queued',
+          availableAt: new Date(Date.now() + delay),
+          lastError: error.message,
+          errorCode,
+          retryable,
+          leaseToken: null,
+          leaseExpiresAt: null
+        });
+
+        if (isReviewRequest) {
+          await order.update({ notificationStatus: 'queued', notificationError: error.message });
+        }
+
+        logger.warn(`Временная ошибка отправки "${item.templateName}" для заказа ${order.kaspiOrderId} (код ${errorCode}), попытка ${item.attempts} из ${this.maxAttempts}, повтор через ${Math.round(delay / 1000)} сек.`);
+        return 'retry';
+      }
+
+      // Постоянная ошибка или исчерпаны попытки - сообщение попадает в список недоставленных
+      await item.update({
+        status: 'dead',
+        lastError: error.message,
+        errorCode,
+        retryable,
+        leaseToken: null,
+        processedAt: new Date()
+      });
+
+      if (isReviewRequest) {
+        // Отказ клиента от сообщений - не ошибка отправки
+        const notificationStatus = errorCode === 'PHONE_SUPPRESSED' ? 'suppressed' : 'failed';
+        await order.update({ notificationStatus, notificationError: error.message });
+      }
+
+      logger.error(`Сообщение "${item.templateName}" для заказа ${order.kaspiOrderId} не доставлено (код ${errorCode}, попыток ${item.attempts}): ${error.message}`);
+      return 'dead';
+    }
+  }
+
+  /**
+   * Обрабатывает очередь: берет пачку сообщений и отправляет их
+   * @param {number} limit - Максимальное количество сообщений за проход
+   * @returns {Promise<Object>} Количество отправленных, отложенных, недоставленных, пропущенных
+   *   и ожидающих окна отправки сообщений
+   */
+  async drain(limit = this.batchSize) {
+    const summary = { done: 0, retry: 0, dead: 0, skipped: 0, deferred: 0 };
+
+    // В пределах одного процесса очередь обрабатывается только одним проходом
+    if (this.isDraining) {
+      return summary;
+    }
+
+    this.isDraining = true;
+    try {
+      const items = await this.leaseBatch(limit);
+      if (items.length === 0) {
+        return summary;
+      }
+
+      logger.info(`Обработка очереди сообщений: ${items.length}`);
+
+      for (const item of items) {
+        const result = await this.processItem(item);
+        summary[result] += 1;
+
+        // Сообщение, отложенное до окна отправки, в API не отправлялось
+        if (result !== 'deferred') {
+          await new Promise(resolve => setTimeout(resolve, this.sendDelayMs));
+        }
+      }
+
+      logger.info(`Очередь сообщений обработана: отправлено ${summary.done}, отложено ${summary.retry}, не доставлено ${summary.dead}, пропущено по ограничению частоты ${summary.skipped}, ждут окна отправки ${summary.deferred}`);
+      return summary;
+    } catch (error) {
+      logger.error('Ошибка при обработке очереди сообщений:', error);
+      return summary;
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Возвращает сообщения, которые не удалось доставить
+   * @param {Object} options - Параметры выборки
+   * @param {number} [options.limit] - Количество записей
+   * @param {number} [options.offset] - Смещение
+   * @param {string} [options.templateName] - Фильтр по шаблону
+   * @param {boolean} [options.retryable] - Фильтр по возможности повторной отправки
+   * @param {number} [options.shopId] - Фильтр по магазину заказа
+   * @returns {Promise<Object>} {count, rows}
+   */
+  async getDeadLetters({ limit = 50, offset = 0, templateName, retryable, shopId } = {}) {
+    const where = { status: 'dead' };
+
+    if (templateName) {
+      where.templateName = templateName;
+    }
+
+    if (retryable !== undefined) {
+      where.retryable = retryable;
+    }
+
+    return OutboxMessage.findAndCountAll({
+      where,
+      include: [{
+        model: Order,
+        as: 'order',
+        where: shopId ? { shopId } : undefined,
+        attributes: ['id', 'kaspiOrderId', 'customerName', 'customerPhone', 'notificationStatus', 'notificationAttempts']
+      }],
+      order: [['processedAt', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Находит сообщение очереди по заказу и шаблону
+   * @param {number} orderId - ID заказа
+   * @param {string} templateName - Имя шаблона
+   * @returns {Promise<Object|null>} Сообщение очереди
+   */
+  async findByOrder(orderId, templateName) {
+    return OutboxMessage.findOne({
+      where: { idempotencyKey: this.getIdempotencyKey(orderId, templateName) }
+    });
+  }
+
+  /**
+   * Считает сообщения в очереди по статусам
+   * @param {Object} [scope] - Условие по магазину заказа ({shopId} или {})
+   * @returns {Promise<Object>} Количество сообщений в каждом статусе
+   */
+  async getQueueStats(scope = {}) {
+    const statuses = ['queued', 'in_flight', 'done', 'dead', 'skipped'];
+    const include = scope.shopId ? [{ model: Order, as: 'order', where: scope, attributes: [] }] : [];
+    const counts = await Promise.all(statuses.map(status => OutboxMessage.count({ where: { status }, include })));
+
+    return statuses.reduce((stats, status, index) => {
+      stats[status] = counts[index];
+      return stats;
+    }, {});
+  }
+}
+
+module.exports = new OutboxService();
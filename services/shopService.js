@@ -0,0 +1,221 @@
+// services/shopService.js
+const config = require('../config/config');
+const logger = require('./loggerService');
+const { Op } = require('sequelize');
+const { Shop, Order, AllowedPhone, BlackoutDate } = require('../models');
+const { getZonedTime, zonedTimeToDate } = require('../utils/timeUtils');
+
+// На сколько дней вперед искать ближайшее окно отправки
+const SEND_WINDOW_LOOKAHEAD_DAYS = 14;
+
+class ShopService {
+  /**
+   * Создает магазин из настроек окружения, если магазинов еще нет,
+   * и привязывает к нему заказы и разрешенные номера, сохраненные до появления магазинов
+   * @returns {Promise<Object|null>} Магазин по умолчанию
+   */
+  async ensureDefaultShop() {
+    try {
+      let shop = await Shop.findOne({ order: [['id', 'ASC']] });
+
+      if (!shop) {
+        const companyName = process.env.COMPANY_NAME || 'ТОО "TRABZON"';
+        shop = await Shop.create({
+          name: companyName,
+          companyName,
+          kaspiApiKey: config.kaspi.apiKey || null,
+          whatsappPhoneNumberId: config.whatsapp.cloudApi.phoneNumberId || null,
+          whatsappAccessToken: config.whatsapp.cloudApi.accessToken || null,
+          whatsappBusinessAccountId: config.whatsapp.cloudApi.businessAccountId || null
+        });
+        logger.info(`Создан магазин по умолчанию "${shop.name}" (ID: ${shop.id})`);
+      }
+
+      const [orders] = await Order.update({ shopId: shop.id }, { where: { shopId: null } });
+      const [phones] = await AllowedPhone.update({ shopId: shop.id }, { where: { shopId: null } });
+
+      if (orders > 0 || phones > 0) {
+        logger.info(`К магазину "${shop.name}" привязано заказов: ${orders}, разрешенных номеров: ${phones}`);
+      }
+
+      return shop;
+    } catch (error) {
+      logger.error('Ошибка при создании магазина по умолчанию:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Возвращает все активные магазины
+   * @returns {Promise<Array>} Массив магазинов
+   */
+  async getActiveShops() {
+    return Shop.findAll({
+      where: { isActive: true },
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Находит магазин по ID
+   * @param {number} shopId - ID магазина
+   * @returns {Promise<Object|null>} Магазин
+   */
+  async getShopById(shopId) {
+    if (!shopId) {
+      return null;
+    }
+
+    return Shop.findByPk(shopId);
+  }
+
+  /**
+   * Определяет магазин для запроса: магазин из условия выборки или первый активный магазин
+   * @param {Object} scope - Условие выборки по магазину ({shopId} или {})
+   * @returns {Promise<Object|null>} Магазин
+   */
+  async resolveShop(scope = {}) {
+    if (scope.shopId) {
+      return this.getShopById(scope.shopId);
+    }
+
+    return Shop.findOne({
+      where: { isActive: true },
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Возвращает часовой пояс магазина
+   * @param {Object} shop - Магазин
+   * @returns {string} Часовой пояс, например Asia/Almaty
+   */
+  getTimezone(shop) {
+    return shop?.timezone || config.notifications.timezone;
+  }
+
+  /**
+   * Определяет окно отправки магазина на день, в который попадает указанное время
+   * @param {Object} shop - Магазин
+   * @param {Date} date - Проверяемое время
+   * @returns {Object} Местное время магазина { timezone, date, weekday, hour, minute }
+   *   и часы отправки { startHour, endHour } (null, если в этот день отправка запрещена)
+   */
+  getTimeWindow(shop, date = new Date()) {
+    const timezone = this.getTimezone(shop);
+    const localTime = getZonedTime(date, timezone);
+    const schedule = shop.weeklySchedule || {};
+
+    let hours = { startHour: shop.startHour, endHour: shop.endHour };
+    if (Object.prototype.hasOwnProperty.call(schedule, localTime.weekday)) {
+      hours = schedule[localTime.weekday] || { startHour: null, endHour: null };
+    }
+
+    return { timezone, ...localTime, startHour: hours.startHour, endHour: hours.endHour };
+  }
+
+  /**
+   * Проверяет, находится ли время в окне отправки магазина (без учета праздников)
+   * @param {Object} shop - Магазин
+   * @param {Date} date - Проверяемое время
+   * @returns {boolean} Разрешена ли отправка
+   */
+  isWithinTimeWindow(shop, date = new Date()) {
+    const window = this.getTimeWindow(shop, date);
+    if (window.startHour === null) {
+      return false;
+    }
+
+    return window.hour >= window.startHour && window.hour < window.endHour;
+  }
+
+  /**
+   * Находит праздник магазина или общий праздник на дату
+   * @param {Object} shop - Магазин
+   * @param {string} date - Дата YYYY-MM-DD в часовом поясе магазина
+   * @returns {Promise<Object|null>} Праздник
+   */
+  async findBlackoutDate(shop, date) {
+    return BlackoutDate.findOne({
+      where: {
+        date,
+        shopId: { [Op.or]: [shop.id, null] }
+      }
+    });
+  }
+
+  /**
+   * Проверяет, можно ли сейчас отправлять уведомления клиентам магазина:
+   * время в окне отправки по часовому поясу и расписанию магазина, и день не является праздником
+   * @param {Object} shop - Магазин
+   * @param {Date} date - Проверяемое время
+   * @returns {Promise<Object>} { allowed, reason, window }
+   */
+  async checkSendWindow(shop, date = new Date()) {
+    const window = this.getTimeWindow(shop, date);
+    const time = `${window.date} ${String(window.hour).padStart(2, '0')}:${String(window.minute).padStart(2, '0')} (${window.timezone})`;
+
+    if (window.startHour === null) {
+      return { allowed: false, reason: `${time}: в этот день недели отправка не разрешена`, window };
+    }
+
+    if (!this.isWithinTimeWindow(shop, date)) {
+      return { allowed: false, reason: `${time}: разрешено с ${window.startHour}:00 до ${window.endHour}:00`, window };
+    }
+
+    const blackout = await this.findBlackoutDate(shop, window.date);
+    if (blackout) {
+      return { allowed: false, reason: `${time}: праздничный день${blackout.name ? ` "${blackout.name}"` : ''}`, window };
+    }
+
+    return { allowed: true, reason: null, window };
+  }
+
+  /**
+   * Находит ближайшее время, когда магазину разрешено отправлять уведомления,
+   * с учетом расписания по дням недели и праздников
+   * @param {Object} shop - Магазин
+   * @param {Date} date - Время, с которого ищется окно
+   * @returns {Promise<Date|null>} Начало окна (или date, если окно уже открыто), null - окна нет в ближайшие дни
+   */
+  async getNextSendTime(shop, date = new Date()) {
+    const timezone = this.getTimezone(shop);
+    const [year, month, day] = getZonedTime(date, timezone).date.split('-').map(Number);
+
+    for (let offset = 0; offset <= SEND_WINDOW_LOOKAHEAD_DAYS; offset++) {
+      const dayStart = zonedTimeToDate({ year, month, day: day + offset }, timezone);
+      const window = this.getTimeWindow(shop, dayStart);
+      if (window.startHour === null) {
+        continue;
+      }
+
+      const windowEnd = zonedTimeToDate({ year, month, day: day + offset, hour: window.endHour }, timezone);
+      if (windowEnd <= date || await this.findBlackoutDate(shop, window.date)) {
+        continue;
+      }
+
+      const windowStart = zonedTimeToDate({ year, month, day: day + offset, hour: window.startHour }, timezone);
+      return windowStart > date ? windowStart : date;
+    }
+
+    return null;
+  }
+
+  /**
+   * Скрывает ключи доступа магазина перед отправкой клиенту
+   * @param {Object} shop - Магазин
+   * @returns {Object} Данные магазина без ключей
+   */
+  toPublicJSON(shop) {
+    const data = shop.toJSON();
+    const mask = value => (value ? `${String(value).slice(0, 4)}***` : null);
+
+    return {
+      ...data,
+      kaspiApiKey: mask(data.kaspiApiKey),
+      whatsappAccessToken: mask(data.whatsappAccessToken)
+    };
+  }
+}
+
+module.exports = new ShopService();
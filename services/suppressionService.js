@@ -0,0 +1,107 @@
+// services/suppressionService.js
+const { Op } = require('sequelize');
+const logger = require('./loggerService');
+const { SuppressedPhone } = require('../models');
+const { normalizePhone } = require('../utils/phoneUtils');
+
+// Слова, которыми клиент отказывается от сообщений (ru, kk, en)
+const STOP_KEYWORDS = ['stop', 'unsubscribe', 'стоп', 'отписаться', 'отписка', 'тоқтат', 'токтат', 'тоқтату'];
+
+// Стоп-слово внутри длинного сообщения обычно не означает отказ: "стоп, а где мой заказ?"
+const MAX_STOP_MESSAGE_WORDS = 3;
+
+class SuppressionService {
+  /**
+   * Проверяет, содержит ли сообщение клиента отказ от рассылки
+   * @param {string} text - Текст сообщения
+   * @returns {boolean}
+   */
+  isStopMessage(text) {
+    if (!text || typeof text !== 'string') {
+      return false;
+    }
+
+    const words = text.toLowerCase().replace(/[^\p{L}\s]/gu, ' ').trim().split(/\s+/).filter(Boolean);
+    return words.length > 0
+      && words.length <= MAX_STOP_MESSAGE_WORDS
+      && words.some(word => STOP_KEYWORDS.includes(word));
+  }
+
+  /**
+   * Проверяет, отказался ли клиент от сообщений магазина
+   * @param {string} phoneNumber - Номер телефона в любом формате
+   * @param {number|null} shopId - Магазин; без магазина учитывается отказ от любого магазина
+   * @returns {Promise<boolean>}
+   */
+  async isSuppressed(phoneNumber, shopId = null) {
+    const normalized = normalizePhone(phoneNumber);
+    if (!normalized) {
+      return false;
+    }
+
+    const where = { phoneNumber: normalized, isActive: true };
+    if (shopId) {
+      where[Op.or] = [{ shopId }, { shopId: null }];
+    }
+
+    const suppressed = await SuppressedPhone.findOne({ where });
+    return !!suppressed;
+  }
+
+  /**
+   * Добавляет номер в список отказавшихся или снова включает запрет
+   * @param {string} phoneNumber - Номер телефона в любом формате
+   * @param {number|null} shopId - Магазин; null - запрет для всех магазинов
+   * @param {Object} [options]
+   * @param {string} [options.source] - keyword или manual
+   * @param {string} [options.reason] - Текст сообщения клиента или комментарий
+   * @param {number} [options.userId] - Пользователь, добавивший запрет
+   * @returns {Promise<Object|null>} Запись или null, если номер пустой
+   */
+  async suppress(phoneNumber, shopId = null, { source = 'manual', reason = null, userId = null } = {}) {
+    const normalized = normalizePhone(phoneNumber);
+    if (!normalized) {
+      return null;
+    }
+
+    const fields = { source, reason: reason ? String(reason).slice(0, 500) : null, isActive: true, userId };
+    const existing = await SuppressedPhone.findOne({ where: { shopId: shopId || null, phoneNumber: normalized } });
+
+    const record = existing
+      ? await existing.update(fields)
+      : await SuppressedPhone.create({ ...fields, shopId: shopId || null, phoneNumber: normalized });
+
+    logger.info(`Номер ${normalized} добавлен в список отказавшихся от сообщений${shopId ? ` магазина ${shopId}` : ''} (${source})`);
+    return record;
+  }
+
+  /**
+   * Снимает запрет на отправку сообщений
+   * @param {Object} record - Запись списка отказавшихся
+   * @param {number} [userId] - Пользователь, снявший запрет
+   * @returns {Promise<Object>} Запись
+   */
+  async unsuppress(record, userId = null) {
+    await record.update({ isActive: false, userId });
+    logger.info(`Номер ${record.phoneNumber} удален из списка отказавшихся от сообщений${record.shopId ? ` магазина ${record.shopId}` : ''}`);
+    return record;
+  }
+
+  /**
+   * Обрабатывает входящее сообщение: если клиент ответил стоп-словом, номер попадает в список отказавшихся
+   * @param {string} phoneNumber - Номер отправителя
+   * @param {string} text - Текст сообщения
+   * @param {number|null} shopId - Магазин, на номер которого пришло сообщение
+   * @returns {Promise<boolean>} Был ли номер добавлен в список
+   */
+  async handleIncomingMessage(phoneNumber, text, shopId = null) {
+    if (!this.isStopMessage(text)) {
+      return false;
+    }
+
+    await this.suppress(phoneNumber, shopId, { source: 'keyword', reason: text });
+    return true;
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,245 @@
+// services/templateService.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./loggerService');
+const messageTemplates = require('./messageTemplates');
+const { sequelize, MessageTemplate, MessageTemplateVersion, User } = require('../models');
+const { DEFAULT_LANGUAGE } = require('../utils/languageUtils');
+
+// Шаблоны, которые используются в коде и не могут быть удалены
+const SYSTEM_TEMPLATES = ['reviewRequest', 'deliveryNotification', 'newOrderConfirmation', 'testMessage'];
+
+// Файл, в котором шаблоны хранились до переноса в базу данных
+const LEGACY_TEMPLATES_FILE = process.env.TEMPLATES_FILE_PATH || path.join(__dirname, '../config/templates.json');
+
+class TemplateService {
+  /**
+   * Заполняет базу шаблонами при первом запуске и загружает шаблоны в кэш.
+   * Встроенные шаблоны добавляются для каждого языка, на котором в базе еще нет общих шаблонов
+   */
+  async initialize() {
+    try {
+      for (const [language, defaults] of Object.entries(messageTemplates.defaultTemplates)) {
+        const count = await MessageTemplate.count({ where: { shopId: null, language } });
+        if (count > 0) {
+          continue;
+        }
+
+        for (const [name, content] of Object.entries(defaults)) {
+          await this.saveTemplate(name, content, { language, changeType: 'create', comment: 'Встроенный шаблон' });
+        }
+
+        // Шаблоны из файла были только на русском языке
+        const imported = language === DEFAULT_LANGUAGE ? this.readLegacyTemplates() : {};
+        for (const [name, content] of Object.entries(imported)) {
+          await this.saveTemplate(name, content, { changeType: 'import', comment: `Импорт из ${path.basename(LEGACY_TEMPLATES_FILE)}` });
+        }
+
+        logger.info(`Шаблоны сообщений (${language}) перенесены в базу данных: встроенных ${Object.keys(defaults).length}, из файла ${Object.keys(imported).length}`);
+      }
+
+      await this.loadTemplates();
+    } catch (error) {
+      logger.error('Ошибка при инициализации шаблонов сообщений:', error);
+    }
+  }
+
+  /**
+   * Читает пользовательские шаблоны из файла, в котором они хранились раньше
+   * @returns {Object} Шаблоны { имя: текст } без системных шаблонов
+   */
+  readLegacyTemplates() {
+    try {
+      if (!fs.existsSync(LEGACY_TEMPLATES_FILE)) {
+        return {};
+      }
+
+      const templates = JSON.parse(fs.readFileSync(LEGACY_TEMPLATES_FILE, 'utf8'));
+      return Object.fromEntries(
+        Object.entries(templates).filter(([name, content]) => !SYSTEM_TEMPLATES.includes(name) && content)
+      );
+    } catch (error) {
+      logger.error(`Ошибка при чтении шаблонов из файла ${LEGACY_TEMPLATES_FILE}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Загружает активные шаблоны из базы в кэш шаблонизатора.
+   * Вызывается периодически, чтобы изменения, сделанные через другой экземпляр приложения, применялись и здесь
+   */
+  async loadTemplates() {
+    const templates = await MessageTemplate.findAll({ where: { isActive: true } });
+
+    const globalTemplates = {};
+    const shopTemplates = new Map();
+
+    for (const template of templates) {
+      let target = globalTemplates;
+
+      if (template.shopId) {
+        if (!shopTemplates.has(template.shopId)) {
+          shopTemplates.set(template.shopId, {});
+        }
+        target = shopTemplates.get(template.shopId);
+      }
+
+      target[template.language] = target[template.language] || {};
+      target[template.language][template.name] = template.content;
+    }
+
+    messageTemplates.loadTemplates(globalTemplates, shopTemplates);
+    return templates.length;
+  }
+
+  /**
+   * Проверяет, является ли шаблон системным
+   * @param {string} name - Имя шаблона
+   * @returns {boolean}
+   */
+  isSystemTemplate(name) {
+    return SYSTEM_TEMPLATES.includes(name);
+  }
+
+  /**
+   * Находит шаблон в базе
+   * @param {string} name - Имя шаблона
+   * @param {number|null} shopId - Магазин
+   * @param {Object} [options]
+   * @param {string} [options.language] - Язык варианта шаблона
+   * @param {boolean} [options.includeDeleted] - Искать также среди удаленных шаблонов
+   * @returns {Promise<Object|null>} Шаблон
+   */
+  async findTemplate(name, shopId = null, { language = DEFAULT_LANGUAGE, includeDeleted = false } = {}) {
+    const where = { name, shopId: shopId || null, language };
+    if (!includeDeleted) {
+      where.isActive = true;
+    }
+
+    return MessageTemplate.findOne({ where });
+  }
+
+  /**
+   * Создает шаблон или сохраняет новую версию существующего шаблона
+   * @param {string} name - Имя шаблона
+   * @param {string} content - Текст шаблона
+   * @param {Object} options - Параметры
+   * @param {number} [options.shopId] - Магазин, для которого переопределяется шаблон
+   * @param {string} [options.language] - Язык варианта шаблона
+   * @param {number} [options.userId] - Автор изменения
+   * @param {string} [options.changeType] - Тип изменения: create, update, rollback, import
+   * @param {string} [options.comment] - Комментарий к версии
+   * @returns {Promise<Object>} Шаблон
+   */
+  async saveTemplate(name, content, options = {}) {
+    const { shopId = null, language = DEFAULT_LANGUAGE, userId = null, changeType, comment = null } = options;
+
+    const template = await sequelize.transaction(async (transaction) => {
+      let record = await MessageTemplate.findOne({
+        where: { name, shopId, language },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!record) {
+        record = await MessageTemplate.create({ name, shopId, language, content, userId, currentVersion: 1 }, { transaction });
+      } else {
+        // Удаленный шаблон с тем же именем восстанавливается с продолжением истории
+        await record.update({
+          content,
+          userId,
+          isActive: true,
+          currentVersion: record.currentVersion + 1
+        }, { transaction });
+      }
+
+      await MessageTemplateVersion.create({
+        templateId: record.id,
+        version: record.currentVersion,
+        content,
+        changeType: changeType || (record.currentVersion === 1 ? 'create' : 'update'),
+        comment,
+        userId
+      }, { transaction });
+
+      return record;
+    });
+
+    messageTemplates.setTemplate(name, content, shopId, language);
+    logger.info(`Шаблон "${name}" (${language})${shopId ? ` магазина ${shopId}` : ''} сохранен, версия ${template.currentVersion}`);
+    return template;
+  }
+
+  /**
+   * Удаляет шаблон. История версий сохраняется, удаление записывается отдельной версией
+   * @param {Object} template - Шаблон
+   * @param {number} [userId] - Автор изменения
+   * @returns {Promise<Object>} Шаблон
+   */
+  async deleteTemplate(template, userId = null) {
+    await sequelize.transaction(async (transaction) => {
+      await template.update({
+        isActive: false,
+        userId,
+        currentVersion: template.currentVersion + 1
+      }, { transaction });
+
+      await MessageTemplateVersion.create({
+        templateId: template.id,
+        version: template.currentVersion,
+        content: template.content,
+        changeType: 'delete',
+        userId
+      }, { transaction });
+    });
+
+    messageTemplates.removeTemplate(template.name, template.shopId, template.language);
+    logger.info(`Шаблон "${template.name}" (${template.language})${template.shopId ? ` магазина ${template.shopId}` : ''} удален`);
+    return template;
+  }
+
+  /**
+   * Возвращает историю версий шаблона, начиная с последней
+   * @param {Object} template - Шаблон
+   * @returns {Promise<Array>} Версии шаблона
+   */
+  async getVersions(template) {
+    return MessageTemplateVersion.findAll({
+      where: { templateId: template.id },
+      include: [{ model: User, as: 'author', attributes: ['id', 'username'] }],
+      order: [['version', 'DESC']]
+    });
+  }
+
+  /**
+   * Находит версию шаблона по номеру
+   * @param {Object} template - Шаблон
+   * @param {number} version - Номер версии
+   * @returns {Promise<Object|null>} Версия шаблона
+   */
+  async getVersion(template, version) {
+    return MessageTemplateVersion.findOne({
+      where: { templateId: template.id, version },
+      include: [{ model: User, as: 'author', attributes: ['id', 'username'] }]
+    });
+  }
+
+  /**
+   * Откатывает шаблон к одной из предыдущих версий. Откат сохраняется новой версией
+   * @param {Object} template - Шаблон
+   * @param {Object} version - Версия, текст которой восстанавливается
+   * @param {number} [userId] - Автор изменения
+   * @returns {Promise<Object>} Шаблон
+   */
+  async rollback(template, version, userId = null) {
+    return this.saveTemplate(template.name, version.content, {
+      shopId: template.shopId,
+      language: template.language,
+      userId,
+      changeType: 'rollback',
+      comment: `Откат к версии ${version.version}`
+    });
+  }
+}
+
+module.exports = new TemplateService();
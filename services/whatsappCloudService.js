@@ -4,17 +4,32 @@ const config = require('../config/config');
 const logger = require('./loggerService');
 const { AllowedPhone } = require('../models');
 const messageTemplates = require('./messageTemplates');
+const whatsappTemplateService = require('./whatsappTemplateService');
+const suppressionService = require('./suppressionService');
+const shopService = require('./shopService');
+const { WhatsAppSendError, createSendError, getErrorCode } = require('../utils/whatsappErrors');
+const { DEFAULT_LANGUAGE, resolveLanguage, getCloudApiLanguageCode } = require('../utils/languageUtils');
 
 class WhatsAppCloudService {
-  constructor() {
+  /**
+   * @param {Object} shop - Магазин, от имени которого отправляются сообщения (по умолчанию настройки окружения)
+   */
+  constructor(shop = null) {
     // WhatsApp Cloud API версия
     this.apiVersion = 'v17.0';
     
+    // Магазин, которому принадлежит номер WhatsApp
+    this.shop = shop;
+    this.shopId = shop ? shop.id : null;
+    
     // ID телефона, полученный из WhatsApp Business Manager
-    this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.phoneNumberId = shop?.whatsappPhoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
     
     // Токен доступа, полученный от Meta Business API
-    this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    this.accessToken = shop?.whatsappAccessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+    
+    // ID бизнес-аккаунта WhatsApp, которому принадлежат шаблоны сообщений
+    this.businessAccountId = shop?.whatsappBusinessAccountId || config.whatsapp.cloudApi.businessAccountId;
     
     // Базовый URL для WhatsApp Cloud API
     this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
@@ -28,14 +43,44 @@ class WhatsAppCloudService {
       }
     });
     
-    // Название компании из конфигурации
-    this.companyName = process.env.COMPANY_NAME || 'ТОО "TRABZON"';
+    // Название компании из настроек магазина или конфигурации
+    this.companyName = shop?.companyName || process.env.COMPANY_NAME || 'ТОО "TRABZON"';
+    
+    // Экземпляры сервиса для магазинов, созданные через forShop
+    this.shopInstances = new Map();
 
     // Проверим подключение при инициализации
     this.isInitialized = false;
     this.initService();
   }
 
+  /**
+   * Возвращает сервис, отправляющий сообщения с номера WhatsApp магазина
+   * @param {Object} shop - Магазин
+   * @returns {WhatsAppCloudService} Сервис магазина
+   */
+  forShop(shop) {
+    if (!shop) {
+      return this;
+    }
+    
+    // Пересоздаем экземпляр, если изменились номер или токен магазина. Сравниваем с теми же
+    // значениями по умолчанию, что и конструктор: иначе магазин без своего номера никогда не совпадет
+    const cached = this.shopInstances.get(shop.id);
+    if (cached
+      && cached.phoneNumberId === (shop.whatsappPhoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID)
+      && cached.accessToken === (shop.whatsappAccessToken || process.env.WHATSAPP_ACCESS_TOKEN)) {
+      cached.shop = shop;
+      cached.companyName = shop.companyName || process.env.COMPANY_NAME || 'ТОО "TRABZON"';
+      cached.businessAccountId = shop.whatsappBusinessAccountId || config.whatsapp.cloudApi.businessAccountId;
+      return cached;
+    }
+    
+    const instance = new WhatsAppCloudService(shop);
+    this.shopInstances.set(shop.id, instance);
+    return instance;
+  }
+
   /**
    * Инициализация сервиса и проверка подключения
    */
@@ -124,12 +169,17 @@ class WhatsAppCloudService {
       const normalizedPhone = phoneNumber.replace(/\D/g, '');
       
       // Проверяем, существует ли номер в таблице allowed_phones
-      const allowedPhone = await AllowedPhone.findOne({
-        where: {
-          phoneNumber: normalizedPhone,
-          isActive: true,
-        },
-      });
+      const where = {
+        phoneNumber: normalizedPhone,
+        isActive: true,
+      };
+      
+      // Номер должен быть разрешен в магазине, от имени которого идет отправка
+      if (this.shopId) {
+        where.shopId = this.shopId;
+      }
+      
+      const allowedPhone = await AllowedPhone.findOne({ where });
 
       return !!allowedPhone;
     } catch (error) {
@@ -138,6 +188,18 @@ class WhatsAppCloudService {
     }
   }
 
+  /**
+   * Проверяет, что клиент не отказался от сообщений магазина
+   * @param {string} phoneNumber Номер телефона
+   * @throws {WhatsAppSendError} Если номер в списке отказавшихся
+   */
+  async ensureNotSuppressed(phoneNumber) {
+    if (await suppressionService.isSuppressed(phoneNumber, this.shopId)) {
+      logger.warn(`Отправка на номер ${phoneNumber} отменена: клиент отказался от сообщений`);
+      throw new WhatsAppSendError(`Клиент с номером ${phoneNumber} отказался от сообщений`, { code: 'PHONE_SUPPRESSED' });
+    }
+  }
+
   /**
    * Отправляет текстовое сообщение через WhatsApp Cloud API
    * @param {string} phoneNumber Номер получателя
@@ -150,7 +212,7 @@ class WhatsAppCloudService {
       if (!this.isInitialized) {
         await this.initService();
         if (!this.isInitialized) {
-          throw new Error('WhatsApp Cloud API не инициализирован');
+          throw new WhatsAppSendError('WhatsApp Cloud API не инициализирован', { code: 'NOT_INITIALIZED' });
         }
       }
       
@@ -161,9 +223,12 @@ class WhatsAppCloudService {
       const isAllowed = await this.isPhoneAllowed(phoneNumber);
       if (!isAllowed) {
         logger.warn(`Попытка отправки сообщения на неразрешенный номер: ${formattedPhone}`);
-        throw new Error(`Номер ${formattedPhone} не находится в списке разрешенных`);
+        throw new WhatsAppSendError(`Номер ${formattedPhone} не находится в списке разрешенных`, { code: 'PHONE_NOT_ALLOWED' });
       }
       
+      // Клиент отказался от сообщений
+      await this.ensureNotSuppressed(formattedPhone);
+      
       // Подготовка данных для запроса
       const requestData = {
         messaging_product: "whatsapp",
@@ -197,7 +262,8 @@ class WhatsAppCloudService {
       throw new Error('Неверный ответ от WhatsApp Cloud API');
     } catch (error) {
       logger.error(`Ошибка при отправке сообщения на номер ${phoneNumber}:`, error.response?.data || error.message);
-      throw new Error(`Не удалось отправить сообщение: ${error.response?.data?.error?.message || error.message}`);
+      // Сохраняем код ошибки API, чтобы очередь могла решить, повторять ли отправку
+      throw createSendError('Не удалось отправить сообщение', error);
     }
   }
 
@@ -206,16 +272,16 @@ class WhatsAppCloudService {
    * @param {string} phoneNumber Номер получателя
    * @param {string} templateName Имя шаблона
    * @param {Array} components Компоненты шаблона (header, body, buttons)
-   * @param {string} language Код языка (по умолчанию ru)
+   * @param {string} language Язык сообщения: kk, ru или en (по умолчанию ru)
    * @returns {Promise<Object>} Результат отправки
    */
-  async sendTemplateMessage(phoneNumber, templateName, components = [], language = 'ru') {
+  async sendTemplateMessage(phoneNumber, templateName, components = [], language = DEFAULT_LANGUAGE) {
     try {
       // Проверяем, что сервис инициализирован
       if (!this.isInitialized) {
         await this.initService();
         if (!this.isInitialized) {
-          throw new Error('WhatsApp Cloud API не инициализирован');
+          throw new WhatsAppSendError('WhatsApp Cloud API не инициализирован', { code: 'NOT_INITIALIZED' });
         }
       }
       
@@ -226,9 +292,12 @@ class WhatsAppCloudService {
       const isAllowed = await this.isPhoneAllowed(phoneNumber);
       if (!isAllowed) {
         logger.warn(`Попытка отправки шаблона на неразрешенный номер: ${formattedPhone}`);
-        throw new Error(`Номер ${formattedPhone} не находится в списке разрешенных`);
+        throw new WhatsAppSendError(`Номер ${formattedPhone} не находится в списке разрешенных`, { code: 'PHONE_NOT_ALLOWED' });
       }
       
+      // Клиент отказался от сообщений
+      await this.ensureNotSuppressed(formattedPhone);
+      
       // Подготовка данных для запроса
       const requestData = {
         messaging_product: "whatsapp",
@@ -238,7 +307,7 @@ class WhatsAppCloudService {
         template: {
           name: templateName,
           language: {
-            code: language
+            code: getCloudApiLanguageCode(language)
           },
           components: components
         }
@@ -266,94 +335,119 @@ class WhatsAppCloudService {
       throw new Error('Неверный ответ от WhatsApp Cloud API');
     } catch (error) {
       logger.error(`Ошибка при отправке шаблона на номер ${phoneNumber}:`, error.response?.data || error.message);
-      throw new Error(`Не удалось отправить шаблон: ${error.response?.data?.error?.message || error.message}`);
+      throw createSendError('Не удалось отправить шаблон', error);
     }
   }
 
   /**
-   * Формирует параметры шаблона для запроса отзыва
+   * Отправляет сообщение шаблоном Meta, сопоставленным с локальным шаблоном.
+   * Параметры шаблона заполняются переменными заказа по настроенному сопоставлению
    * @param {Object} order Объект заказа
-   * @param {string} reviewLink Ссылка для отзыва
-   * @returns {Array} Массив компонентов шаблона
+   * @param {string} localTemplateName Имя локального шаблона (например, reviewRequest)
+   * @param {Object} extraVariables Дополнительные переменные (например, reviewLink)
+   * @param {string} language Язык клиента
+   * @returns {Promise<Object|null>} Результат отправки или null, если шаблон Meta не настроен
    */
-  formatReviewRequestTemplate(order, reviewLink) {
-    // Получаем имя клиента (только имя без фамилии)
-    const customerName = order.customerName.split(' ')[0];
+  async sendMappedTemplate(order, localTemplateName, extraVariables = {}, language = DEFAULT_LANGUAGE) {
+    const template = await whatsappTemplateService.findForSending(this.shop, localTemplateName, language);
+    if (!template) {
+      return null;
+    }
     
-    // Данные первого товара в заказе
-    const firstItem = order.orderItems[0];
+    // Проверяем сопоставление до обращения к API, чтобы не отправить шаблон с пустыми параметрами
+    const components = whatsappTemplateService.buildComponents(template, {
+      ...messageTemplates.buildOrderVariables(order),
+      companyName: this.companyName,
+      ...extraVariables
+    }, shopService.getTimezone(this.shop));
     
-    // Формируем компоненты шаблона
-    return [
-      {
-        type: "body",
-        parameters: [
-          {
-            type: "text",
-            text: customerName
-          },
-          {
-            type: "text",
-            text: firstItem.name
-          },
-          {
-            type: "text",
-            text: this.companyName
-          },
-          {
-            type: "text",
-            text: reviewLink
-          }
-        ]
-      }
-    ];
+    return this.sendTemplateMessage(order.customerPhone, template.name, components, template.language);
   }
 
   /**
-   * Отправляет запрос отзыва через WhatsApp Cloud API
+   * Отправляет запрос отзыва через WhatsApp Cloud API.
+   * В режиме магазина perProduct о каждом товаре заказа отправляется отдельное сообщение
    * @param {Object} order Объект заказа
-   * @returns {Promise<Object>} Результат отправки
+   * @returns {Promise<Object>} Результат отправки; messages - результаты всех отправленных сообщений
    */
   async sendReviewRequest(order) {
     try {
-      // Проверяем, что у заказа есть товары
-      if (!order.orderItems || !Array.isArray(order.orderItems) || order.orderItems.length === 0) {
+      // Оставить отзыв можно только о товарах с кодом
+      const products = messageTemplates.getReviewItems(order);
+      if (products.length === 0) {
         throw new Error('Заказ не содержит товаров');
       }
-      
-      // Генерируем ссылку для отзыва
-      const productCode = order.orderItems[0].code;
-      const orderCode = order.kaspiOrderId.split('-')[0] || order.kaspiOrderId;
-      const reviewLink = `https://kaspi.kz/shop/review/productreview?productCode=${productCode}&orderCode=${orderCode}&rating=5`;
-      
-      // Проверяем, есть ли у нас зарегистрированный шаблон
-      // Если шаблоны не настроены, отправляем обычное текстовое сообщение
-      let result;
-      
-      try {
-        // Пробуем отправить сообщение шаблона
-        const components = this.formatReviewRequestTemplate(order, reviewLink);
-        result = await this.sendTemplateMessage(
-          order.customerPhone,
-          'review_request', // Имя шаблона, зарегистрированного в WhatsApp Business Manager
-          components
-        );
-      } catch (templateError) {
-        logger.warn(`Не удалось отправить шаблон, используем текстовое сообщение: ${templateError.message}`);
-        
-        // Если не получилось отправить шаблон, используем обычное сообщение
-        const message = messageTemplates.getReviewRequestMessage(order, reviewLink);
-        result = await this.sendTextMessage(order.customerPhone, message);
+
+      // Язык сообщения: выбранный клиентом или язык магазина
+      const language = resolveLanguage(order, this.shop);
+
+      if (this.shop?.reviewRequestMode !== 'perProduct' || products.length === 1) {
+        // Шаблон Meta содержит одну ссылку - на первый товар, текстовое сообщение перечисляет все товары
+        const result = await this.sendReviewRequestMessage(order, products[0].reviewLink, language);
+        logger.info(`Запрос отзыва успешно отправлен для заказа ${order.kaspiOrderId}`);
+        return { ...result, messages: [result] };
       }
-      
-      logger.info(`Запрос отзыва успешно отправлен для заказа ${order.kaspiOrderId}`);
-      return result;
+
+      const limit = this.shop.maxReviewRequestsPerOrder || products.length;
+      const messages = [];
+
+      for (const product of products.slice(0, limit)) {
+        try {
+          messages.push(await this.sendReviewRequestMessage(order, product.reviewLink, language, product));
+        } catch (error) {
+          // Если часть сообщений уже ушла, не повторяем отправку всего заказа
+          if (messages.length === 0) {
+            throw error;
+          }
+          logger.error(`Не удалось отправить запрос отзыва о товаре ${product.code} заказа ${order.kaspiOrderId}:`, error);
+        }
+      }
+
+      logger.info(`Запросы отзыва о ${messages.length} из ${products.length} товаров отправлены для заказа ${order.kaspiOrderId}`);
+      return { ...messages[0], messages };
     } catch (error) {
       logger.error(`Ошибка при отправке запроса отзыва для заказа ${order.kaspiOrderId}:`, error);
-      throw new Error(`Не удалось отправить запрос отзыва: ${error.message}`);
+      throw createSendError('Не удалось отправить запрос отзыва', error);
     }
   }
 
+  /**
+   * Отправляет одно сообщение с запросом отзыва: шаблоном Meta, если он настроен, иначе текстом
+   * @param {Object} order Объект заказа
+   * @param {string} reviewLink Ссылка на отзыв
+   * @param {string} language Язык сообщения
+   * @param {Object} [product] Товар, если сообщение только о нем
+   * @returns {Promise<Object>} Результат отправки
+   */
+  async sendReviewRequestMessage(order, reviewLink, language, product = null) {
+    const extraVariables = { reviewLink };
+    if (product) {
+      extraVariables.productName = product.name;
+      extraVariables.productPrice = product.totalPrice;
+    }
+
+    // Если шаблон Meta не настроен или его переменные сопоставлены неверно, отправляем обычное текстовое сообщение.
+    // Другие ошибки пробрасываются: после таймаута или ошибки 5xx Meta могла уже принять шаблон, и текст
+    // пришел бы клиенту вторым сообщением, а ошибку получателя текстовое сообщение не исправит
+    let result = null;
+
+    try {
+      result = await this.sendMappedTemplate(order, 'reviewRequest', extraVariables, language);
+    } catch (templateError) {
+      if (getErrorCode(templateError) !== 'TEMPLATE_MAPPING_INVALID') {
+        throw templateError;
+      }
+      logger.warn(`Не удалось отправить шаблон, используем текстовое сообщение: ${templateError.message}`);
+    }
+
+    if (!result) {
+      const message = messageTemplates.getReviewRequestMessage(order, reviewLink, this.shop, language, product);
+      result = await this.sendTextMessage(order.customerPhone, message);
+    }
+
+    return result;
+  }
+
   /**
    * Получает информацию о бизнес-аккаунте WhatsApp
    * @returns {Promise<Object>} Информация о бизнес-аккаунте
@@ -393,19 +487,90 @@ class WhatsAppCloudService {
   }
 
   /**
-   * Получает информацию о шаблонах сообщений
+   * Получает шаблоны сообщений бизнес-аккаунта со всех страниц ответа
    * @returns {Promise<Array>} Массив шаблонов
    */
   async getMessageTemplates() {
     try {
-      const response = await this.axios.get(`/${this.phoneNumberId}/message_templates`);
-      return response.data.data;
+      if (!this.businessAccountId) {
+        throw new Error('Не указан ID бизнес-аккаунта WhatsApp (WHATSAPP_BUSINESS_ACCOUNT_ID)');
+      }
+      
+      const templates = [];
+      let after = null;
+      
+      do {
+        const response = await this.axios.get(`/${this.businessAccountId}/message_templates`, {
+          params: {
+            fields: 'id,name,language,status,category,components,rejected_reason',
+            limit: 100,
+            ...(after ? { after } : {})
+          }
+        });
+        
+        templates.push(...(response.data.data || []));
+        after = response.data.paging?.next ? response.data.paging.cursors?.after : null;
+      } while (after);
+      
+      return templates;
     } catch (error) {
       logger.error('Ошибка при получении шаблонов сообщений:', error.response?.data || error.message);
       throw new Error(`Не удалось получить шаблоны сообщений: ${error.response?.data?.error?.message || error.message}`);
     }
   }
 
+  /**
+   * Отправляет новый шаблон сообщения на проверку в Meta
+   * @param {Object} templateData Шаблон: name, language, category, components
+   * @returns {Promise<Object>} Ответ Meta: id, status, category
+   */
+  async createMessageTemplate(templateData) {
+    try {
+      if (!this.businessAccountId) {
+        throw new Error('Не указан ID бизнес-аккаунта WhatsApp (WHATSAPP_BUSINESS_ACCOUNT_ID)');
+      }
+      
+      const response = await this.axios.post(`/${this.businessAccountId}/message_templates`, templateData);
+      return response.data;
+    } catch (error) {
+      logger.error('Ошибка при создании шаблона сообщения:', error.response?.data || error.message);
+      throw new Error(`Не удалось создать шаблон сообщения: ${error.response?.data?.error?.error_user_msg || error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Изменяет отклоненный или приостановленный шаблон и повторно отправляет его на проверку
+   * @param {string} metaTemplateId ID шаблона в Meta
+   * @param {Object} templateData Изменяемые поля: category, components
+   * @returns {Promise<Object>} Ответ Meta
+   */
+  async updateMessageTemplate(metaTemplateId, templateData) {
+    try {
+      const response = await this.axios.post(`/${metaTemplateId}`, templateData);
+      return response.data;
+    } catch (error) {
+      logger.error('Ошибка при изменении шаблона сообщения:', error.response?.data || error.message);
+      throw new Error(`Не удалось изменить шаблон сообщения: ${error.response?.data?.error?.error_user_msg || error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Получает шаблон сообщения из Meta по ID
+   * @param {string} metaTemplateId ID шаблона в Meta
+   * @returns {Promise<Object>} Шаблон: статус, причина отклонения, компоненты
+   */
+  async getMessageTemplate(metaTemplateId) {
+    try {
+      const response = await this.axios.get(`/${metaTemplateId}`, {
+        params: { fields: 'id,name,language,status,category,components,rejected_reason' }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Ошибка при получении шаблона сообщения:', error.response?.data || error.message);
+      throw new Error(`Не удалось получить шаблон сообщения: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Отправляет тестовое сообщение
    * @param {string} phoneNumber Номер получателя
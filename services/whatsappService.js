@@ -3,7 +3,10 @@ const axios = require('axios');
 const config = require('../config/config');
 const logger = require('./loggerService');
 const { AllowedPhone } = require('../models');
-const kaspiService = require('./kaspiService');
+const messageTemplates = require('./messageTemplates');
+const suppressionService = require('./suppressionService');
+const { WhatsAppSendError, createSendError } = require('../utils/whatsappErrors');
+const { resolveLanguage } = require('../utils/languageUtils');
 
 class WhatsAppService {
   constructor() {
@@ -50,21 +53,28 @@ class WhatsAppService {
    * @param {string} phoneNumber - Номер получателя
    * @param {string} message - Текст сообщения
    * @param {Array} [attachments] - Дополнительные вложения
+   * @param {number|null} [shopId] - Магазин, отказ от сообщений которого проверяется
    * @returns {Promise<Object>} - Результат отправки сообщения
    */
-  async sendMessage(phoneNumber, message, attachments = []) {
+  async sendMessage(phoneNumber, message, attachments = [], shopId = null) {
     try {
       // Проверяем, что WhatsApp API верифицирован
       if (!this.isWhatsAppVerified) {
         const status = await this.checkConnectionStatus();
         if (!status.connected) {
-          throw new Error('WhatsApp API не верифицирован. Сначала выполните верификацию номера.');
+          throw new WhatsAppSendError('WhatsApp API не верифицирован. Сначала выполните верификацию номера.', { code: 'NOT_INITIALIZED' });
         }
       }
 
       // Нормализуем номер телефона
       const normalizedPhone = phoneNumber.replace(/\D/g, '');
 
+      // Клиент отказался от сообщений
+      if (await suppressionService.isSuppressed(normalizedPhone, shopId)) {
+        logger.warn(`Отправка на номер ${normalizedPhone} отменена: клиент отказался от сообщений`);
+        throw new WhatsAppSendError(`Клиент с номером ${normalizedPhone} отказался от сообщений`, { code: 'PHONE_SUPPRESSED' });
+      }
+
       // Подготавливаем данные для отправки
       const payload = {
         recipient: normalizedPhone,
@@ -84,42 +94,55 @@ class WhatsAppService {
       return { success: true, recipient: normalizedPhone };
     } catch (error) {
       logger.error(`Ошибка при отправке WhatsApp сообщения на номер ${phoneNumber}:`, error);
-      throw new Error(`Не удалось отправить WhatsApp сообщение: ${error.message}`);
+      throw createSendError('Не удалось отправить WhatsApp сообщение', error);
     }
   }
 
   /**
    * Формирует и отправляет уведомление о запросе отзыва
    * @param {Object} order - Объект заказа
-   * @returns {Promise<Object>} - Результат отправки сообщения
+   * @param {Object} [shop] - Магазин заказа: режим запроса отзыва и тексты сообщений
+   * @returns {Promise<Object>} - Результат отправки; messages - все отправленные сообщения
    */
-  async sendReviewRequest(order) {
+  async sendReviewRequest(order, shop = null) {
     try {
-      // Проверяем, что у заказа есть товары
-      if (!order.orderItems || !Array.isArray(order.orderItems) || order.orderItems.length === 0) {
+      // Оставить отзыв можно только о товарах с кодом
+      const products = messageTemplates.getReviewItems(order);
+      if (products.length === 0) {
         throw new Error('Заказ не содержит товаров');
       }
 
-      // Берем первый товар для формирования ссылки на отзыв
-      const firstItem = order.orderItems[0];
-      const productCode = firstItem.code;
-      const orderCode = order.kaspiOrderId.split('-')[0] || order.kaspiOrderId; // На случай, если формат другой
-      
-      // Генерируем ссылку для отзыва
-      const reviewLink = kaspiService.generateReviewLink(productCode, orderCode);
+      const language = resolveLanguage(order, shop);
+      const shopId = shop?.id || order.shopId;
 
-      // Формируем имя клиента (только имя без фамилии, если возможно)
-      const customerFirstName = order.customerName.split(' ')[0];
-      
-      // Формируем текст сообщения
-      const message = `Здравствуйте, ${customerFirstName}! Поздравляем Вас с покупкой "${firstItem.name}" в магазине "ТОО "TRABZON""! Спасибо, что выбрали нас! Мы будем благодарны, если Вы оставите нам отзыв. Вы можете сделать это по ссылке ниже ⬇️ ${reviewLink} (Отправьте нам любое сообщение, чтобы ссылка стала кликабельной) С уважением, ТОО "TRABZON"`;
+      if (shop?.reviewRequestMode !== 'perProduct' || products.length === 1) {
+        // Одно сообщение со ссылкой на первый товар, текст перечисляет все товары заказа
+        const message = messageTemplates.getReviewRequestMessage(order, products[0].reviewLink, shop, language);
+        const result = await this.sendMessage(order.customerPhone, message, [], shopId);
+        return { ...result, messages: [result] };
+      }
 
-      // Отправляем сообщение
-      const result = await this.sendMessage(order.customerPhone, message);
-      return result;
+      const limit = shop.maxReviewRequestsPerOrder || products.length;
+      const messages = [];
+
+      for (const product of products.slice(0, limit)) {
+        try {
+          const message = messageTemplates.getReviewRequestMessage(order, product.reviewLink, shop, language, product);
+          messages.push(await this.sendMessage(order.customerPhone, message, [], shopId));
+        } catch (error) {
+          // Если часть сообщений уже ушла, не повторяем отправку всего заказа
+          if (messages.length === 0) {
+            throw error;
+          }
+          logger.error(`Не удалось отправить запрос отзыва о товаре ${product.code} заказа ${order.kaspiOrderId}:`, error);
+        }
+      }
+
+      logger.info(`Запросы отзыва о ${messages.length} из ${products.length} товаров отправлены для заказа ${order.kaspiOrderId}`);
+      return { ...messages[0], messages };
     } catch (error) {
       logger.error(`Ошибка при отправке запроса отзыва для заказа ${order.kaspiOrderId}:`, error);
-      throw new Error(`Не удалось отправить запрос отзыва: ${error.message}`);
+      throw createSendError('Не удалось отправить запрос отзыва', error);
     }
   }
 
@@ -0,0 +1,691 @@
+// services/whatsappTemplateService.js
+const config = require('../config/config');
+const logger = require('./loggerService');
+const shopService = require('./shopService');
+const messageTemplates = require('./messageTemplates');
+const { Op } = require('sequelize');
+const { WhatsAppTemplate } = require('../models');
+const { parse, stringify, TemplateError } = require('../utils/templateEngine');
+const { WhatsAppSendError } = require('../utils/whatsappErrors');
+const { DEFAULT_LANGUAGE, normalizeLanguage, resolveLanguage, getCloudApiLanguageCode } = require('../utils/languageUtils');
+
+// Переменные заказа, которые можно подставить в параметры шаблона Meta
+const TEMPLATE_VARIABLES = {
+  customerName: 'Имя клиента',
+  customerFullName: 'Имя и фамилия клиента',
+  orderNumber: 'Номер заказа',
+  productName: 'Название товара: первого в заказе или того, о котором сообщение',
+  productPrice: 'Стоимость товара: первого в заказе или того, о котором сообщение',
+  orderAmount: 'Сумма заказа',
+  orderDate: 'Дата заказа',
+  deliveryAddress: 'Адрес доставки',
+  itemsCount: 'Количество товаров',
+  companyName: 'Название компании',
+  reviewLink: 'Ссылка на отзыв о товаре'
+};
+
+// Статус шаблона по событию вебхука message_template_status_update.
+// null - статус не меняется: FLAGGED только предупреждает о низком качестве, шаблон остается одобренным
+const TEMPLATE_EVENT_STATUSES = {
+  APPROVED: 'APPROVED',
+  REINSTATED: 'APPROVED',
+  PENDING: 'PENDING',
+  IN_APPEAL: 'PENDING',
+  REJECTED: 'REJECTED',
+  PAUSED: 'PAUSED',
+  DISABLED: 'DISABLED',
+  LOCKED: 'DISABLED',
+  PENDING_DELETION: 'DELETED',
+  ARCHIVED: 'DELETED',
+  DELETED: 'DELETED',
+  FLAGGED: null
+};
+
+// Примеры значений переменных: Meta требует их для каждого параметра шаблона, отправленного на проверку
+const EXAMPLE_VALUES = {
+  customerName: 'Айгерим',
+  customerFullName: 'Айгерим Сапарова',
+  orderNumber: '512345678',
+  productName: 'Смартфон Samsung Galaxy A55',
+  productPrice: '189 990 ₸',
+  orderAmount: '194 980 ₸',
+  orderDate: '15.03.2024',
+  deliveryAddress: 'Алматы, пр. Абая 150',
+  itemsCount: '2',
+  companyName: 'Kaspi Магазин',
+  reviewLink: 'https://kaspi.kz/shop/review/productreview?productCode=123456'
+};
+
+// Категории, в которых можно отправить шаблон на проверку
+const SUBMISSION_CATEGORIES = ['MARKETING', 'UTILITY'];
+
+// Статусы, при которых шаблон можно изменить и отправить на проверку повторно
+const RESUBMITTABLE_STATUSES = ['REJECTED', 'PAUSED'];
+
+// Ограничения Meta на компоненты шаблона
+const MAX_HEADER_LENGTH = 60;
+const MAX_BODY_LENGTH = 1024;
+const MAX_FOOTER_LENGTH = 60;
+const MAX_BUTTONS = 10;
+const MAX_BUTTON_TEXT_LENGTH = 25;
+
+// Позиционный параметр в тексте компонента: {{1}}, {{2}}...
+const PARAMETER_PATTERN = /{{\s*(\d+)\s*}}/g;
+
+class WhatsAppTemplateService {
+  /**
+   * Находит позиционные параметры в компонентах шаблона Meta
+   * @param {Array} components - Компоненты шаблона (HEADER, BODY, BUTTONS)
+   * @returns {Array} Параметры: [{ key, component, index, buttonIndex, example }]
+   */
+  parseParameters(components = []) {
+    const parameters = [];
+
+    const collect = (text, component, examples = [], buttonIndex = null) => {
+      const indexes = new Set();
+      for (const match of String(text || '').matchAll(PARAMETER_PATTERN)) {
+        indexes.add(parseInt(match[1]));
+      }
+
+      [...indexes].sort((a, b) => a - b).forEach(index => {
+        parameters.push({
+          key: buttonIndex === null ? `${component}.${index}` : `button.${buttonIndex}.${index}`,
+          component,
+          index,
+          buttonIndex,
+          example: examples[index - 1] || null
+        });
+      });
+    };
+
+    for (const component of components) {
+      const type = String(component.type || '').toUpperCase();
+
+      if (type === 'HEADER' && component.format === 'TEXT') {
+        collect(component.text, 'header', component.example?.header_text || []);
+      } else if (type === 'BODY') {
+        collect(component.text, 'body', component.example?.body_text?.[0] || []);
+      } else if (type === 'BUTTONS') {
+        (component.buttons || []).forEach((button, buttonIndex) => {
+          if (button.type === 'URL') {
+            collect(button.url, 'button', button.example || [], buttonIndex);
+          }
+        });
+      }
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Оставляет в сопоставлении только параметры, которые есть в шаблоне
+   * @param {Object} mapping - Сопоставление { 'body.1': 'customerName' }
+   * @param {Array} parameters - Параметры шаблона
+   * @returns {Object} Сопоставление
+   */
+  pruneMapping(mapping, parameters) {
+    const keys = new Set(parameters.map(parameter => parameter.key));
+    return Object.fromEntries(Object.entries(mapping).filter(([key]) => keys.has(key)));
+  }
+
+  /**
+   * Загружает шаблоны магазина из Meta: добавляет одобренные шаблоны и обновляет статус уже известных
+   * @param {Object} shop - Магазин
+   * @returns {Promise<Object>} Количество добавленных, обновленных и удаленных в Meta шаблонов
+   */
+  async syncTemplates(shop) {
+    // Загружаем здесь, а не в начале файла: whatsappCloudService сам использует этот сервис
+    const whatsappCloudService = require('./whatsappCloudService');
+
+    const summary = { created: 0, updated: 0, removed: 0 };
+    const metaTemplates = await whatsappCloudService.forShop(shop).getMessageTemplates();
+    const shopId = shop ? shop.id : null;
+    const now = new Date();
+
+    const existing = await WhatsAppTemplate.findAll({ where: { shopId } });
+    const byKey = new Map(existing.map(template => [`${template.name}:${template.language}`, template]));
+    const seen = new Set();
+
+    for (const metaTemplate of metaTemplates) {
+      const key = `${metaTemplate.name}:${metaTemplate.language}`;
+      seen.add(key);
+
+      const components = metaTemplate.components || [];
+      const parameters = this.parseParameters(components);
+      const fields = {
+        metaTemplateId: metaTemplate.id,
+        category: metaTemplate.category || null,
+        status: metaTemplate.status,
+        components,
+        parameters,
+        parameterCount: parameters.length,
+        rejectedReason: metaTemplate.rejected_reason && metaTemplate.rejected_reason !== 'NONE' ? metaTemplate.rejected_reason : null,
+        lastSyncedAt: now
+      };
+
+      const template = byKey.get(key);
+
+      if (template) {
+        if (template.parameterMapping) {
+          fields.parameterMapping = this.pruneMapping(template.parameterMapping, parameters);
+        }
+
+        await template.update(fields);
+        summary.updated += 1;
+        continue;
+      }
+
+      // Новые шаблоны добавляем, только когда Meta их одобрила
+      if (metaTemplate.status !== 'APPROVED') {
+        continue;
+      }
+
+      await WhatsAppTemplate.create({
+        ...fields,
+        shopId,
+        name: metaTemplate.name,
+        language: metaTemplate.language
+      });
+      summary.created += 1;
+    }
+
+    // Шаблоны, которых больше нет в Meta, нельзя отправлять
+    for (const template of existing) {
+      if (!seen.has(`${template.name}:${template.language}`) && template.status !== 'DELETED') {
+        await template.update({ status: 'DELETED', lastSyncedAt: now });
+        summary.removed += 1;
+      }
+    }
+
+    logger.info(`Шаблоны Meta${shop ? ` магазина "${shop.name}"` : ''} синхронизированы: добавлено ${summary.created}, обновлено ${summary.updated}, удалено в Meta ${summary.removed}`);
+    return summary;
+  }
+
+  /**
+   * Синхронизирует шаблоны Meta всех активных магазинов с настроенным бизнес-аккаунтом
+   * @returns {Promise<Object>} Результаты по магазинам: shopId -> summary или текст ошибки
+   */
+  async syncAllShops() {
+    const results = {};
+    const shops = await shopService.getActiveShops();
+
+    for (const shop of shops) {
+      if (!shop.whatsappBusinessAccountId && !config.whatsapp.cloudApi.businessAccountId) {
+        continue;
+      }
+
+      try {
+        results[shop.id] = await this.syncTemplates(shop);
+      } catch (error) {
+        logger.error(`Ошибка при синхронизации шаблонов Meta магазина "${shop.name}":`, error);
+        results[shop.id] = { error: error.message };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Возвращает переменные, доступные для сопоставления с параметрами шаблона
+   * @returns {Object} Переменные: имя -> описание
+   */
+  getAvailableVariables() {
+    return { ...TEMPLATE_VARIABLES };
+  }
+
+  /**
+   * Проверяет сопоставление параметров шаблона с переменными заказа
+   * @param {Object} template - Шаблон Meta
+   * @param {Object} mapping - Сопоставление { 'body.1': 'customerName' }
+   * @returns {Array<string>} Ошибки; пустой массив, если сопоставление корректно
+   */
+  validateMapping(template, mapping) {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return ['Сопоставление параметров должно быть объектом { "body.1": "customerName" }'];
+    }
+
+    const keys = new Set(template.parameters.map(parameter => parameter.key));
+
+    for (const parameter of template.parameters) {
+      if (!mapping[parameter.key]) {
+        errors.push(`Параметр ${parameter.key} не сопоставлен с переменной`);
+      }
+    }
+
+    for (const [key, variable] of Object.entries(mapping)) {
+      if (!keys.has(key)) {
+        errors.push(`В шаблоне "${template.name}" нет параметра ${key}`);
+      } else if (!TEMPLATE_VARIABLES[variable]) {
+        errors.push(`Неизвестная переменная "${variable}" для параметра ${key}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Заменяет переменные локального шаблона позиционными параметрами Meta: {{customerName}} -> {{1}}.
+   * Повторное использование переменной получает тот же номер
+   * @param {string} text - Текст компонента
+   * @param {string} component - Название компонента для сообщений об ошибках
+   * @param {Array<string>} errors - Массив, в который добавляются ошибки
+   * @returns {Object} { text, variables } - текст с параметрами и переменные по порядку номеров
+   */
+  toPositionalText(text, component, errors) {
+    const variables = [];
+    let nodes;
+
+    try {
+      nodes = parse(String(text));
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      errors.push(`${component}: ${error.message}`);
+      return { text: '', variables };
+    }
+
+    let result = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        result += node.value;
+        continue;
+      }
+
+      if (node.type !== 'var') {
+        errors.push(`${component}: блоки #${node.type} не поддерживаются в шаблонах Meta`);
+        continue;
+      }
+
+      const variable = node.path.join('.');
+      if (node.path.length !== 1 || !TEMPLATE_VARIABLES[variable]) {
+        errors.push(`${component}: переменная "${variable || 'this'}" недоступна в шаблонах Meta`);
+        continue;
+      }
+      if (node.formatters.length > 0) {
+        errors.push(`${component}: форматтеры не поддерживаются в шаблонах Meta ({{${variable}}})`);
+      }
+
+      if (!variables.includes(variable)) {
+        variables.push(variable);
+      }
+      result += `{{${variables.indexOf(variable) + 1}}}`;
+    }
+
+    return { text: result, variables };
+  }
+
+  /**
+   * Подготавливает локальный шаблон к отправке на проверку в Meta
+   * @param {Object} shop - Магазин
+   * @param {Object} definition - Описание шаблона
+   * @param {string} definition.localTemplateName - Локальный шаблон, который заменит шаблон Meta
+   * @param {string} [definition.name] - Имя шаблона в Meta, по умолчанию из имени локального шаблона
+   * @param {string} [definition.language] - Язык, по умолчанию язык магазина
+   * @param {string} [definition.category] - MARKETING или UTILITY
+   * @param {string} [definition.header] - Текст заголовка
+   * @param {string} [definition.body] - Текст сообщения, по умолчанию текст локального шаблона
+   * @param {string} [definition.footer] - Текст подписи
+   * @param {Array} [definition.buttons] - Кнопки: { type: URL|QUICK_REPLY|PHONE_NUMBER, text, url, phoneNumber }
+   * @returns {Object} { name, language, category, components, mapping, localTemplateName, errors }
+   */
+  prepareSubmission(shop, definition = {}) {
+    const errors = [];
+    const { localTemplateName, header, footer, buttons = [] } = definition;
+
+    const language = definition.language ? normalizeLanguage(definition.language) : resolveLanguage(null, shop);
+    if (!language) {
+      errors.push(`Язык "${definition.language}" не поддерживается`);
+    }
+
+    const category = String(definition.category || 'UTILITY').toUpperCase();
+    if (!SUBMISSION_CATEGORIES.includes(category)) {
+      errors.push(`Категория должна быть одной из: ${SUBMISSION_CATEGORIES.join(', ')}`);
+    }
+
+    if (!localTemplateName) {
+      errors.push('Не указан локальный шаблон (localTemplateName)');
+    } else {
+      // Без текста в запросе отправляется вариант локального шаблона на выбранном языке
+      const languages = messageTemplates.getTemplateLanguages(localTemplateName, shop);
+      if (languages.length === 0) {
+        errors.push(`Шаблон с именем "${localTemplateName}" не найден`);
+      } else if (definition.body === undefined && language && !languages.includes(language)) {
+        errors.push(`У шаблона "${localTemplateName}" нет варианта на языке ${language}`);
+      }
+    }
+
+    // Meta допускает в имени только строчные латинские буквы, цифры и подчеркивание
+    const name = definition.name
+      || String(localTemplateName || '').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    if (!/^[a-z0-9_]+$/.test(name)) {
+      errors.push('Имя шаблона Meta может содержать только строчные латинские буквы, цифры и _');
+    }
+
+    const components = [];
+    const mapping = {};
+    const examples = variables => variables.map(variable => EXAMPLE_VALUES[variable]);
+
+    if (header) {
+      const { text, variables } = this.toPositionalText(header, 'Заголовок', errors);
+      if (variables.length > 1) {
+        errors.push('Заголовок может содержать не больше одной переменной');
+      }
+      if (text.length > MAX_HEADER_LENGTH) {
+        errors.push(`Заголовок длиннее ${MAX_HEADER_LENGTH} символов`);
+      }
+
+      const component = { type: 'HEADER', format: 'TEXT', text };
+      if (variables.length > 0) {
+        component.example = { header_text: examples(variables) };
+        mapping['header.1'] = variables[0];
+      }
+      components.push(component);
+    }
+
+    const bodySource = definition.body !== undefined
+      ? definition.body
+      : messageTemplates.getTemplateText(localTemplateName, shop, language) || '';
+    const body = this.toPositionalText(bodySource, 'Текст', errors);
+    if (!body.text.trim()) {
+      errors.push('Текст шаблона пустой');
+    }
+    if (body.text.length > MAX_BODY_LENGTH) {
+      errors.push(`Текст шаблона длиннее ${MAX_BODY_LENGTH} символов`);
+    }
+
+    const bodyComponent = { type: 'BODY', text: body.text.trim() };
+    if (body.variables.length > 0) {
+      bodyComponent.example = { body_text: [examples(body.variables)] };
+      body.variables.forEach((variable, index) => {
+        mapping[`body.${index + 1}`] = variable;
+      });
+    }
+    components.push(bodyComponent);
+
+    if (footer) {
+      if (/{{/.test(footer)) {
+        errors.push('Подпись не может содержать переменные');
+      }
+      if (footer.length > MAX_FOOTER_LENGTH) {
+        errors.push(`Подпись длиннее ${MAX_FOOTER_LENGTH} символов`);
+      }
+      components.push({ type: 'FOOTER', text: footer });
+    }
+
+    if (!Array.isArray(buttons)) {
+      errors.push('Кнопки должны быть массивом');
+    } else if (buttons.length > 0) {
+      if (buttons.length > MAX_BUTTONS) {
+        errors.push(`Шаблон может содержать не больше ${MAX_BUTTONS} кнопок`);
+      }
+
+      const metaButtons = buttons.map((button, buttonIndex) => {
+        const type = String(button.type || '').toUpperCase();
+        const label = `Кнопка ${buttonIndex + 1}`;
+
+        if (!button.text || button.text.length > MAX_BUTTON_TEXT_LENGTH) {
+          errors.push(`${label}: текст обязателен и не длиннее ${MAX_BUTTON_TEXT_LENGTH} символов`);
+        }
+
+        if (type === 'QUICK_REPLY') {
+          return { type, text: button.text };
+        }
+
+        if (type === 'PHONE_NUMBER') {
+          if (!button.phoneNumber) {
+            errors.push(`${label}: не указан номер телефона`);
+          }
+          return { type, text: button.text, phone_number: button.phoneNumber };
+        }
+
+        if (type === 'URL') {
+          const { text: url, variables } = this.toPositionalText(button.url || '', label, errors);
+          if (!/^https?:\/\//.test(url)) {
+            errors.push(`${label}: ссылка должна начинаться с http:// или https://`);
+          }
+
+          const metaButton = { type, text: button.text, url };
+          if (variables.length > 0) {
+            // Meta допускает одну переменную в конце ссылки
+            if (variables.length > 1 || !url.endsWith('{{1}}')) {
+              errors.push(`${label}: ссылка может содержать одну переменную, и только в конце`);
+            }
+            metaButton.example = [url.replace('{{1}}', EXAMPLE_VALUES[variables[0]])];
+            mapping[`button.${buttonIndex}.1`] = variables[0];
+          }
+          return metaButton;
+        }
+
+        errors.push(`${label}: неизвестный тип "${button.type}". Доступные: URL, QUICK_REPLY, PHONE_NUMBER`);
+        return null;
+      });
+
+      components.push({ type: 'BUTTONS', buttons: metaButtons.filter(Boolean) });
+    }
+
+    return {
+      name,
+      language: getCloudApiLanguageCode(language || DEFAULT_LANGUAGE),
+      category,
+      components,
+      mapping,
+      localTemplateName,
+      errors
+    };
+  }
+
+  /**
+   * Проверяет, можно ли отправить на проверку шаблон с тем же именем и языком
+   * @param {Object|null} template - Существующий шаблон Meta
+   * @returns {boolean}
+   */
+  canSubmit(template) {
+    return !template || template.status === 'DELETED' || RESUBMITTABLE_STATUSES.includes(template.status);
+  }
+
+  /**
+   * Отправляет подготовленный шаблон на проверку в Meta. Отклоненный или приостановленный
+   * шаблон изменяется и отправляется повторно, остальные создаются заново
+   * @param {Object} shop - Магазин
+   * @param {Object} prepared - Результат prepareSubmission
+   * @param {Object|null} existing - Шаблон Meta с тем же именем и языком
+   * @param {number} [userId] - Пользователь, отправивший шаблон
+   * @returns {Promise<Object>} Шаблон Meta
+   */
+  async submitTemplate(shop, prepared, existing = null, userId = null) {
+    const whatsappCloudService = require('./whatsappCloudService');
+    const client = whatsappCloudService.forShop(shop);
+
+    const { name, language, category, components, mapping, localTemplateName } = prepared;
+    const resubmit = existing && existing.metaTemplateId && RESUBMITTABLE_STATUSES.includes(existing.status);
+
+    const response = resubmit
+      ? await client.updateMessageTemplate(existing.metaTemplateId, { category, components })
+      : await client.createMessageTemplate({ name, language, category, components });
+
+    const parameters = this.parseParameters(components);
+    const now = new Date();
+    const fields = {
+      metaTemplateId: response.id || (resubmit ? existing.metaTemplateId : null),
+      category: response.category || category,
+      status: response.status || 'PENDING',
+      components,
+      parameters,
+      parameterCount: parameters.length,
+      parameterMapping: mapping,
+      localTemplateName,
+      rejectedReason: null,
+      submittedAt: now,
+      userId,
+      lastSyncedAt: now
+    };
+
+    const template = existing
+      ? await existing.update(fields)
+      : await WhatsAppTemplate.create({ ...fields, shopId: shop ? shop.id : null, name, language });
+
+    logger.info(`Шаблон Meta "${name}" (${language})${shop ? ` магазина "${shop.name}"` : ''} отправлен на проверку, статус ${template.status}`);
+    return template;
+  }
+
+  /**
+   * Обновляет статус проверки шаблона из Meta
+   * @param {Object} template - Шаблон Meta
+   * @returns {Promise<Object>} Шаблон
+   */
+  async refreshStatus(template) {
+    const whatsappCloudService = require('./whatsappCloudService');
+    const shop = await shopService.getShopById(template.shopId);
+    const metaTemplate = await whatsappCloudService.forShop(shop).getMessageTemplate(template.metaTemplateId);
+
+    const fields = {
+      status: metaTemplate.status,
+      category: metaTemplate.category || template.category,
+      rejectedReason: metaTemplate.rejected_reason && metaTemplate.rejected_reason !== 'NONE' ? metaTemplate.rejected_reason : null,
+      lastSyncedAt: new Date()
+    };
+
+    if (metaTemplate.components) {
+      fields.components = metaTemplate.components;
+      fields.parameters = this.parseParameters(metaTemplate.components);
+      fields.parameterCount = fields.parameters.length;
+      if (template.parameterMapping) {
+        fields.parameterMapping = this.pruneMapping(template.parameterMapping, fields.parameters);
+      }
+    }
+
+    if (fields.status !== template.status) {
+      logger.info(`Статус шаблона Meta "${template.name}" (${template.language}) изменился: ${template.status} -> ${fields.status}`);
+    }
+
+    return template.update(fields);
+  }
+
+  /**
+   * Обновляет статус шаблонов, которые ожидают проверки в Meta
+   * @returns {Promise<number>} Количество шаблонов, статус которых изменился
+   */
+  async refreshPendingTemplates() {
+    const templates = await WhatsAppTemplate.findAll({
+      where: { status: 'PENDING', metaTemplateId: { [Op.ne]: null } }
+    });
+
+    let changed = 0;
+
+    for (const template of templates) {
+      try {
+        await this.refreshStatus(template);
+        if (template.status !== 'PENDING') {
+          changed += 1;
+        }
+      } catch (error) {
+        logger.error(`Ошибка при проверке статуса шаблона Meta "${template.name}":`, error);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Применяет изменение статуса шаблона из вебхука message_template_status_update
+   * @param {Object} value - Данные события: message_template_id, event, reason
+   * @returns {Promise<Object|null>} Шаблон или null, если шаблон нам не известен
+   */
+  async applyStatusUpdate(value) {
+    if (!value || !value.message_template_id || !value.event) {
+      return null;
+    }
+
+    const template = await WhatsAppTemplate.findOne({
+      where: { metaTemplateId: String(value.message_template_id) }
+    });
+
+    if (!template) {
+      return null;
+    }
+
+    const event = String(value.event).toUpperCase();
+    const status = TEMPLATE_EVENT_STATUSES[event];
+
+    if (!status) {
+      const message = event === 'FLAGGED'
+        ? `Шаблон Meta "${template.name}" (${template.language}) помечен из-за низкого качества, статус не изменен`
+        : `Неизвестное событие "${event}" для шаблона Meta "${template.name}" (${template.language}), статус не изменен`;
+      logger.warn(value.reason && value.reason !== 'NONE' ? `${message}: ${value.reason}` : message);
+      return template.update({ lastSyncedAt: new Date() });
+    }
+
+    logger.info(`Статус шаблона Meta "${template.name}" (${template.language}) изменился: ${template.status} -> ${status} (событие ${event})`);
+
+    return template.update({
+      status,
+      rejectedReason: value.reason && value.reason !== 'NONE' ? value.reason : null,
+      lastSyncedAt: new Date()
+    });
+  }
+
+  /**
+   * Находит одобренный шаблон Meta, которым отправляется локальный шаблон.
+   * Если шаблона на языке клиента нет, используется шаблон на русском
+   * @param {Object} shop - Магазин
+   * @param {string} localTemplateName - Имя локального шаблона
+   * @param {string} language - Язык клиента
+   * @returns {Promise<Object|null>} Шаблон Meta
+   */
+  async findForSending(shop, localTemplateName, language = DEFAULT_LANGUAGE) {
+    const templates = await WhatsAppTemplate.findAll({
+      where: {
+        shopId: shop ? shop.id : null,
+        localTemplateName,
+        status: 'APPROVED'
+      }
+    });
+
+    const byLanguage = lang => templates.find(template => normalizeLanguage(template.language) === lang);
+    return byLanguage(language) || byLanguage(DEFAULT_LANGUAGE) || null;
+  }
+
+  /**
+   * Формирует компоненты сообщения для sendTemplateMessage из переменных заказа
+   * @param {Object} template - Шаблон Meta
+   * @param {Object} variables - Переменные заказа
+   * @param {string} [timeZone] - Часовой пояс, в котором показываются даты
+   * @returns {Array} Компоненты с параметрами
+   * @throws {WhatsAppSendError} Если сопоставление не настроено или значение параметра пустое
+   */
+  buildComponents(template, variables, timeZone = null) {
+    const mapping = template.parameterMapping || {};
+    const errors = this.validateMapping(template, mapping);
+
+    if (errors.length > 0) {
+      throw new WhatsAppSendError(`Шаблон Meta "${template.name}" настроен неверно: ${errors.join('; ')}`, { code: 'TEMPLATE_MAPPING_INVALID' });
+    }
+
+    const components = new Map();
+
+    for (const parameter of template.parameters) {
+      const variable = mapping[parameter.key];
+      const text = stringify(variables[variable], timeZone).trim();
+
+      // Meta отклоняет сообщения с пустыми параметрами
+      if (!text) {
+        throw new WhatsAppSendError(`Пустое значение переменной "${variable}" для параметра ${parameter.key} шаблона "${template.name}"`, { code: 'TEMPLATE_MAPPING_INVALID' });
+      }
+
+      const componentKey = parameter.buttonIndex === null ? parameter.component : `button.${parameter.buttonIndex}`;
+      if (!components.has(componentKey)) {
+        components.set(componentKey, parameter.buttonIndex === null
+          ? { type: parameter.component, parameters: [] }
+          : { type: 'button', sub_type: 'url', index: String(parameter.buttonIndex), parameters: [] });
+      }
+
+      components.get(componentKey).parameters.push({ type: 'text', text });
+    }
+
+    return [...components.values()];
+  }
+}
+
+module.exports = new WhatsAppTemplateService();
@@ -0,0 +1,303 @@
+// services/whatsappWebhookService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('./loggerService');
+const messageTrackingService = require('./messageTrackingService');
+const whatsappTemplateService = require('./whatsappTemplateService');
+const suppressionService = require('./suppressionService');
+const { Order, Message, Shop, WhatsAppEvent } = require('../models');
+const { normalizePhone, getPhoneSuffix } = require('../utils/phoneUtils');
+
+class WhatsAppWebhookService {
+  constructor() {
+    // Секрет приложения Meta для проверки подписи входящих запросов
+    this.appSecret = config.whatsapp.cloudApi.appSecret;
+
+    // Токен подтверждения, указанный при настройке вебхука
+    this.verifyToken = config.whatsapp.cloudApi.webhookVerifyToken;
+  }
+
+  /**
+   * Проверяет запрос подтверждения вебхука (hub.challenge)
+   * @param {string} mode - Значение hub.mode
+   * @param {string} token - Значение hub.verify_token
+   * @returns {boolean} Совпадает ли токен
+   */
+  isValidVerificationRequest(mode, token) {
+    if (!this.verifyToken) {
+      logger.error('WHATSAPP_WEBHOOK_VERIFY_TOKEN не задан, подтверждение вебхука невозможно');
+      return false;
+    }
+
+    return mode === 'subscribe' && token === this.verifyToken;
+  }
+
+  /**
+   * Проверяет подпись X-Hub-Signature-256 для тела запроса
+   * @param {Buffer} rawBody - Исходное тело запроса
+   * @param {string} signatureHeader - Значение заголовка X-Hub-Signature-256
+   * @returns {boolean} Верна ли подпись
+   */
+  verifySignature(rawBody, signatureHeader) {
+    if (!this.appSecret) {
+      logger.error('WHATSAPP_APP_SECRET не задан, подпись вебхука не может быть проверена');
+      return false;
+    }
+
+    if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.appSecret)
+      .update(rawBody)
+      .digest('hex');
+    const received = signatureHeader.substring('sha256='.length);
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+
+    if (expectedBuffer.length !== receivedBuffer.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Обрабатывает тело вебхука и сохраняет все события
+   * @param {Object} payload - Тело запроса от Meta
+   * @returns {Promise<Object>} Количество сохраненных сообщений и статусов
+   */
+  async processPayload(payload) {
+    const result = { messages: 0, statuses: 0, templates: 0 };
+
+    if (!payload || payload.object !== 'whatsapp_business_account' || !Array.isArray(payload.entry)) {
+      logger.warn('Получен вебхук WhatsApp неизвестного формата');
+      return result;
+    }
+
+    for (const entry of payload.entry) {
+      for (const change of entry.changes || []) {
+        // Meta сообщает о результате проверки шаблонов сообщений
+        if (change.field === 'message_template_status_update') {
+          try {
+            const updated = await whatsappTemplateService.applyStatusUpdate(change.value);
+            if (updated) result.templates += 1;
+          } catch (error) {
+            logger.error('Ошибка при обновлении статуса шаблона Meta:', error);
+          }
+          continue;
+        }
+
+        if (change.field !== 'messages' || !change.value) {
+          continue;
+        }
+
+        const value = change.value;
+        const contacts = value.contacts || [];
+        const shopId = await this.findShopIdByPhoneNumberId(value.metadata?.phone_number_id);
+
+        for (const message of value.messages || []) {
+          try {
+            const contact = contacts.find(item => item.wa_id === message.from);
+            const saved = await this.saveIncomingMessage(message, contact, shopId);
+            if (saved) result.messages += 1;
+          } catch (error) {
+            logger.error(`Ошибка при сохранении входящего сообщения ${message.id}:`, error);
+          }
+        }
+
+        for (const status of value.statuses || []) {
+          try {
+            const saved = await this.saveStatusUpdate(status, shopId);
+            if (saved) result.statuses += 1;
+          } catch (error) {
+            logger.error(`Ошибка при сохранении статуса сообщения ${status.id}:`, error);
+          }
+        }
+      }
+    }
+
+    logger.info(`Вебхук WhatsApp обработан: сообщений ${result.messages}, статусов ${result.statuses}, шаблонов ${result.templates}`);
+    return result;
+  }
+
+  /**
+   * Сохраняет входящее сообщение клиента
+   * @param {Object} message - Объект сообщения из вебхука
+   * @param {Object} contact - Данные контакта отправителя
+   * @param {number|null} shopId - Магазин, на номер которого пришло сообщение
+   * @returns {Promise<Object|null>} Сохраненное событие или null, если оно уже было получено
+   */
+  async saveIncomingMessage(message, contact, shopId = null) {
+    // Meta может повторно доставлять одно и то же событие
+    const existing = await WhatsAppEvent.findOne({
+      where: { eventType: 'message', wamid: message.id }
+    });
+    if (existing) {
+      return null;
+    }
+
+    const phoneNumber = normalizePhone(message.from);
+    const order = await this.findOrderByPhone(phoneNumber, shopId);
+
+    const event = await WhatsAppEvent.create({
+      eventType: 'message',
+      wamid: message.id,
+      phoneNumber,
+      contactName: contact?.profile?.name || null,
+      orderId: order ? order.id : null,
+      messageType: message.type,
+      body: this.extractMessageText(message),
+      eventTimestamp: this.parseTimestamp(message.timestamp),
+      payload: message
+    });
+
+    logger.info(`Получено сообщение от ${phoneNumber}${order ? ` (заказ ${order.kaspiOrderId})` : ''}`);
+
+    // Клиент может отказаться от сообщений, ответив стоп-словом
+    try {
+      await suppressionService.handleIncomingMessage(phoneNumber, event.body, shopId);
+    } catch (error) {
+      logger.error(`Ошибка при обработке отказа от сообщений номера ${phoneNumber}:`, error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Сохраняет изменение статуса исходящего сообщения
+   * @param {Object} status - Объект статуса из вебхука
+   * @param {number|null} shopId - Магазин, с номера которого отправлено сообщение
+   * @returns {Promise<Object|null>} Сохраненное событие или null, если оно уже было получено
+   */
+  async saveStatusUpdate(status, shopId = null) {
+    const existing = await WhatsAppEvent.findOne({
+      where: { eventType: 'status', wamid: status.id, status: status.status }
+    });
+    if (existing) {
+      return null;
+    }
+
+    const phoneNumber = normalizePhone(status.recipient_id);
+    const error = Array.isArray(status.errors) ? status.errors[0] : null;
+
+    // Заказ берем из отправленного сообщения, а если его нет - ищем по номеру
+    const message = await Message.findOne({ where: { wamid: status.id } });
+    let orderId = message ? message.orderId : null;
+    if (!orderId) {
+      const order = await this.findOrderByPhone(phoneNumber, shopId);
+      orderId = order ? order.id : null;
+    }
+
+    const event = await WhatsAppEvent.create({
+      eventType: 'status',
+      wamid: status.id,
+      phoneNumber,
+      orderId,
+      status: status.status,
+      errorCode: error ? String(error.code) : null,
+      errorMessage: error ? (error.error_data?.details || error.message || error.title) : null,
+      eventTimestamp: this.parseTimestamp(status.timestamp),
+      payload: status
+    });
+
+    await messageTrackingService.applyStatusUpdate({
+      wamid: event.wamid,
+      status: event.status,
+      timestamp: event.eventTimestamp,
+      errorCode: event.errorCode,
+      errorMessage: event.errorMessage
+    });
+
+    return event;
+  }
+
+  /**
+   * Находит магазин по ID номера WhatsApp, на который пришел вебхук
+   * @param {string} phoneNumberId - metadata.phone_number_id из вебхука
+   * @returns {Promise<number|null>} ID магазина или null
+   */
+  async findShopIdByPhoneNumberId(phoneNumberId) {
+    if (!phoneNumberId) {
+      return null;
+    }
+
+    try {
+      const shop = await Shop.findOne({ where: { whatsappPhoneNumberId: String(phoneNumberId) } });
+      return shop ? shop.id : null;
+    } catch (error) {
+      logger.error(`Ошибка при поиске магазина по номеру WhatsApp ${phoneNumberId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Находит последний заказ клиента по номеру телефона
+   * @param {string} phoneNumber - Номер телефона
+   * @param {number|null} shopId - Магазин, среди заказов которого выполняется поиск
+   * @returns {Promise<Object|null>} Заказ или null
+   */
+  async findOrderByPhone(phoneNumber, shopId = null) {
+    const suffix = getPhoneSuffix(phoneNumber);
+    if (!suffix) {
+      return null;
+    }
+
+    // В заказах номер хранится в формате Kaspi, поэтому сравниваем по последним 10 цифрам
+    const where = {
+      customerPhone: { [Op.like]: `%${suffix}` }
+    };
+    if (shopId) {
+      where.shopId = shopId;
+    }
+
+    try {
+      return await Order.findOne({
+        where,
+        order: [['orderDate', 'DESC']]
+      });
+    } catch (error) {
+      logger.error(`Ошибка при поиске заказа по номеру ${phoneNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Извлекает текст из входящего сообщения любого типа
+   * @param {Object} message - Объект сообщения из вебхука
+   * @returns {string|null} Текст сообщения
+   */
+  extractMessageText(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body || null;
+      case 'button':
+        return message.button?.text || message.button?.payload || null;
+      case 'interactive':
+        return message.interactive?.button_reply?.title
+          || message.interactive?.list_reply?.title
+          || null;
+      case 'image':
+      case 'video':
+      case 'document':
+        return message[message.type]?.caption || null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Преобразует UNIX-время из вебхука в дату
+   * @param {string|number} timestamp - Время в секундах
+   * @returns {Date} Дата события
+   */
+  parseTimestamp(timestamp) {
+    const seconds = parseInt(timestamp);
+    return isNaN(seconds) ? new Date() : new Date(seconds * 1000);
+  }
+}
+
+module.exports = new WhatsAppWebhookService();
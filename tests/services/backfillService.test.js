@@ -0,0 +1,97 @@
+// tests/services/backfillService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const backfillService = require('../../services/backfillService');
+const kaspiService = require('../../services/kaspiService');
+const shopService = require('../../services/shopService');
+
+// Загрузка из одной части периода; update сохраняет поля в объекте, как экземпляр модели
+const createJob = () => {
+  const job = {
+    id: 1,
+    shopId: 1,
+    status: 'running',
+    fromDate: new Date('2026-01-01T00:00:00Z'),
+    toDate: new Date('2026-01-05T00:00:00Z'),
+    statuses: ['COMPLETED'],
+    checkpoint: null,
+    startedAt: null,
+    completedChunks: 0,
+    chunkCount: 1,
+    ordersFetched: 0,
+    ordersSaved: 0
+  };
+  job.update = jest.fn(async fields => Object.assign(job, fields));
+  job.reload = jest.fn(async () => job);
+  return job;
+};
+
+describe('backfillService.run', () => {
+  let shopKaspiService;
+
+  beforeEach(() => {
+    const shop = { id: 1, name: 'Тестовый магазин', kaspiApiKey: 'test-key' };
+    shopKaspiService = kaspiService.forShop(shop);
+
+    jest.spyOn(shopService, 'getShopById').mockResolvedValue(shop);
+    jest.spyOn(kaspiService, 'forShop').mockReturnValue(shopKaspiService);
+    jest.spyOn(shopKaspiService, 'fetchOrdersForRange').mockResolvedValue([{ id: '1' }, { id: '2' }]);
+    // Паузы между частями и перед повторной попыткой не ждем
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('сдвигает отметку, если все заказы части сохранены', async () => {
+    jest.spyOn(shopKaspiService, 'processOrders').mockImplementation(async (orders, result) => {
+      result.failed = 0;
+      return orders;
+    });
+    const job = createJob();
+
+    await backfillService.run(job);
+
+    expect(job.status).toBe('completed');
+    expect(job.checkpoint).toEqual(job.toDate);
+    expect(job.ordersSaved).toBe(2);
+  });
+
+  test('часть с несохраненными заказами загружается повторно и не сдвигает отметку', async () => {
+    jest.spyOn(shopKaspiService, 'processOrders').mockImplementation(async (orders, result) => {
+      result.failed = 1;
+      return orders.slice(1);
+    });
+    const job = createJob();
+
+    await backfillService.run(job);
+
+    expect(shopKaspiService.processOrders).toHaveBeenCalledTimes(3);
+    expect(job.status).toBe('failed');
+    expect(job.lastError).toMatch('Не удалось сохранить');
+    expect(job.checkpoint).toBeNull();
+    expect(job.completedChunks).toBe(0);
+  });
+
+  test('загрузка, отмененная во время паузы перед повторной попыткой, не помечается ошибкой', async () => {
+    const job = createJob();
+    jest.spyOn(shopKaspiService, 'processOrders').mockImplementation(async (orders, result) => {
+      result.failed = 1;
+      // Отмена из API приходит, пока загрузка ждет повторной попытки
+      job.status = 'cancelled';
+      return [];
+    });
+
+    await backfillService.run(job);
+
+    expect(shopKaspiService.processOrders).toHaveBeenCalledTimes(1);
+    expect(job.status).toBe('cancelled');
+    expect(job.update).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+  });
+});
@@ -0,0 +1,198 @@
+// tests/services/kaspiService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const kaspiService = require('../../services/kaspiService');
+const customerService = require('../../services/customerService');
+const { Order } = require('../../models');
+
+const range = {
+  fromDate: new Date('2026-01-01T00:00:00Z'),
+  toDate: new Date('2026-01-10T00:00:00Z')
+};
+
+// Ответ Kaspi API: одна страница из pageCount
+const page = (ids, pageCount) => ({
+  data: {
+    data: ids.map(id => ({ id, attributes: {} })),
+    meta: { pageCount, totalCount: ids.length * pageCount }
+  }
+});
+
+describe('kaspiService.fetchOrdersForRange', () => {
+  let service;
+
+  beforeEach(() => {
+    service = kaspiService.forShop({ id: 1, kaspiApiKey: 'test-key' });
+    service.axiosInstance = { get: jest.fn() };
+  });
+
+  test('период загружен полностью, если лимит страниц равен количеству страниц', async () => {
+    service.axiosInstance.get
+      .mockResolvedValueOnce(page(['1'], 2))
+      .mockResolvedValueOnce(page(['2'], 2));
+
+    const pageBudget = { remaining: 2 };
+    const orders = await service.fetchOrdersForRange(range, pageBudget, 'COMPLETED');
+
+    expect(orders.map(order => order.id)).toEqual(['1', '2']);
+    expect(pageBudget.remaining).toBe(0);
+    expect(pageBudget.incomplete).toBeUndefined();
+  });
+
+  test('статус, на который не осталось страниц, помечает период как неполный', async () => {
+    service.axiosInstance.get
+      .mockResolvedValueOnce(page(['1'], 1))
+      .mockResolvedValueOnce(page(['2'], 1));
+
+    const pageBudget = { remaining: 2 };
+    await service.fetchOrdersForRange(range, pageBudget, 'COMPLETED');
+    await service.fetchOrdersForRange(range, pageBudget, 'CANCELLED');
+    expect(pageBudget.incomplete).toBeUndefined();
+
+    const orders = await service.fetchOrdersForRange(range, pageBudget, 'RETURNED');
+
+    expect(orders).toEqual([]);
+    expect(service.axiosInstance.get).toHaveBeenCalledTimes(2);
+    expect(pageBudget.incomplete).toBe(true);
+  });
+
+  test('fetchNewOrders не сдвигает loadedTo, если на часть статусов не хватило страниц', async () => {
+    service.maxPagesPerRun = 1;
+    service.axiosInstance.get.mockResolvedValue(page(['1'], 1));
+
+    const progress = {};
+    await service.fetchNewOrders(range.fromDate, range.toDate, ['COMPLETED', 'CANCELLED'], progress);
+
+    expect(service.axiosInstance.get).toHaveBeenCalledTimes(1);
+    expect(progress.loadedTo).toBeNull();
+  });
+});
+
+describe('kaspiService.refreshOpenOrders', () => {
+  let service;
+
+  beforeEach(() => {
+    service = kaspiService.forShop({ id: 1, kaspiApiKey: 'test-key', reviewDelayHours: 72 });
+    service.axiosInstance = { get: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Заказ, сохраненный принятым несколько дней назад, вне окна синхронизации по дате создания
+  const acceptedOrder = () => ({
+    kaspiOrderId: '100',
+    shopId: 1,
+    orderDate: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
+    orderStatus: 'accepted',
+    kaspiStatus: 'ACCEPTED_BY_MERCHANT',
+    deliveredAt: null,
+    reviewNotBefore: null,
+    deliveryAddress: 'Алматы',
+    update: jest.fn().mockResolvedValue(),
+    changed: jest.fn(),
+    save: jest.fn().mockResolvedValue()
+  });
+
+  test('заказ, завершенный после окна синхронизации, переходит в completed', async () => {
+    const order = acceptedOrder();
+    const findAll = jest.spyOn(Order, 'findAll').mockResolvedValue([order]);
+    const plannedDeliveryDate = new Date(Date.now() - 60 * 60 * 1000);
+    service.axiosInstance.get.mockResolvedValue({
+      data: { data: { id: '100', attributes: { status: 'COMPLETED', state: 'ARCHIVE', plannedDeliveryDate: plannedDeliveryDate.getTime() } } }
+    });
+
+    const summary = await service.refreshOpenOrders();
+
+    expect(findAll.mock.calls[0][0].where.shopId).toBe(1);
+    expect(service.axiosInstance.get).toHaveBeenCalledWith('/api/v2/orders/100');
+    expect(summary).toEqual({ checked: 1, updated: 1, failed: 0 });
+
+    const updates = order.update.mock.calls[0][0];
+    expect(updates.orderStatus).toBe('completed');
+    expect(updates.kaspiStatus).toBe('COMPLETED');
+    expect(updates.deliveredAt).toEqual(plannedDeliveryDate);
+    expect(updates.reviewNotBefore).toEqual(new Date(plannedDeliveryDate.getTime() + 72 * 60 * 60 * 1000));
+  });
+
+  test('заказ без изменений отмечается проверенным, ответ без статуса не меняет заказ', async () => {
+    const unchanged = acceptedOrder();
+    const withoutStatus = { ...acceptedOrder(), kaspiOrderId: '200' };
+    jest.spyOn(Order, 'findAll').mockResolvedValue([unchanged, withoutStatus]);
+    service.axiosInstance.get
+      .mockResolvedValueOnce({ data: { data: { id: '100', attributes: { status: 'ACCEPTED_BY_MERCHANT' } } } })
+      .mockResolvedValueOnce({ data: { data: { id: '200', attributes: {} } } });
+
+    const summary = await service.refreshOpenOrders();
+
+    expect(summary).toEqual({ checked: 1, updated: 0, failed: 1 });
+    expect(unchanged.update).not.toHaveBeenCalled();
+    expect(unchanged.changed).toHaveBeenCalledWith('updatedAt', true);
+    expect(unchanged.save).toHaveBeenCalled();
+    expect(withoutStatus.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('kaspiService.createOrder', () => {
+  let service;
+
+  beforeEach(() => {
+    service = kaspiService.forShop({ id: 1, kaspiApiKey: 'test-key', reviewDelayHours: 72 });
+    jest.spyOn(service, 'findPreferredLanguage').mockResolvedValue(null);
+    jest.spyOn(customerService, 'addOrder').mockResolvedValue();
+    jest.spyOn(Order, 'create').mockImplementation(async data => data);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('старый завершенный заказ без плановой даты доставки считается доставленным в день оформления', async () => {
+    const creationDate = new Date('2025-03-01T10:00:00Z');
+
+    const order = await service.createOrder({
+      id: '300',
+      attributes: {
+        status: 'COMPLETED',
+        state: 'ARCHIVE',
+        creationDate: creationDate.getTime(),
+        totalPrice: 5000,
+        customer: { cellPhone: '77011234567', firstName: 'Иван' }
+      }
+    }, []);
+
+    expect(order.orderStatus).toBe('completed');
+    expect(order.deliveredAt).toEqual(creationDate);
+    expect(order.reviewNotBefore).toEqual(new Date(creationDate.getTime() + 72 * 60 * 60 * 1000));
+  });
+});
+
+describe('kaspiService.processOrders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('считает заказы, которые не удалось сохранить', async () => {
+    const service = kaspiService.forShop({ id: 1, kaspiApiKey: 'test-key' });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+    jest.spyOn(service, 'getOrderEntries').mockResolvedValue([]);
+    jest.spyOn(service, 'createOrder')
+      .mockResolvedValueOnce({ kaspiOrderId: '1' })
+      .mockRejectedValueOnce(new Error('Deadlock'));
+
+    const result = {};
+    const saved = await service.processOrders([
+      { id: '1', attributes: { customer: {} } },
+      { id: '2', attributes: { customer: {} } }
+    ], result);
+
+    expect(saved).toHaveLength(1);
+    expect(result.failed).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+// tests/services/notificationScheduler.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const kaspiService = require('../../services/kaspiService');
+const notificationScheduler = require('../../services/notificationScheduler');
+
+describe('notificationScheduler.checkShopOrders', () => {
+  const lastOrderSyncAt = new Date('2026-10-19T08:00:00Z');
+  let shop;
+  let shopKaspiService;
+
+  beforeEach(() => {
+    shop = {
+      id: 1,
+      name: 'Тестовый магазин',
+      kaspiApiKey: 'test-key',
+      lastOrderSyncAt,
+      update: jest.fn().mockResolvedValue()
+    };
+
+    shopKaspiService = kaspiService.forShop(shop);
+    jest.spyOn(kaspiService, 'forShop').mockReturnValue(shopKaspiService);
+    jest.spyOn(shopKaspiService, 'fetchNewOrders').mockImplementation(async (fromDate, toDate, statuses, progress) => {
+      progress.loadedTo = toDate;
+      return [{ id: '1', attributes: {} }, { id: '2', attributes: {} }];
+    });
+    jest.spyOn(shopKaspiService, 'refreshOpenOrders').mockResolvedValue({ checked: 0, updated: 0, failed: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('сдвигает отметку синхронизации, если все заказы сохранены', async () => {
+    jest.spyOn(shopKaspiService, 'processOrders').mockImplementation(async (orders, result) => {
+      result.failed = 0;
+      return orders;
+    });
+
+    await notificationScheduler.checkShopOrders(shop);
+
+    expect(shop.update).toHaveBeenCalledTimes(1);
+    expect(shop.update.mock.calls[0][0].lastOrderSyncAt.getTime()).toBeGreaterThan(lastOrderSyncAt.getTime());
+  });
+
+  test('не сдвигает отметку синхронизации, если часть заказов не сохранена', async () => {
+    jest.spyOn(shopKaspiService, 'processOrders').mockImplementation(async (orders, result) => {
+      result.failed = 1;
+      return orders.slice(1);
+    });
+
+    await notificationScheduler.checkShopOrders(shop);
+
+    expect(shop.update).not.toHaveBeenCalled();
+  });
+
+  test('обновляет статусы незавершенных заказов вместе с загрузкой новых', async () => {
+    jest.spyOn(shopKaspiService, 'processOrders').mockResolvedValue([]);
+
+    await notificationScheduler.checkShopOrders(shop);
+
+    expect(shopKaspiService.refreshOpenOrders).toHaveBeenCalledTimes(1);
+  });
+});
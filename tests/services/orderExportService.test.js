@@ -0,0 +1,109 @@
+// tests/services/orderExportService.test.js
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const orderExportService = require('../../services/orderExportService');
+
+const createOrder = (id, fields = {}) => ({
+  id,
+  kaspiOrderId: String(id),
+  orderDate: '2026-10-01 10:00:00',
+  orderStatus: 'completed',
+  customerName: 'Иван Петров',
+  customerPhone: '77011234567',
+  orderAmount: 1000,
+  orderItems: [{ code: 'A1', name: 'Чайник', quantity: 1, unitPrice: 1000, totalPrice: 1000 }],
+  notificationStatus: 'sent',
+  ...fields
+});
+
+// Заказы пачками, между пачками - ожидание, как при чтении из базы
+const mockOrders = (orders, batchSize = 500) => {
+  jest.spyOn(orderExportService, 'iterateOrders').mockImplementation(async function* () {
+    for (let i = 0; i < orders.length; i++) {
+      if (i % batchSize === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      yield orders[i];
+    }
+  });
+};
+
+// Собирает все, что выгрузка записала в поток
+const collect = (stream) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('orderExportService: защита от формул', () => {
+  const order = createOrder(1, {
+    customerName: '=HYPERLINK("http://example.com","Нажмите")',
+    customerPhone: '+77011234567',
+    orderAmount: -5,
+    orderItems: [{ code: '@SUM(A1)', name: '-2+3', quantity: 1, unitPrice: 1000, totalPrice: 1000 }]
+  });
+
+  test('CSV: текст, начинающийся с =, +, - или @, выгружается с апострофом', async () => {
+    mockOrders([order]);
+    const stream = new PassThrough();
+    const read = collect(stream);
+
+    await orderExportService.writeCsv({}, stream);
+
+    const line = read().toString('utf8').split('\r\n')[1];
+    expect(line).toContain('"\'=HYPERLINK(""http://example.com"",""Нажмите"")"');
+    expect(line).toContain(',\'+77011234567,');
+    expect(line).toContain(',\'@SUM(A1),\'-2+3,');
+    // Числа не меняются
+    expect(line).toContain(',-5,');
+  });
+
+  test('XLSX: текст, начинающийся с =, +, - или @, сохраняется с апострофом', async () => {
+    mockOrders([order]);
+    const stream = new PassThrough();
+    const read = collect(stream);
+
+    await orderExportService.writeXlsx({}, stream);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(read());
+    const row = workbook.worksheets[0].getRow(2);
+
+    expect(row.getCell(4).value).toBe('\'=HYPERLINK("http://example.com","Нажмите")');
+    expect(row.getCell(5).value).toBe('\'+77011234567');
+    expect(row.getCell(6).value).toBe(-5);
+    expect(row.getCell(7).value).toBe('\'@SUM(A1)');
+    expect(row.getCell(8).value).toBe('\'-2+3');
+  });
+});
+
+describe('orderExportService.writeXlsx', () => {
+  test('ждет медленного клиента и прерывает выгрузку после его отключения', async () => {
+    // Разные названия товаров, чтобы архив XLSX не сжал выгрузку до нескольких килобайт
+    mockOrders(Array.from({ length: 5000 }, (value, index) => createOrder(index + 1, {
+      orderItems: [{ code: `A${index}`, name: crypto.randomBytes(32).toString('hex'), quantity: 1, unitPrice: 1000, totalPrice: 1000 }]
+    })));
+    // Клиент ничего не читает: без ожидания вся выгрузка накопилась бы в памяти
+    const stream = new PassThrough();
+
+    let finished = false;
+    const exported = orderExportService.writeXlsx({}, stream).finally(() => { finished = true; });
+
+    // Ждем, пока буфер потока заполнится
+    for (let i = 0; i < 300 && !finished && !stream.writableNeedDrain; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(stream.writableNeedDrain).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(finished).toBe(false);
+    stream.destroy();
+
+    await expect(exported).rejects.toThrow('Соединение закрыто до окончания выгрузки');
+  });
+});
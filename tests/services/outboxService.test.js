@@ -0,0 +1,149 @@
+// tests/services/outboxService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const outboxService = require('../../services/outboxService');
+const notificationDispatcher = require('../../services/notificationDispatcher');
+const frequencyCapService = require('../../services/frequencyCapService');
+const shopService = require('../../services/shopService');
+const { Order, OutboxMessage } = require('../../models');
+const { WhatsAppSendError } = require('../../utils/whatsappErrors');
+
+// Сообщение очереди; update и increment меняют поля в объекте, как экземпляр модели
+const createItem = (fields = {}) => {
+  const item = { id: 1, orderId: 10, templateName: 'reviewRequest', status: 'in_flight', attempts: 0, ...fields };
+  item.update = jest.fn(async updates => Object.assign(item, updates));
+  item.increment = jest.fn(async field => { item[field] += 1; });
+  item.reload = jest.fn(async () => item);
+  return item;
+};
+
+const createOrder = () => ({
+  id: 10,
+  shopId: 1,
+  kaspiOrderId: '100',
+  notificationStatus: 'queued',
+  update: jest.fn().mockResolvedValue(),
+  increment: jest.fn().mockResolvedValue()
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('outboxService.enqueue', () => {
+  test('повторная постановка того же заказа и шаблона не создает второе сообщение', async () => {
+    const order = createOrder();
+    const existing = createItem({ status: 'queued' });
+    const findOne = jest.spyOn(OutboxMessage, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(existing);
+    const create = jest.spyOn(OutboxMessage, 'create').mockResolvedValue(existing);
+
+    const first = await outboxService.enqueue(order, 'reviewRequest');
+    const second = await outboxService.enqueue(order, 'reviewRequest');
+
+    expect(findOne).toHaveBeenNthCalledWith(1, { where: { idempotencyKey: '10:reviewRequest' } });
+    expect(findOne).toHaveBeenNthCalledWith(2, { where: { idempotencyKey: '10:reviewRequest' } });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0].idempotencyKey).toBe('10:reviewRequest');
+    expect(first.created).toBe(true);
+    expect(second).toEqual({ item: existing, created: false });
+  });
+
+  test('параллельная постановка возвращает уже созданное сообщение', async () => {
+    const existing = createItem({ status: 'queued' });
+    jest.spyOn(OutboxMessage, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(existing);
+    jest.spyOn(OutboxMessage, 'create').mockRejectedValue(Object.assign(new Error('Duplicate'), { name: 'SequelizeUniqueConstraintError' }));
+
+    const result = await outboxService.enqueue(createOrder(), 'reviewRequest');
+
+    expect(result).toEqual({ item: existing, created: false });
+  });
+});
+
+describe('outboxService.leaseBatch', () => {
+  test('берет готовые сообщения и сообщения с истекшей арендой', async () => {
+    const update = jest.spyOn(OutboxMessage, 'update').mockResolvedValue([2]);
+    const findAll = jest.spyOn(OutboxMessage, 'findAll').mockResolvedValue([]);
+    const before = Date.now();
+
+    await outboxService.leaseBatch(5);
+
+    const [fields, options] = update.mock.calls[0];
+    const [queued, expired] = options.where[Op.or];
+
+    expect(fields.status).toBe('in_flight');
+    expect(fields.leaseExpiresAt.getTime()).toBeGreaterThanOrEqual(before + outboxService.leaseTimeoutMs);
+    expect(options.limit).toBe(5);
+    expect(queued.status).toBe('queued');
+    expect(queued.availableAt[Op.lte].getTime()).toBeGreaterThanOrEqual(before);
+    expect(expired.status).toBe('in_flight');
+    expect(expired.leaseExpiresAt[Op.lt].getTime()).toBeGreaterThanOrEqual(before);
+
+    // Возвращаются только сообщения, закрепленные этим проходом
+    expect(findAll.mock.calls[0][0].where).toEqual({ leaseToken: fields.leaseToken, status: 'in_flight' });
+  });
+});
+
+describe('outboxService.processItem', () => {
+  let order;
+
+  beforeEach(() => {
+    order = createOrder();
+    jest.spyOn(Order, 'findByPk').mockResolvedValue(order);
+    jest.spyOn(shopService, 'getShopById').mockResolvedValue({ id: 1 });
+    jest.spyOn(shopService, 'checkSendWindow').mockResolvedValue({ allowed: true });
+    jest.spyOn(frequencyCapService, 'check').mockResolvedValue(null);
+  });
+
+  test('временная ошибка откладывает повтор с растущей задержкой', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    jest.spyOn(notificationDispatcher, 'sendOrderNotification')
+      .mockRejectedValue(new WhatsAppSendError('Rate limit', { code: '130429' }));
+
+    const item = createItem({ attempts: 1 });
+    const before = Date.now();
+    const status = await outboxService.processItem(item);
+
+    // Вторая попытка: базовая задержка, умноженная на 2
+    const expectedDelay = Math.min(outboxService.retryBaseDelayMs * 2, outboxService.retryMaxDelayMs);
+    expect(status).toBe('retry');
+    expect(item.status).toBe('queued');
+    expect(item.attempts).toBe(2);
+    expect(item.errorCode).toBe('130429');
+    expect(item.leaseToken).toBeNull();
+    expect(item.availableAt.getTime() - before).toBeGreaterThanOrEqual(expectedDelay);
+    expect(item.availableAt.getTime() - Date.now()).toBeLessThanOrEqual(expectedDelay);
+    expect(order.update).toHaveBeenCalledWith({ notificationStatus: 'queued', notificationError: 'Rate limit' });
+  });
+
+  test('после последней попытки с временной ошибкой сообщение становится недоставленным', async () => {
+    jest.spyOn(notificationDispatcher, 'sendOrderNotification')
+      .mockRejectedValue(new WhatsAppSendError('Service unavailable', { code: '131016' }));
+
+    const item = createItem({ attempts: outboxService.maxAttempts - 1 });
+    const status = await outboxService.processItem(item);
+
+    expect(status).toBe('dead');
+    expect(item.status).toBe('dead');
+    expect(item.attempts).toBe(outboxService.maxAttempts);
+    expect(item.retryable).toBe(true);
+    expect(item.processedAt).toBeInstanceOf(Date);
+    expect(order.update).toHaveBeenCalledWith({ notificationStatus: 'failed', notificationError: 'Service unavailable' });
+  });
+
+  test('задержка повтора не превышает максимальную', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(outboxService.getRetryDelay(1)).toBe(outboxService.retryBaseDelayMs);
+    expect(outboxService.getRetryDelay(50)).toBe(outboxService.retryMaxDelayMs);
+  });
+});
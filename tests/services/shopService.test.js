@@ -0,0 +1,104 @@
+// tests/services/shopService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const shopService = require('../../services/shopService');
+const { BlackoutDate } = require('../../models');
+
+// Магазин в Алматы (UTC+5): по умолчанию с 9 до 21, в субботу с 10 до 18, в воскресенье выходной
+const shop = {
+  id: 1,
+  startHour: 9,
+  endHour: 21,
+  timezone: 'Asia/Almaty',
+  weeklySchedule: { sat: { startHour: 10, endHour: 18 }, sun: null }
+};
+
+describe('shopService.checkSendWindow', () => {
+  beforeEach(() => {
+    jest.spyOn(BlackoutDate, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const isAllowed = async (time) => (await shopService.checkSendWindow(shop, new Date(time))).allowed;
+
+  test('в будний день действуют часы магазина по его часовому поясу', async () => {
+    // Понедельник 19.10.2026
+    expect(await isAllowed('2026-10-19T03:59:00Z')).toBe(false);
+    expect(await isAllowed('2026-10-19T04:00:00Z')).toBe(true);
+    expect(await isAllowed('2026-10-19T15:59:00Z')).toBe(true);
+    expect(await isAllowed('2026-10-19T16:00:00Z')).toBe(false);
+  });
+
+  test('в субботу действует расписание дня', async () => {
+    expect(await isAllowed('2026-10-24T04:30:00Z')).toBe(false);
+    expect(await isAllowed('2026-10-24T05:00:00Z')).toBe(true);
+    expect(await isAllowed('2026-10-24T13:00:00Z')).toBe(false);
+  });
+
+  test('в день с расписанием null отправка запрещена', async () => {
+    const result = await shopService.checkSendWindow(shop, new Date('2026-10-25T08:00:00Z'));
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toMatch('в этот день недели отправка не разрешена');
+    expect(result.window.weekday).toBe('sun');
+  });
+
+  test('день недели определяется по времени магазина, а не UTC', async () => {
+    // Воскресенье 23:30 UTC - понедельник 04:30 в Алматы: рабочий день, но до начала окна
+    const beforeWindow = await shopService.checkSendWindow(shop, new Date('2026-10-25T23:30:00Z'));
+    expect(beforeWindow.window).toMatchObject({ date: '2026-10-26', weekday: 'mon', startHour: 9 });
+    expect(beforeWindow.allowed).toBe(false);
+
+    // Пятница 20:00 UTC - суббота 01:00 в Алматы: действует субботнее расписание
+    const saturday = await shopService.checkSendWindow(shop, new Date('2026-10-23T20:00:00Z'));
+    expect(saturday.window).toMatchObject({ date: '2026-10-24', weekday: 'sat', startHour: 10, endHour: 18 });
+  });
+
+  test('в праздник отправка запрещена', async () => {
+    BlackoutDate.findOne.mockResolvedValue({ date: '2026-10-19', name: 'Праздник' });
+
+    const result = await shopService.checkSendWindow(shop, new Date('2026-10-19T06:00:00Z'));
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toMatch('Праздник');
+    expect(BlackoutDate.findOne.mock.calls[0][0].where.date).toBe('2026-10-19');
+  });
+});
+
+describe('shopService.getNextSendTime', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('внутри окна возвращает переданное время', async () => {
+    jest.spyOn(BlackoutDate, 'findOne').mockResolvedValue(null);
+    const date = new Date('2026-10-19T06:00:00Z');
+
+    expect(await shopService.getNextSendTime(shop, date)).toEqual(date);
+  });
+
+  test('после субботнего окна пропускает воскресенье', async () => {
+    jest.spyOn(BlackoutDate, 'findOne').mockResolvedValue(null);
+
+    // Суббота 19:00 в Алматы -> понедельник 09:00
+    expect(await shopService.getNextSendTime(shop, new Date('2026-10-24T14:00:00Z')))
+      .toEqual(new Date('2026-10-26T04:00:00Z'));
+  });
+
+  test('пропускает праздники', async () => {
+    jest.spyOn(BlackoutDate, 'findOne').mockImplementation(async ({ where }) => (
+      where.date === '2026-10-26' ? { date: where.date } : null
+    ));
+
+    expect(await shopService.getNextSendTime(shop, new Date('2026-10-24T14:00:00Z')))
+      .toEqual(new Date('2026-10-27T04:00:00Z'));
+  });
+});
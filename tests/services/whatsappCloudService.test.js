@@ -0,0 +1,90 @@
+// tests/services/whatsappCloudService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const whatsappCloudService = require('../../services/whatsappCloudService');
+const { WhatsAppSendError } = require('../../utils/whatsappErrors');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('whatsappCloudService.sendReviewRequestMessage', () => {
+  const order = {
+    id: 1,
+    kaspiOrderId: '100',
+    customerName: 'Иван Петров',
+    customerPhone: '77011234567',
+    orderItems: [{ code: 'A1', name: 'Чайник', quantity: 1, totalPrice: 1000 }]
+  };
+  const reviewLink = 'https://kaspi.kz/shop/review/productreview?productCode=A1';
+  const textResult = { success: true, messageId: 'wamid.text', recipient: '77011234567' };
+
+  let sendText;
+
+  beforeEach(() => {
+    sendText = jest.spyOn(whatsappCloudService, 'sendTextMessage').mockResolvedValue(textResult);
+  });
+
+  test('без настроенного шаблона Meta отправляет текст', async () => {
+    jest.spyOn(whatsappCloudService, 'sendMappedTemplate').mockResolvedValue(null);
+
+    await expect(whatsappCloudService.sendReviewRequestMessage(order, reviewLink, 'ru')).resolves.toBe(textResult);
+    expect(sendText).toHaveBeenCalledTimes(1);
+  });
+
+  test('при неверном сопоставлении переменных шаблона отправляет текст', async () => {
+    jest.spyOn(whatsappCloudService, 'sendMappedTemplate')
+      .mockRejectedValue(new WhatsAppSendError('Шаблон настроен неверно', { code: 'TEMPLATE_MAPPING_INVALID' }));
+
+    await expect(whatsappCloudService.sendReviewRequestMessage(order, reviewLink, 'ru')).resolves.toBe(textResult);
+    expect(sendText).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['таймаут', { code: 'ETIMEDOUT' }],
+    ['ошибка 5xx', { code: '131000', httpStatus: 500 }],
+    ['ошибка получателя', { code: '131026', httpStatus: 400 }]
+  ])('%s при отправке шаблона не приводит к отправке текста', async (name, details) => {
+    const error = new WhatsAppSendError('Не удалось отправить шаблон', details);
+    jest.spyOn(whatsappCloudService, 'sendMappedTemplate').mockRejectedValue(error);
+
+    await expect(whatsappCloudService.sendReviewRequestMessage(order, reviewLink, 'ru')).rejects.toBe(error);
+    expect(sendText).not.toHaveBeenCalled();
+  });
+});
+
+describe('whatsappCloudService.forShop', () => {
+  beforeEach(() => {
+    // Новые экземпляры не обращаются к Graph API
+    jest.spyOn(Object.getPrototypeOf(whatsappCloudService), 'initService').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    whatsappCloudService.shopInstances.clear();
+  });
+
+  test('магазин без своего номера получает один и тот же экземпляр', () => {
+    const shop = { id: 1, whatsappPhoneNumberId: null, whatsappAccessToken: null };
+
+    const first = whatsappCloudService.forShop(shop);
+    const second = whatsappCloudService.forShop({ ...shop, companyName: 'Магазин' });
+
+    expect(second).toBe(first);
+    expect(second.companyName).toBe('Магазин');
+    expect(Object.getPrototypeOf(whatsappCloudService).initService).toHaveBeenCalledTimes(1);
+  });
+
+  test('новый номер или токен магазина создает новый экземпляр', () => {
+    const shop = { id: 2, whatsappPhoneNumberId: '111', whatsappAccessToken: 'token-1' };
+
+    const first = whatsappCloudService.forShop(shop);
+
+    expect(whatsappCloudService.forShop({ ...shop })).toBe(first);
+    expect(whatsappCloudService.forShop({ ...shop, whatsappAccessToken: 'token-2' })).not.toBe(first);
+  });
+});
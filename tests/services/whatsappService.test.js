@@ -0,0 +1,57 @@
+// tests/services/whatsappService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const whatsappService = require('../../services/whatsappService');
+const suppressionService = require('../../services/suppressionService');
+
+describe('whatsappService: отказ от сообщений магазина', () => {
+  const order = {
+    id: 1,
+    shopId: 7,
+    kaspiOrderId: '100',
+    customerName: 'Иван Петров',
+    customerPhone: '+7 701 123-45-67',
+    orderItems: [
+      { code: 'A1', name: 'Чайник', quantity: 1, totalPrice: 1000 },
+      { code: 'B2', name: 'Утюг', quantity: 1, totalPrice: 2000 }
+    ]
+  };
+
+  let isSuppressed;
+
+  beforeEach(() => {
+    whatsappService.isWhatsAppVerified = true;
+    isSuppressed = jest.spyOn(suppressionService, 'isSuppressed').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    whatsappService.isWhatsAppVerified = false;
+    jest.restoreAllMocks();
+  });
+
+  test('запрос отзыва проверяет отказ от сообщений магазина заказа', async () => {
+    await whatsappService.sendReviewRequest(order, { id: 7, reviewRequestMode: 'perProduct' });
+
+    expect(isSuppressed).toHaveBeenCalledTimes(2);
+    expect(isSuppressed).toHaveBeenNthCalledWith(1, '77011234567', 7);
+    expect(isSuppressed).toHaveBeenNthCalledWith(2, '77011234567', 7);
+  });
+
+  test('без магазина берет магазин из заказа', async () => {
+    await whatsappService.sendReviewRequest(order);
+
+    expect(isSuppressed).toHaveBeenCalledWith('77011234567', 7);
+  });
+
+  test('клиент, отказавшийся от сообщений магазина, не получает сообщение', async () => {
+    isSuppressed.mockResolvedValue(true);
+
+    await expect(whatsappService.sendMessage(order.customerPhone, 'Текст', [], 7))
+      .rejects.toMatchObject({ code: 'PHONE_SUPPRESSED' });
+  });
+});
@@ -0,0 +1,60 @@
+// tests/services/whatsappWebhookService.test.js
+jest.mock('../../services/loggerService', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const crypto = require('crypto');
+const whatsappWebhookService = require('../../services/whatsappWebhookService');
+
+const APP_SECRET = 'test-app-secret';
+
+// Подпись тела запроса так, как ее формирует Meta
+const sign = (body, secret = APP_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('whatsappWebhookService.verifySignature', () => {
+  const rawBody = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+  let appSecret;
+
+  beforeEach(() => {
+    appSecret = whatsappWebhookService.appSecret;
+    whatsappWebhookService.appSecret = APP_SECRET;
+  });
+
+  afterEach(() => {
+    whatsappWebhookService.appSecret = appSecret;
+  });
+
+  test('принимает подпись исходного тела запроса', () => {
+    expect(whatsappWebhookService.verifySignature(rawBody, sign(rawBody))).toBe(true);
+  });
+
+  test('отклоняет подпись другого тела или другим секретом', () => {
+    const otherBody = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [{}] }));
+
+    expect(whatsappWebhookService.verifySignature(rawBody, sign(otherBody))).toBe(false);
+    expect(whatsappWebhookService.verifySignature(rawBody, sign(rawBody, 'other-secret'))).toBe(false);
+  });
+
+  test('отклоняет запрос без заголовка или без префикса sha256=', () => {
+    expect(whatsappWebhookService.verifySignature(rawBody, undefined)).toBe(false);
+    expect(whatsappWebhookService.verifySignature(rawBody, '')).toBe(false);
+    expect(whatsappWebhookService.verifySignature(rawBody, sign(rawBody).replace('sha256=', ''))).toBe(false);
+  });
+
+  test('отклоняет подпись неверной длины', () => {
+    const signature = sign(rawBody);
+
+    expect(whatsappWebhookService.verifySignature(rawBody, signature.slice(0, -2))).toBe(false);
+    expect(whatsappWebhookService.verifySignature(rawBody, `${signature}00`)).toBe(false);
+    expect(whatsappWebhookService.verifySignature(rawBody, 'sha256=zz')).toBe(false);
+  });
+
+  test('не принимает запросы, если секрет приложения не задан', () => {
+    whatsappWebhookService.appSecret = undefined;
+
+    expect(whatsappWebhookService.verifySignature(rawBody, sign(rawBody))).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+// tests/utils/templateEngine.test.js
+const { render, validate, TemplateError } = require('../../utils/templateEngine');
+
+describe('templateEngine.render', () => {
+  const order = {
+    customerName: 'Иван Петров',
+    orderAmount: 1234567.5,
+    deliveryAddress: '',
+    orderItems: [
+      { name: 'Чайник', quantity: 1 },
+      { name: 'Утюг', quantity: 2 }
+    ]
+  };
+
+  test('подставляет переменные и вложенные пути', () => {
+    expect(render('{{customerName}}: {{orderItems.length}} {{item.name}}', { ...order, item: { name: 'Чайник' } }))
+      .toBe('Иван Петров: 2 Чайник');
+  });
+
+  test('#each перебирает элементы с @index и @number, пустой список выводит {{else}}', () => {
+    const template = '{{#each orderItems}}{{@number}}. {{name}} x{{quantity}} ({{@index}}); {{else}}нет товаров{{/each}}';
+
+    expect(render(template, order)).toBe('1. Чайник x1 (0); 2. Утюг x2 (1); ');
+    expect(render(template, { orderItems: [] })).toBe('нет товаров');
+  });
+
+  test('#each видит переменные внешнего уровня', () => {
+    expect(render('{{#each orderItems}}{{customerName | firstName}}: {{name}}; {{/each}}', order))
+      .toBe('Иван: Чайник; Иван: Утюг; ');
+  });
+
+  test('#if и #unless: пустые строки и списки считаются ложью', () => {
+    const template = '{{#if deliveryAddress}}адрес{{else}}самовывоз{{/if}}, {{#unless orderItems}}пусто{{else}}есть товары{{/unless}}';
+
+    expect(render(template, order)).toBe('самовывоз, есть товары');
+    expect(render(template, { deliveryAddress: 'Алматы', orderItems: [] })).toBe('адрес, пусто');
+  });
+
+  test('форматтеры и их цепочки', () => {
+    expect(render('{{orderAmount | currency}}', order)).toBe('1 234 567,50 ₸');
+    expect(render('{{total | currency}}', { total: 5000 })).toBe('5 000 ₸');
+    expect(render('{{total | number:2}}', { total: 1500 })).toBe('1 500,00');
+    expect(render('{{customerName | firstName | upper}}', order)).toBe('ИВАН');
+    expect(render('{{name | lower | capitalize}}', { name: 'ЧАЙНИК' })).toBe('Чайник');
+    expect(render('{{text | truncate:5}}', { text: 'Электрический чайник' })).toBe('Элект…');
+    expect(render('{{missing | default:"нет"}}', {})).toBe('нет');
+    expect(render('{{orderItems | size}}', order)).toBe('2');
+  });
+
+  test('даты выводятся в переданном часовом поясе', () => {
+    // 20:30 UTC - уже следующий день в Алматы (UTC+5)
+    const variables = { orderDate: new Date('2026-10-19T20:30:00Z') };
+
+    expect(render('{{orderDate | date:"DD.MM.YYYY HH:mm"}}', variables, { timeZone: 'Asia/Almaty' })).toBe('20.10.2026 01:30');
+    expect(render('{{orderDate | date:"DD.MM.YYYY HH:mm"}}', variables, { timeZone: 'UTC' })).toBe('19.10.2026 20:30');
+    expect(render('{{orderDate}}', variables, { timeZone: 'Asia/Almaty' })).toBe('20.10.2026');
+  });
+
+  test('не читает свойства прототипов', () => {
+    expect(() => render('{{a.constructor}}', { a: {} })).toThrow(TemplateError);
+    expect(() => render('{{__proto__}}', {})).toThrow(TemplateError);
+    expect(() => render('{{#each a.prototype}}{{/each}}', { a: {} })).toThrow(TemplateError);
+    expect(render('{{toString}}', {})).toBe('');
+  });
+
+  test('незакрытый блок и неизвестный форматтер - ошибки шаблона', () => {
+    expect(() => render('{{#if deliveryAddress}}адрес', order)).toThrow(TemplateError);
+    expect(() => render('{{#each orderItems}}{{name}}{{/if}}', order)).toThrow(TemplateError);
+    expect(() => render('{{customerName | shell:"rm"}}', order)).toThrow(TemplateError);
+    expect(() => render('{{customerName | constructor}}', order)).toThrow(/Неизвестный форматтер/);
+  });
+});
+
+describe('templateEngine.validate', () => {
+  test('возвращает ошибку с позицией для некорректного шаблона', () => {
+    const error = validate('Здравствуйте!\n{{#if name}}{{name}}');
+
+    expect(error).toBeInstanceOf(TemplateError);
+    expect(error.line).toBe(2);
+    expect(error.column).toBe(1);
+    expect(validate('{{name}}')).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+// tests/utils/timeUtils.test.js
+const { getZonedTime, zonedTimeToDate, normalizeWeeklySchedule } = require('../../utils/timeUtils');
+
+describe('timeUtils.normalizeWeeklySchedule', () => {
+  test('приводит дни к нижнему регистру и часы к числам, null - выходной день', () => {
+    const { schedule, error } = normalizeWeeklySchedule({ SAT: { startHour: '10', endHour: 18 }, sun: null });
+
+    expect(error).toBeNull();
+    expect(schedule).toEqual({ sat: { startHour: 10, endHour: 18 }, sun: null });
+  });
+
+  test('отклоняет неизвестный день и некорректные часы', () => {
+    expect(normalizeWeeklySchedule({ holiday: null }).error).toMatch('Неизвестный день недели');
+    expect(normalizeWeeklySchedule({ mon: { startHour: 18, endHour: 10 } }).error).toMatch('mon');
+    expect(normalizeWeeklySchedule({ mon: { startHour: 9, endHour: 24 } }).error).toMatch('mon');
+    expect(normalizeWeeklySchedule({ mon: { startHour: 9 } }).error).toMatch('mon');
+    expect(normalizeWeeklySchedule({ mon: {} }).error).toMatch('mon');
+  });
+
+  test('отклоняет расписание не в виде объекта', () => {
+    expect(normalizeWeeklySchedule(null).error).not.toBeNull();
+    expect(normalizeWeeklySchedule([]).error).not.toBeNull();
+    expect(normalizeWeeklySchedule('mon').error).not.toBeNull();
+  });
+});
+
+describe('timeUtils.getZonedTime', () => {
+  test('время UTC вечером - уже следующий день по времени магазина', () => {
+    // Пятница 19:30 UTC - суббота 00:30 в Алматы (UTC+5)
+    expect(getZonedTime(new Date('2026-10-23T19:30:00Z'), 'Asia/Almaty'))
+      .toEqual({ date: '2026-10-24', weekday: 'sat', hour: 0, minute: 30 });
+  });
+
+  test('время UTC утром - еще предыдущий день западнее UTC', () => {
+    expect(getZonedTime(new Date('2026-10-24T02:00:00Z'), 'America/New_York'))
+      .toEqual({ date: '2026-10-23', weekday: 'fri', hour: 22, minute: 0 });
+  });
+});
+
+describe('timeUtils.zonedTimeToDate', () => {
+  test('переводит местное время магазина в момент времени', () => {
+    expect(zonedTimeToDate({ year: 2026, month: 10, day: 24, hour: 0, minute: 30 }, 'Asia/Almaty'))
+      .toEqual(new Date('2026-10-23T19:30:00Z'));
+  });
+
+  test('переносит день за конец месяца', () => {
+    expect(zonedTimeToDate({ year: 2026, month: 10, day: 32, hour: 9 }, 'Asia/Almaty'))
+      .toEqual(new Date('2026-11-01T04:00:00Z'));
+  });
+
+  test('учитывает переход на летнее время', () => {
+    // 8 марта 2026 в Нью-Йорке часы переводятся с UTC-5 на UTC-4
+    expect(zonedTimeToDate({ year: 2026, month: 3, day: 7, hour: 9 }, 'America/New_York'))
+      .toEqual(new Date('2026-03-07T14:00:00Z'));
+    expect(zonedTimeToDate({ year: 2026, month: 3, day: 9, hour: 9 }, 'America/New_York'))
+      .toEqual(new Date('2026-03-09T13:00:00Z'));
+  });
+});
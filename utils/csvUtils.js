@@ -0,0 +1,82 @@
+/**
+ * CSV Utils
+ *
+ * A small CSV reader for uploaded files: quoted fields, escaped quotes,
+ * line breaks inside quotes, and comma or semicolon delimiters
+ * (Excel in the Russian locale saves CSV with semicolons).
+ */
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - CSV text
+ * @returns {string} ',' or ';'
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const count = (char) => firstLine.split(char).length - 1;
+
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text, a leading BOM is ignored
+ * @param {string} [delimiter] - Field delimiter, detected from the header line by default
+ * @returns {Array<Array<string>>} Rows of cell values, empty lines are skipped
+ */
+function parseCsv(text, delimiter = null) {
+  const source = String(text).replace(/^\ufeff/, '');
+  const separator = delimiter || detectDelimiter(source);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const pushRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      pushRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    pushRow();
+  }
+
+  return rows;
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv
+};
@@ -0,0 +1,95 @@
+/**
+ * Language Utils
+ *
+ * Languages in which customers can receive messages and their
+ * language codes in the WhatsApp Cloud API.
+ */
+
+const DEFAULT_LANGUAGE = 'ru';
+
+// Our language code -> WhatsApp Cloud API template language code
+const CLOUD_API_LANGUAGE_CODES = {
+  kk: 'kk',
+  ru: 'ru',
+  en: 'en'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(CLOUD_API_LANGUAGE_CODES);
+
+// Other spellings that customers and integrations use for the same languages
+const LANGUAGE_ALIASES = {
+  kz: 'kk',
+  kaz: 'kk',
+  'kk-kz': 'kk',
+  'kk_kz': 'kk',
+  rus: 'ru',
+  'ru-ru': 'ru',
+  'ru_ru': 'ru',
+  eng: 'en',
+  'en-us': 'en',
+  'en_us': 'en'
+};
+
+/**
+ * Normalize a language code to one of the supported languages
+ * @param {string} language - Language code in any case, e.g. "KZ", "ru-RU"
+ * @returns {string|null} Supported language code or null
+ */
+function normalizeLanguage(language) {
+  if (!language || typeof language !== 'string') {
+    return null;
+  }
+
+  const code = language.trim().toLowerCase();
+  const normalized = LANGUAGE_ALIASES[code] || code;
+
+  return SUPPORTED_LANGUAGES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Check whether a language is supported
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function isSupportedLanguage(language) {
+  return normalizeLanguage(language) !== null;
+}
+
+/**
+ * Choose the message language: order (customer) preference, then shop default
+ * @param {Object} [order] - Order with preferredLanguage
+ * @param {Object} [shop] - Shop with defaultLanguage
+ * @returns {string} Language code
+ */
+function resolveLanguage(order = null, shop = null) {
+  return normalizeLanguage(order?.preferredLanguage)
+    || normalizeLanguage(shop?.defaultLanguage)
+    || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the WhatsApp Cloud API language code for a template message.
+ * Meta codes of synced templates (e.g. "en_US") are passed through unchanged
+ * @param {string} language - Our language code or Meta language code
+ * @returns {string} Cloud API language code
+ */
+function getCloudApiLanguageCode(language) {
+  if (CLOUD_API_LANGUAGE_CODES[language]) {
+    return CLOUD_API_LANGUAGE_CODES[language];
+  }
+
+  if (typeof language === 'string' && /^[a-z]{2,3}(_[A-Z]{2})?$/.test(language)) {
+    return language;
+  }
+
+  return CLOUD_API_LANGUAGE_CODES[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  isSupportedLanguage,
+  resolveLanguage,
+  getCloudApiLanguageCode
+};
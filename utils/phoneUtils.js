@@ -0,0 +1,46 @@
+/**
+ * Phone Utils
+ *
+ * Helpers for bringing phone numbers from Kaspi, WhatsApp and the admin panel
+ * to a single comparable format.
+ */
+
+/**
+ * Normalize a phone number to digits with the country code (77071234567)
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string} Normalized phone number or empty string
+ */
+function normalizePhone(phoneNumber) {
+  if (!phoneNumber) {
+    return '';
+  }
+
+  let digits = String(phoneNumber).replace(/\D/g, '');
+
+  // 87071234567 -> 77071234567
+  if (digits.length === 11 && digits.startsWith('8')) {
+    digits = '7' + digits.substring(1);
+  }
+
+  // Kaspi returns cellPhone without the country code: 7071234567
+  if (digits.length === 10) {
+    digits = '7' + digits;
+  }
+
+  return digits;
+}
+
+/**
+ * Get the local part of a phone number (last 10 digits) for matching
+ * numbers stored in different formats
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string} Last 10 digits of the number
+ */
+function getPhoneSuffix(phoneNumber) {
+  return normalizePhone(phoneNumber).slice(-10);
+}
+
+module.exports = {
+  normalizePhone,
+  getPhoneSuffix
+};
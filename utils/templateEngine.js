@@ -0,0 +1,524 @@
+/**
+ * Template Engine
+ *
+ * Small logic-less template language for message templates:
+ *   {{customerName}}                       - variable, dotted paths are allowed: {{item.name}}
+ *   {{orderAmount | currency}}             - formatters, can be chained: {{name | lower | capitalize}}
+ *   {{orderDate | date:"DD.MM.YYYY"}}      - formatter arguments follow a colon
+ *   {{#each orderItems}}...{{/each}}       - loop, inside: {{this}}, {{name}}, {{@index}}, {{@number}}
+ *   {{#if deliveryAddress}}...{{else}}...{{/if}}, {{#unless ...}}...{{/unless}}
+ *
+ * Templates never execute code: only own properties of the passed variables are read
+ * and only the formatters listed below can be called.
+ *
+ * Dates are shown in the timezone passed to render() (the shop's timezone),
+ * not in the timezone of the server.
+ */
+
+const { getZonedTime } = require('./timeUtils');
+
+// Property names that could reach object prototypes
+const FORBIDDEN_SEGMENTS = new Set(['__proto__', 'prototype', 'constructor']);
+
+// Parsed templates, keyed by template text
+const cache = new Map();
+const CACHE_LIMIT = 500;
+
+/**
+ * Error in template syntax or in a formatter call
+ */
+class TemplateError extends Error {
+  constructor(message, { line = null, column = null } = {}) {
+    super(line ? `${message} (строка ${line}, позиция ${column})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Convert a value to Date
+ * @param {*} value - Date, timestamp or date string
+ * @returns {Date|null} Date or null if the value is not a date
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date using DD, MM, YYYY, YY, HH, mm and ss tokens
+ * @param {Date} date - Date
+ * @param {string} format - Format string
+ * @param {string} [timeZone] - Timezone to show the date in (server timezone if not set)
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format, timeZone = null) {
+  let year = date.getFullYear();
+  let month = date.getMonth() + 1;
+  let day = date.getDate();
+  let hour = date.getHours();
+  let minute = date.getMinutes();
+
+  if (timeZone) {
+    const local = getZonedTime(date, timeZone);
+    [year, month, day] = local.date.split('-').map(Number);
+    ({ hour, minute } = local);
+  }
+
+  const tokens = {
+    YYYY: year,
+    YY: pad(year % 100),
+    MM: pad(month),
+    DD: pad(day),
+    HH: pad(hour),
+    mm: pad(minute),
+    ss: pad(date.getSeconds())
+  };
+
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Format a number with space-separated thousands
+ * @param {number} value - Number
+ * @param {number} decimals - Number of decimals
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, decimals) {
+  const [integer, fraction] = Math.abs(value).toFixed(decimals).split('.');
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+
+  return `${value < 0 ? '-' : ''}${grouped}${fraction ? `,${fraction}` : ''}`;
+}
+
+/**
+ * Convert a value to its text representation in a message
+ * @param {*} value - Value
+ * @param {string} [timeZone] - Timezone for dates
+ * @returns {string} Text
+ */
+function stringify(value, timeZone = null) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return formatDate(value, 'DD.MM.YYYY', timeZone);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => stringify(item, timeZone)).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return '';
+  }
+
+  return String(value);
+}
+
+// Formatters available in templates: {{value | name:arg1:arg2}}.
+// Formatters are called with the render options as this: { timeZone }
+const FORMATTERS = {
+  currency(value, symbol = '₸') {
+    const number = Number(value);
+    if (value === null || value === undefined || value === '' || isNaN(number)) {
+      return value;
+    }
+    // Show tiyn only when the amount is not a whole number
+    return `${formatNumber(number, Number.isInteger(number) ? 0 : 2)} ${symbol}`.trim();
+  },
+
+  number(value, decimals = 0) {
+    const number = Number(value);
+    if (value === null || value === undefined || value === '' || isNaN(number)) {
+      return value;
+    }
+    return formatNumber(number, Number(decimals) || 0);
+  },
+
+  date(value, format = 'DD.MM.YYYY') {
+    const date = toDate(value);
+    return date ? formatDate(date, String(format), this.timeZone) : value;
+  },
+
+  upper(value) {
+    return stringify(value, this.timeZone).toUpperCase();
+  },
+
+  lower(value) {
+    return stringify(value, this.timeZone).toLowerCase();
+  },
+
+  capitalize(value) {
+    const text = stringify(value, this.timeZone);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  firstName(value) {
+    return stringify(value, this.timeZone).trim().split(/\s+/)[0];
+  },
+
+  truncate(value, length = 50, suffix = '…') {
+    const text = stringify(value, this.timeZone);
+    const limit = Number(length) || 50;
+    return text.length > limit ? `${text.slice(0, limit).trimEnd()}${suffix}` : text;
+  },
+
+  default(value, fallback = '') {
+    return value === null || value === undefined || value === '' ? fallback : value;
+  },
+
+  size(value) {
+    if (Array.isArray(value) || typeof value === 'string') {
+      return value.length;
+    }
+    return 0;
+  }
+};
+
+/**
+ * Get line and column of a position in the template text
+ * @param {string} text - Template text
+ * @param {number} offset - Position
+ * @returns {Object} {line, column}
+ */
+function getLocation(text, offset) {
+  const lines = text.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parse a variable path: this, @index, name, item.name
+ * @param {string} source - Path text
+ * @param {Object} location - Location of the tag for error messages
+ * @returns {Array<string>} Path segments
+ */
+function parsePath(source, location) {
+  const path = source.trim();
+
+  if (path === 'this') {
+    return [];
+  }
+
+  if (!/^@?[\p{L}_$][\p{L}\p{N}_$]*(\.[\p{L}_$][\p{L}\p{N}_$]*)*$/u.test(path)) {
+    throw new TemplateError(`Некорректное имя переменной "${path}"`, location);
+  }
+
+  const segments = path.replace(/^this\./, '').split('.');
+  if (segments.some(segment => FORBIDDEN_SEGMENTS.has(segment))) {
+    throw new TemplateError(`Недопустимое имя переменной "${path}"`, location);
+  }
+
+  return segments;
+}
+
+/**
+ * Parse formatter arguments: "text", 'text', numbers and bare words
+ * @param {string} source - Arguments text after the formatter name
+ * @param {Object} location - Location of the tag for error messages
+ * @returns {Array} Arguments
+ */
+function parseArguments(source, location) {
+  const args = [];
+  const argumentPattern = /^\s*:\s*("([^"]*)"|'([^']*)'|[^\s:"']+)/;
+  let rest = source;
+
+  while (rest.trim()) {
+    const match = rest.match(argumentPattern);
+    if (!match) {
+      throw new TemplateError(`Некорректные аргументы форматтера: "${source.trim()}"`, location);
+    }
+
+    if (match[2] !== undefined || match[3] !== undefined) {
+      args.push(match[2] !== undefined ? match[2] : match[3]);
+    } else {
+      const number = Number(match[1]);
+      args.push(isNaN(number) ? match[1] : number);
+    }
+
+    rest = rest.slice(match[0].length);
+  }
+
+  return args;
+}
+
+/**
+ * Parse an output tag: path | formatter:arg | formatter
+ * @param {string} source - Tag content
+ * @param {Object} location - Location of the tag for error messages
+ * @returns {Object} Variable node
+ */
+function parseExpression(source, location) {
+  // Pipes inside quoted arguments are part of the argument
+  const parts = source.match(/("[^"]*"|'[^']*'|[^|])+/g) || [''];
+  const [pathSource, ...formatterSources] = parts;
+
+  const formatters = formatterSources.map(formatterSource => {
+    const match = formatterSource.match(/^\s*([A-Za-z_]\w*)([\s\S]*)$/);
+    if (!match) {
+      throw new TemplateError(`Некорректный форматтер "${formatterSource.trim()}"`, location);
+    }
+
+    const [, name, argsSource] = match;
+    if (!Object.prototype.hasOwnProperty.call(FORMATTERS, name)) {
+      throw new TemplateError(`Неизвестный форматтер "${name}". Доступные: ${Object.keys(FORMATTERS).join(', ')}`, location);
+    }
+
+    return { name, args: parseArguments(argsSource, location) };
+  });
+
+  return { type: 'var', path: parsePath(pathSource, location), formatters, location };
+}
+
+/**
+ * Parse template text into a tree of nodes
+ * @param {string} text - Template text
+ * @returns {Array} Nodes
+ * @throws {TemplateError} On syntax errors
+ */
+function parse(text) {
+  if (typeof text !== 'string') {
+    throw new TemplateError('Текст шаблона должен быть строкой');
+  }
+
+  if (cache.has(text)) {
+    return cache.get(text);
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /{{([\s\S]*?)}}/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  // Inside a block with {{else}} new nodes go to the else branch
+  const append = node => {
+    const block = current();
+    (block.inElse ? block.inverse : block.children).push(node);
+  };
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      append({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const location = getLocation(text, match.index);
+    const tag = match[1].trim();
+
+    if (!tag) {
+      throw new TemplateError('Пустой тег {{}}', location);
+    }
+
+    if (tag.startsWith('#')) {
+      const blockMatch = tag.match(/^#(\w+)\s+(.+)$/);
+      if (!blockMatch || !['each', 'if', 'unless'].includes(blockMatch[1])) {
+        throw new TemplateError(`Неизвестный блок "${tag}". Доступные блоки: #each, #if, #unless`, location);
+      }
+
+      const [, name, argument] = blockMatch;
+      const block = {
+        type: name,
+        path: parsePath(argument, location),
+        children: [],
+        inverse: [],
+        inElse: false,
+        location
+      };
+      append(block);
+      stack.push(block);
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = current();
+      if (block === root) {
+        throw new TemplateError('{{else}} вне блока #if, #unless или #each', location);
+      }
+      if (block.inElse) {
+        throw new TemplateError('Повторный {{else}} в одном блоке', location);
+      }
+      block.inElse = true;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const block = current();
+      if (block === root) {
+        throw new TemplateError(`Закрывающий тег {{/${name}}} без открывающего`, location);
+      }
+      if (block.type !== name) {
+        throw new TemplateError(`Ожидался {{/${block.type}}}, найден {{/${name}}}`, location);
+      }
+      stack.pop();
+      continue;
+    }
+
+    append(parseExpression(tag, location));
+  }
+
+  if (lastIndex < text.length) {
+    append({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new TemplateError(`Блок #${block.type} не закрыт`, block.location);
+  }
+
+  if (cache.size >= CACHE_LIMIT) {
+    cache.clear();
+  }
+  cache.set(text, root.children);
+
+  return root.children;
+}
+
+/**
+ * Read a value by path, searching the innermost scope first
+ * @param {Array<Object>} scopes - Scopes from outer to inner: {value, data}
+ * @param {Array<string>} path - Path segments
+ * @returns {*} Value or undefined
+ */
+function lookup(scopes, path) {
+  const inner = scopes[scopes.length - 1];
+
+  if (path.length === 0) {
+    return inner.value;
+  }
+
+  const [head, ...rest] = path;
+
+  if (head.startsWith('@')) {
+    return rest.length === 0 ? inner.data[head.slice(1)] : undefined;
+  }
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    let value = scopes[i].value;
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, head)) {
+      continue;
+    }
+
+    value = value[head];
+    for (const segment of rest) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+        return undefined;
+      }
+      value = value[segment];
+    }
+    return value;
+  }
+
+  return undefined;
+}
+
+/**
+ * Check whether a value counts as true in #if blocks: empty arrays and strings are false
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Render nodes with the given scopes
+ * @param {Array} nodes - Parsed nodes
+ * @param {Array<Object>} scopes - Scopes
+ * @param {Object} options - Render options
+ * @returns {string} Text
+ */
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const value = lookup(scopes, node.path);
+
+    if (node.type === 'var') {
+      let result = value;
+      for (const { name, args } of node.formatters) {
+        try {
+          result = FORMATTERS[name].call(options, result, ...args);
+        } catch (error) {
+          throw new TemplateError(`Ошибка форматтера "${name}": ${error.message}`, node.location);
+        }
+      }
+      output += stringify(result, options.timeZone);
+      continue;
+    }
+
+    if (node.type === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) {
+        output += renderNodes(node.inverse, scopes, options);
+        continue;
+      }
+
+      items.forEach((item, index) => {
+        const data = { index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+        output += renderNodes(node.children, [...scopes, { value: item, data }], options);
+      });
+      continue;
+    }
+
+    const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+    output += renderNodes(condition ? node.children : node.inverse, scopes, options);
+  }
+
+  return output;
+}
+
+/**
+ * Render a template with variables
+ * @param {string} text - Template text
+ * @param {Object} variables - Variables
+ * @param {Object} [options] - Render options
+ * @param {string} [options.timeZone] - Timezone for dates, e.g. "Asia/Almaty"
+ * @returns {string} Message text
+ * @throws {TemplateError} On syntax or formatter errors
+ */
+function render(text, variables = {}, options = {}) {
+  const nodes = parse(text);
+  return renderNodes(nodes, [{ value: variables || {}, data: {} }], { timeZone: options.timeZone || null });
+}
+
+/**
+ * Check template syntax
+ * @param {string} text - Template text
+ * @returns {TemplateError|null} Error or null if the template is valid
+ */
+function validate(text) {
+  try {
+    parse(text);
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return error;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  TemplateError,
+  FORMATTERS,
+  stringify,
+  parse,
+  render,
+  validate
+};
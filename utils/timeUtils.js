@@ -0,0 +1,138 @@
+/**
+ * Time Utils
+ *
+ * Helpers for working with shop-local time: the server may run in any
+ * timezone (usually UTC in containers), while send windows and holidays
+ * are set in the shop's timezone.
+ */
+
+// Weekday keys in the order returned by Date.prototype.getDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a timezone name is known to the runtime (IANA name, e.g. "Asia/Almaty")
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date, weekday and time of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - Timezone name
+ * @returns {{date: string, weekday: string, hour: number, minute: number}}
+ *   date as YYYY-MM-DD, weekday as one of WEEKDAYS
+ */
+function getZonedTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+
+  return {
+    date: `${values.year}-${values.month}-${values.day}`,
+    weekday: values.weekday.toLowerCase().slice(0, 3),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute)
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {Object} parts - Local time { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - Timezone name
+ * @returns {Date}
+ */
+function zonedTimeToDate(parts, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset of the timezone at that moment: how far its wall clock is from UTC
+  const local = getZonedTime(new Date(asUtc), timeZone);
+  const [localYear, localMonth, localDay] = local.date.split('-').map(Number);
+  const offset = Date.UTC(localYear, localMonth - 1, localDay, local.hour, local.minute) - Math.floor(asUtc / 60000) * 60000;
+
+  return new Date(asUtc - offset);
+}
+
+/**
+ * Check a calendar date string (YYYY-MM-DD)
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a per-weekday send schedule.
+ * Each weekday maps to { startHour, endHour } or null (no sending that day);
+ * weekdays that are not listed use the shop's default hours
+ * @param {Object} schedule - Schedule, e.g. { sat: { startHour: 10, endHour: 18 }, sun: null }
+ * @returns {{schedule: Object|null, error: string|null}} Normalized schedule or error text
+ */
+function normalizeWeeklySchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { schedule: null, error: 'Расписание должно быть объектом с днями недели в качестве ключей' };
+  }
+
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(schedule)) {
+    const weekday = String(key).toLowerCase();
+    if (!WEEKDAYS.includes(weekday)) {
+      return { schedule: null, error: `Неизвестный день недели "${key}". Допустимые значения: ${WEEKDAYS.join(', ')}` };
+    }
+
+    if (value === null) {
+      normalized[weekday] = null;
+      continue;
+    }
+
+    const startHour = parseInt(value?.startHour);
+    const endHour = parseInt(value?.endHour);
+
+    if (isNaN(startHour) || isNaN(endHour) || startHour < 0 || endHour > 23 || startHour >= endHour) {
+      return { schedule: null, error: `Некорректное время отправки для "${weekday}": ожидается 0 <= startHour < endHour <= 23` };
+    }
+
+    normalized[weekday] = { startHour, endHour };
+  }
+
+  return { schedule: normalized, error: null };
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedTime,
+  zonedTimeToDate,
+  isValidDate,
+  normalizeWeeklySchedule
+};
@@ -0,0 +1,122 @@
+/**
+ * WhatsApp Errors
+ *
+ * Keeps the WhatsApp Cloud API error code on errors thrown by the messaging
+ * services and decides whether a failed send is worth retrying.
+ */
+
+// Errors that usually go away on their own: throttling, temporary outages, network issues
+const RETRYABLE_CODES = new Set([
+  '1',      // API Unknown
+  '2',      // API Service (temporary downtime)
+  '4',      // Application request limit reached
+  '80007',  // WhatsApp Business Account rate limit
+  '130429', // Cloud API throughput reached
+  '131000', // Something went wrong
+  '131016', // Service unavailable
+  '131048', // Spam rate limit hit
+  '131049', // Meta chose not to deliver (marketing frequency)
+  '131056', // Pair rate limit hit (too many messages to the same number)
+  'NOT_INITIALIZED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+// Errors that will not succeed no matter how many times we retry
+const PERMANENT_CODES = new Set([
+  '100',    // Invalid parameter
+  '470',    // Re-engagement message outside the 24h window
+  '131008', // Required parameter is missing
+  '131021', // Recipient cannot be sender
+  '131026', // Message undeliverable (no WhatsApp, old version, not accepted terms)
+  '131030', // Recipient not in allowed list
+  '131047', // Re-engagement message
+  '131050', // User stopped marketing messages
+  '131051', // Unsupported message type
+  '132000', // Template param count mismatch
+  '132001', // Template does not exist
+  'PHONE_NOT_ALLOWED',
+  'PHONE_SUPPRESSED',
+  'TEMPLATE_MAPPING_INVALID'
+]);
+
+/**
+ * Error thrown by the WhatsApp services with the original API error code
+ */
+class WhatsAppSendError extends Error {
+  constructor(message, { code = null, httpStatus = null } = {}) {
+    super(message);
+    this.name = 'WhatsAppSendError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Get the error code: Graph API code, local code or network error code
+ * @param {Error} error - Error thrown by axios or by a service
+ * @returns {string|null} Error code
+ */
+function getErrorCode(error) {
+  if (!error) {
+    return null;
+  }
+
+  const apiCode = error.response?.data?.error?.code;
+  if (apiCode !== undefined && apiCode !== null) {
+    return String(apiCode);
+  }
+
+  // axios sets its own codes (ERR_BAD_REQUEST) for HTTP errors, only network codes are useful
+  if (error.code && (!error.response || error instanceof WhatsAppSendError)) {
+    return String(error.code);
+  }
+
+  return null;
+}
+
+/**
+ * Wrap an error into WhatsAppSendError keeping its code and HTTP status
+ * @param {string} prefix - Message prefix describing the failed action
+ * @param {Error} error - Original error
+ * @returns {WhatsAppSendError} Wrapped error
+ */
+function createSendError(prefix, error) {
+  const apiMessage = error.response?.data?.error?.message;
+
+  return new WhatsAppSendError(`${prefix}: ${apiMessage || error.message}`, {
+    code: getErrorCode(error),
+    httpStatus: error.httpStatus || error.response?.status || null
+  });
+}
+
+/**
+ * Check whether a failed send should be retried later
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True for rate limits, 5xx and network errors
+ */
+function isRetryableError(error) {
+  const code = getErrorCode(error);
+
+  if (code && PERMANENT_CODES.has(code)) {
+    return false;
+  }
+
+  if (code && RETRYABLE_CODES.has(code)) {
+    return true;
+  }
+
+  const httpStatus = error?.httpStatus || error?.response?.status;
+  return httpStatus === 429 || httpStatus >= 500;
+}
+
+module.exports = {
+  WhatsAppSendError,
+  getErrorCode,
+  createSendError,
+  isRetryableError
+};